@@ -4,9 +4,29 @@
  */
 
 import { getOrCreateSession, getCurrentSessionId, loadSession, createNewSession, copySessionIdToClipboard } from './modules/session.js';
-import { loadPreference, savePreference, saveSessionData, loadSessionData, loadAllSessionData } from './modules/storage.js';
-import { showNotification, normalizeUrl } from './modules/utils.js';
-import { loadDashboard } from './components/dashboard.js';
+import { loadPreference, savePreference, saveSessionData, loadSessionData, loadAllSessionData, setStorageDriver, isSessionProtected, unlockSession, setSessionPassphrase, estimateStorageUsage, checkStorageQuota, onStorageQuotaWarning } from './modules/storage.js';
+import { compactEngagementData } from './modules/engagement-manager.js';
+import { runMaintenance } from './modules/maintenance.js';
+import { SCHEMA_VERSION, migrateSnapshot } from './modules/migrations.js';
+import { listSessions, describeSession, deleteSession } from './modules/session-catalog.js';
+import { exportCalendar } from './modules/calendar-export.js';
+import { showNotification, normalizeUrl, escapeHtml, formatDateTime, formatFileSize, downloadFile } from './modules/utils.js';
+import { loadDashboard, refreshFromStorage } from './components/dashboard.js';
+
+// Empty value of each session key an import writes, for exports made before the key existed
+const EMPTY_IMPORT_DATA = {
+    apiConfig: {},
+    contentItems: [],
+    engagementData: [],
+    contracts: [],
+    invoices: [],
+    invoiceSettings: {},
+    exchangeRates: {},
+    contractTemplates: [],
+    contractRevisions: [],
+    reminderSettings: {},
+    reminderAlerts: []
+};
 
 /**
  * Initialize application
@@ -23,7 +43,9 @@ async function initApp() {
         // Check that dependencies are fully loaded
         checkDependencies();
 
-        // Step 1: Initialize session
+        // Step 1: Select storage driver and initialize session
+        initStorageDriver();
+        onStorageQuotaWarning(handleStorageQuotaWarning);
         console.log('Initializing session');
         const sessionId = getOrCreateSession();
         console.log(`Session ID: ${sessionId}`);
@@ -44,8 +66,10 @@ async function initApp() {
         if (authContent) authContent.style.display = 'none';
         if (mainContent) mainContent.style.display = 'block';
 
-        // Step 5: Load dashboard
+        // Step 5: Unlock the session if it is passphrase-protected, then load dashboard
+        await unlockStartupSession(sessionId);
         await loadDashboard();
+        checkStorageQuota({ force: true }).catch(error => console.error('Error checking storage quota:', error));
 
         // Hide loading indicator
         const loadingIndicator = document.getElementById('loading-indicator');
@@ -111,6 +135,122 @@ function checkDependencies() {
     }
 }
 
+/**
+ * Select the storage driver from the 'storageDriver' preference
+ * (memory, localStorage, localforage or auto)
+ */
+function initStorageDriver() {
+    const driverName = loadPreference('storageDriver', 'auto');
+
+    try {
+        setStorageDriver(driverName);
+    } catch (error) {
+        console.warn(`${error.message}, falling back to automatic selection`);
+        setStorageDriver('auto');
+    }
+}
+
+/**
+ * Warn the user when storage is running out
+ * @param {Object} usage - Usage estimate from storage.js
+ */
+function handleStorageQuotaWarning(usage) {
+    const message = usage.level === 'exceeded'
+        ? 'Storage is full and changes could not be saved. Compact old engagement data in API Settings.'
+        : `Storage is ${Math.round(usage.ratio * 100)}% full. Compact old engagement data in API Settings.`;
+    showNotification(message, 'error', 8000);
+}
+
+/**
+ * Render the storage usage meter in the settings modal
+ */
+async function renderStorageUsage() {
+    const bar = document.getElementById('storage-usage-bar');
+    const text = document.getElementById('storage-usage-text');
+    const warning = document.getElementById('storage-usage-warning');
+    if (!bar || !text) return;
+
+    try {
+        const usage = await estimateStorageUsage();
+        const percent = Math.min(100, Math.round(usage.ratio * 100));
+
+        bar.style.width = `${percent}%`;
+        bar.className = `h-2 ${usage.level === 'ok' ? 'bg-blue-500' : usage.level === 'warning' ? 'bg-yellow-500' : 'bg-red-500'}`;
+        text.textContent = usage.quota
+            ? `${formatFileSize(usage.usage)} of ${formatFileSize(usage.quota)} used (${percent}%), this session ${formatFileSize(usage.sessionUsage)}`
+            : `${formatFileSize(usage.usage)} used, this session ${formatFileSize(usage.sessionUsage)}`;
+
+        if (warning) {
+            warning.textContent = usage.level === 'ok' ? '' : 'Storage is nearly full. Compact old engagement data or delete unused sessions.';
+            warning.style.display = usage.level === 'ok' ? 'none' : 'block';
+        }
+    } catch (error) {
+        console.error('Error estimating storage usage:', error);
+        text.textContent = 'Storage usage unavailable';
+    }
+}
+
+/**
+ * Compact old engagement snapshots after confirmation
+ */
+async function handleCompactEngagement() {
+    if (!confirm('Replace engagement snapshots older than 30 days with daily rollups, and older than 180 days with weekly rollups? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const { removed } = await compactEngagementData();
+        showNotification(removed > 0 ? `Compacted ${removed} engagement records` : 'Nothing to compact');
+        await renderStorageUsage();
+        await refreshFromStorage();
+    } catch (error) {
+        console.error('Error compacting engagement data:', error);
+        showNotification('Error compacting engagement data: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Check the session's data and show the maintenance report in the settings modal
+ * @param {boolean} fix - Whether to repair the issues found
+ */
+async function handleRunMaintenance(fix = false) {
+    const container = document.getElementById('maintenance-report');
+    if (!container) return;
+
+    try {
+        const report = await runMaintenance({ fix });
+        const duplicates = Object.entries(report.duplicateIds).filter(([, ids]) => ids.length > 0);
+        const invalid = Object.entries(report.invalidPlatforms).filter(([, ids]) => ids.length > 0);
+
+        const lines = [
+            `${report.orphanedEngagement.length} engagement records for deleted content`,
+            ...duplicates.map(([collection, ids]) => `${ids.length} duplicate IDs in ${collection}`),
+            ...invalid.map(([collection, ids]) => `${ids.length} ${collection} records with an unknown platform`)
+        ];
+
+        container.innerHTML = `
+            <p class="font-medium">${report.issueCount === 0 ? 'No problems found' : report.fixed ? 'Repaired:' : 'Found:'}</p>
+            ${report.issueCount === 0 ? '' : `<ul class="list-disc ml-5">${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`}
+            ${report.issueCount > 0 && !report.fixed ? '<button type="button" id="fix-maintenance-btn" class="btn btn-primary mt-2">Fix Issues</button>' : ''}
+        `;
+        container.style.display = 'block';
+
+        const fixButton = document.getElementById('fix-maintenance-btn');
+        if (fixButton) {
+            fixButton.addEventListener('click', () => handleRunMaintenance(true));
+        }
+
+        if (report.fixed) {
+            showNotification('Data repaired');
+            await renderStorageUsage();
+            await refreshFromStorage();
+        }
+    } catch (error) {
+        console.error('Error running maintenance:', error);
+        showNotification('Error checking data: ' + error.message, 'error');
+    }
+}
+
 /**
  * Initialize dark mode toggle
  */
@@ -154,6 +294,12 @@ function setupSessionMenu() {
         sessionMenuButton.addEventListener('click', (e) => {
             e.preventDefault();
             sessionDropdown.classList.toggle('hidden');
+            if (!sessionDropdown.classList.contains('hidden')) {
+                renderSessionCatalog().catch(error => {
+                    console.error('Error listing sessions:', error);
+                    showNotification('Error listing stored sessions', 'error');
+                });
+            }
         });
 
         // Close dropdown when clicking outside
@@ -213,29 +359,16 @@ function setupSessionMenu() {
                 return;
             }
 
-            if (inputId.length !== 8) {
-                if (loadSessionError) {
-                    loadSessionError.textContent = 'Session ID must be 8 characters';
-                    loadSessionError.classList.remove('hidden');
-                }
-                return;
-            }
-
             // Load the session
-            const success = loadSession(inputId);
-            if (success) {
-                updateSessionDisplay(inputId);
-                loadSessionInput.value = '';
-                if (loadSessionError) loadSessionError.classList.add('hidden');
-                await loadDashboard();
-                showNotification(`Loaded session: ${inputId}`);
-
-                // Close dropdown
-                const sessionDropdown = document.getElementById('session-dropdown');
-                if (sessionDropdown) sessionDropdown.classList.add('hidden');
-            } else {
+            try {
+                const success = await switchToSession(inputId);
+                if (success) {
+                    loadSessionInput.value = '';
+                    if (loadSessionError) loadSessionError.classList.add('hidden');
+                }
+            } catch (error) {
                 if (loadSessionError) {
-                    loadSessionError.textContent = 'Invalid session ID format';
+                    loadSessionError.textContent = error.message;
                     loadSessionError.classList.remove('hidden');
                 }
             }
@@ -249,6 +382,276 @@ function setupSessionMenu() {
             }
         });
     }
+
+    // Session catalog actions (open, label, delete)
+    const sessionCatalog = document.getElementById('session-catalog');
+    if (sessionCatalog) {
+        sessionCatalog.addEventListener('click', handleSessionCatalogClick);
+    }
+
+    // Set passphrase button
+    const protectSessionBtn = document.getElementById('protect-session-btn');
+    if (protectSessionBtn) {
+        protectSessionBtn.addEventListener('click', handleProtectSession);
+    }
+}
+
+/**
+ * Switch to another session and reload the dashboard
+ * Asks for the passphrase when the session is protected.
+ * @param {string} sessionId - Session ID to switch to
+ * @returns {Promise<boolean>} True if the session was loaded, false if the user cancelled
+ */
+async function switchToSession(sessionId) {
+    try {
+        await loadSession(sessionId);
+    } catch (error) {
+        if (error.code !== 'PASSPHRASE_REQUIRED') throw error;
+
+        const passphrase = await requestPassphrase({
+            title: 'Unlock Session',
+            message: `Session ${sessionId} is protected. Enter its passphrase to open it.`
+        }, async (value) => {
+            try {
+                await loadSession(sessionId, { passphrase: value });
+                return null;
+            } catch (unlockError) {
+                return unlockError.message;
+            }
+        });
+
+        if (passphrase === null) {
+            return false;
+        }
+    }
+
+    // The stored ID may differ from what was typed (case, separators, look-alike letters)
+    const loadedId = getCurrentSessionId();
+    updateSessionDisplay(loadedId);
+    await loadDashboard();
+    showNotification(`Loaded session: ${loadedId}`);
+
+    // Close dropdown
+    const sessionDropdown = document.getElementById('session-dropdown');
+    if (sessionDropdown) sessionDropdown.classList.add('hidden');
+
+    return true;
+}
+
+/**
+ * Ask for the startup session's passphrase if it is protected.
+ * Starts a fresh session when the user declines to unlock.
+ * @param {string} sessionId - Session restored at startup
+ */
+async function unlockStartupSession(sessionId) {
+    if (!(await isSessionProtected(sessionId))) return;
+
+    const passphrase = await requestPassphrase({
+        title: 'Unlock Session',
+        message: `Session ${sessionId} is protected. Enter its passphrase to continue, or close this dialog to start a new session.`
+    }, async (value) => ((await unlockSession(sessionId, value)) ? null : 'Incorrect passphrase'));
+
+    if (passphrase === null) {
+        const newId = createNewSession();
+        updateSessionDisplay(newId);
+        showNotification(`Session ${sessionId} is still locked, started new session ${newId}`, 'info');
+    }
+}
+
+/**
+ * Handle the Set Passphrase menu item
+ */
+async function handleProtectSession(e) {
+    e.preventDefault();
+
+    const sessionDropdown = document.getElementById('session-dropdown');
+    if (sessionDropdown) sessionDropdown.classList.add('hidden');
+
+    const isProtected = await isSessionProtected();
+    const passphrase = await requestPassphrase({
+        title: 'Set Passphrase',
+        message: isProtected
+            ? 'Choose a new passphrase for this session, or leave both fields blank to remove protection.'
+            : 'All data in this session, including API credentials, will be encrypted. The passphrase cannot be recovered if you forget it.',
+        submitLabel: 'Save',
+        confirm: true
+    }, async (value) => {
+        if (value && value.length < 8) {
+            return 'Passphrase must be at least 8 characters';
+        }
+        if (!value && !isProtected) {
+            return 'Please enter a passphrase';
+        }
+
+        try {
+            await setSessionPassphrase(value);
+            return null;
+        } catch (error) {
+            console.error('Error setting passphrase:', error);
+            return error.message;
+        }
+    });
+
+    if (passphrase !== null) {
+        showNotification(passphrase ? 'Session is now passphrase-protected' : 'Session passphrase removed');
+    }
+}
+
+/**
+ * Ask for a passphrase in the passphrase modal
+ * @param {Object} options - Modal title, message, submit label and whether to ask for confirmation
+ * @param {Function} onSubmit - Async check returning an error message to show, or null to accept
+ * @returns {Promise<string|null>} Accepted passphrase, or null if the modal was closed
+ */
+function requestPassphrase({ title, message, submitLabel = 'Unlock', confirm = false }, onSubmit) {
+    const form = document.getElementById('passphrase-form');
+    const input = document.getElementById('passphrase-input');
+    const confirmInput = document.getElementById('passphrase-confirm');
+    const confirmContainer = document.getElementById('passphrase-confirm-container');
+    const errorEl = document.getElementById('passphrase-error');
+    const closeBtn = document.getElementById('close-passphrase-modal');
+
+    if (!form || !input) {
+        return Promise.resolve(null);
+    }
+
+    document.getElementById('passphrase-modal-title').textContent = title;
+    document.getElementById('passphrase-modal-message').textContent = message;
+    document.getElementById('passphrase-submit-label').textContent = submitLabel;
+    input.value = '';
+    confirmInput.value = '';
+    confirmContainer.classList.toggle('hidden', !confirm);
+    errorEl.classList.add('hidden');
+
+    const showError = (text) => {
+        errorEl.textContent = text;
+        errorEl.classList.remove('hidden');
+    };
+
+    return new Promise(resolve => {
+        const finish = (value) => {
+            form.removeEventListener('submit', handleSubmit);
+            closeBtn.removeEventListener('click', handleClose);
+            hideModal('passphrase-modal');
+            resolve(value);
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            const passphrase = input.value;
+
+            if (confirm && passphrase !== confirmInput.value) {
+                showError('Passphrases do not match');
+                return;
+            }
+
+            const error = await onSubmit(passphrase);
+            if (error) {
+                showError(error);
+                return;
+            }
+            finish(passphrase);
+        };
+
+        const handleClose = () => finish(null);
+
+        form.addEventListener('submit', handleSubmit);
+        closeBtn.addEventListener('click', handleClose);
+        showModal('passphrase-modal');
+        input.focus();
+    });
+}
+
+/**
+ * Render the list of sessions stored on this device into the session dropdown
+ */
+async function renderSessionCatalog() {
+    const sessionCatalog = document.getElementById('session-catalog');
+    if (!sessionCatalog) return;
+
+    const sessions = await listSessions();
+    const currentId = getCurrentSessionId();
+
+    if (sessions.length === 0) {
+        sessionCatalog.innerHTML = '<div class="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">No stored sessions</div>';
+        return;
+    }
+
+    sessionCatalog.innerHTML = sessions.map(session => {
+        const isCurrent = session.id === currentId;
+        const updated = session.lastModified ? `updated ${formatDateTime(session.lastModified)}` : 'never modified';
+        const counts = session.isProtected
+            ? 'passphrase protected'
+            : `${session.contentCount} content &middot; ${session.engagementCount} snapshots &middot; ${session.contractCount} contracts`;
+
+        return `
+            <div class="px-4 py-2 ${isCurrent ? 'bg-gray-50 dark:bg-gray-700' : ''}">
+                <div class="flex justify-between items-center">
+                    <div class="min-w-0">
+                        <div class="text-sm font-medium text-gray-900 dark:text-white truncate">${escapeHtml(session.label || 'Untitled session')}</div>
+                        <code class="text-xs font-mono text-gray-500 dark:text-gray-400">${session.id}</code>
+                        ${session.isProtected ? '<span class="material-icons text-xs text-gray-400 align-middle" title="Passphrase protected">lock</span>' : ''}
+                        ${isCurrent ? '<span class="text-xs text-green-500 ml-1">current</span>' : ''}
+                    </div>
+                    <div class="flex space-x-1">
+                        ${isCurrent ? '' : `<button class="text-gray-400 hover:text-green-500" title="Open" data-session-action="open" data-session-id="${session.id}"><span class="material-icons text-sm">login</span></button>`}
+                        <button class="text-gray-400 hover:text-blue-500" title="Label" data-session-action="label" data-session-id="${session.id}"><span class="material-icons text-sm">edit</span></button>
+                        <button class="text-gray-400 hover:text-red-500" title="Delete" data-session-action="delete" data-session-id="${session.id}"><span class="material-icons text-sm">delete</span></button>
+                    </div>
+                </div>
+                ${session.description ? `<div class="text-xs text-gray-600 dark:text-gray-300 mt-1">${escapeHtml(session.description)}</div>` : ''}
+                <div class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    ${counts} &middot; ${updated}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle clicks on session catalog action buttons
+ */
+async function handleSessionCatalogClick(e) {
+    const button = e.target.closest('[data-session-action]');
+    if (!button) return;
+
+    e.preventDefault();
+    const sessionId = button.dataset.sessionId;
+
+    try {
+        switch (button.dataset.sessionAction) {
+            case 'open':
+                await switchToSession(sessionId);
+                break;
+            case 'label': {
+                const sessions = await listSessions();
+                const session = sessions.find(s => s.id === sessionId) || {};
+                const label = prompt(`Label for session ${sessionId}:`, session.label || '');
+                if (label === null) return;
+                const description = prompt('Description (optional):', session.description || '');
+                await describeSession(sessionId, { label, description: description || '' });
+                await renderSessionCatalog();
+                break;
+            }
+            case 'delete': {
+                if (!confirm(`Delete session ${sessionId} and all of its data? This cannot be undone.`)) return;
+                await deleteSession(sessionId);
+
+                if (sessionId === getCurrentSessionId()) {
+                    const newId = createNewSession();
+                    updateSessionDisplay(newId);
+                    await loadDashboard();
+                }
+
+                await renderSessionCatalog();
+                showNotification(`Session ${sessionId} deleted`);
+                break;
+            }
+        }
+    } catch (error) {
+        console.error('Error handling session action:', error);
+        showNotification('Error: ' + error.message, 'error');
+    }
 }
 
 /**
@@ -277,6 +680,7 @@ function setupMenuItems() {
                 document.getElementById('linkedin-client-secret').value = apiConfig.linkedin?.clientSecret || '';
 
                 showModal('api-modal');
+                renderStorageUsage();
             } catch (error) {
                 console.error('Error loading API config:', error);
                 showNotification('Error loading API settings', 'error');
@@ -304,12 +708,30 @@ function setupModalControls() {
         apiForm.addEventListener('submit', handleApiFormSubmit);
     }
 
+    // Data check button
+    const maintenanceButton = document.getElementById('run-maintenance-btn');
+    if (maintenanceButton) {
+        maintenanceButton.addEventListener('click', () => handleRunMaintenance(false));
+    }
+
+    // Storage compaction button
+    const compactButton = document.getElementById('compact-engagement-btn');
+    if (compactButton) {
+        compactButton.addEventListener('click', handleCompactEngagement);
+    }
+
     // Export data button
     const exportButton = document.getElementById('export-data');
     if (exportButton) {
         exportButton.addEventListener('click', handleExportData);
     }
 
+    // Export calendar button
+    const calendarButton = document.getElementById('export-calendar');
+    if (calendarButton) {
+        calendarButton.addEventListener('click', handleExportCalendar);
+    }
+
     // Import data button
     const importButton = document.getElementById('import-data');
     if (importButton) {
@@ -394,6 +816,7 @@ async function handleExportData() {
         const exportData = {
             type: 'platform-engagement-tracker-export',
             version: '2.0',
+            schemaVersion: SCHEMA_VERSION,
             sessionId: getCurrentSessionId(),
             timestamp: new Date().toISOString(),
             data: sessionData
@@ -421,6 +844,20 @@ async function handleExportData() {
     }
 }
 
+/**
+ * Handle calendar export
+ */
+async function handleExportCalendar() {
+    try {
+        const ics = await exportCalendar();
+        downloadFile(ics, `platform-tracker-${getCurrentSessionId()}.ics`, 'text/calendar');
+        showNotification('Calendar exported successfully');
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        showNotification('Error exporting calendar', 'error');
+    }
+}
+
 /**
  * Handle import data
  */
@@ -447,22 +884,58 @@ async function handleImportData() {
                     throw new Error('Invalid import file format');
                 }
 
+                // Exports written before schema stamps count as version 0
+                const fromVersion = importData.schemaVersion || 0;
+                if (fromVersion > SCHEMA_VERSION) {
+                    throw new Error(`This file was exported by a newer version of the app (schema v${fromVersion}, this version supports v${SCHEMA_VERSION})`);
+                }
+
+                const importedData = await migrateSnapshot(importData.data || {}, fromVersion);
+                Object.entries(EMPTY_IMPORT_DATA).forEach(([key, emptyValue]) => {
+                    importedData[key] = importedData[key] ?? emptyValue;
+                });
                 const currentData = await loadAllSessionData();
 
                 let newData;
                 if (importMode === 'replace') {
-                    newData = importData.data;
+                    newData = importedData;
                 } else {
                     newData = {
-                        apiConfig: { ...currentData.apiConfig, ...importData.data.apiConfig },
-                        contentItems: mergeArrays(currentData.contentItems, importData.data.contentItems, 'id'),
-                        engagementData: [...currentData.engagementData, ...importData.data.engagementData]
+                        apiConfig: { ...currentData.apiConfig, ...importedData.apiConfig },
+                        contentItems: mergeArrays(currentData.contentItems, importedData.contentItems, 'id'),
+                        engagementData: [...currentData.engagementData, ...importedData.engagementData],
+                        contracts: mergeArrays(currentData.contracts, importedData.contracts, 'id'),
+                        invoices: mergeArrays(currentData.invoices, importedData.invoices, 'id'),
+                        // Never move the number sequence backwards, so numbers are not issued twice
+                        invoiceSettings: {
+                            ...currentData.invoiceSettings,
+                            ...importedData.invoiceSettings,
+                            nextNumber: Math.max(
+                                (currentData.invoiceSettings || {}).nextNumber || 1,
+                                (importedData.invoiceSettings || {}).nextNumber || 1
+                            )
+                        },
+                        exchangeRates: {
+                            ...currentData.exchangeRates,
+                            ...importedData.exchangeRates,
+                            rates: {
+                                ...(currentData.exchangeRates || {}).rates,
+                                ...(importedData.exchangeRates || {}).rates
+                            }
+                        },
+                        contractTemplates: mergeArrays(currentData.contractTemplates, importedData.contractTemplates, 'id'),
+                        contractRevisions: mergeArrays(currentData.contractRevisions, importedData.contractRevisions, 'id'),
+                        reminderSettings: {
+                            ...currentData.reminderSettings,
+                            ...importedData.reminderSettings
+                        },
+                        reminderAlerts: mergeArrays(currentData.reminderAlerts, importedData.reminderAlerts, 'id')
                     };
                 }
 
-                await saveSessionData('apiConfig', newData.apiConfig);
-                await saveSessionData('contentItems', newData.contentItems);
-                await saveSessionData('engagementData', newData.engagementData);
+                for (const key of Object.keys(EMPTY_IMPORT_DATA)) {
+                    await saveSessionData(key, newData[key]);
+                }
 
                 importStatus.textContent = 'Data imported successfully';
                 importStatus.className = 'mt-2 text-sm text-green-500';
@@ -0,0 +1,1175 @@
+/**
+ * Contracts component for Platform Engagement Tracker
+ * Renders the contracts list and handles the contract form through contract-manager.js
+ */
+
+import {
+    loadContracts,
+    addContract,
+    deleteContract as removeContract,
+    changeContractStatus as moveContract,
+    getAllowedTransitions,
+    CONTRACT_STATUSES,
+    addDeliverable,
+    removeDeliverable as deleteDeliverable,
+    attachContent,
+    detachContent,
+    getDeliverableProgress,
+    addKpiTarget,
+    removeKpiTarget as deleteKpiTarget,
+    getKpiProgress,
+    KPI_METRICS,
+    addMilestone,
+    removeMilestone as deleteMilestone,
+    markMilestonePaid,
+    getPaymentSchedule,
+    getPaymentTotals,
+    RECURRENCE_FREQUENCIES,
+    ROLLOVER_POLICIES,
+    restoreContractRevision
+} from '../modules/contract-manager.js';
+import { loadContractRevisions, setRevisionAuthor } from '../modules/contract-history.js';
+import { generateRetainerPeriods, getRetainerHistory } from '../modules/retainer-manager.js';
+import {
+    loadTemplates,
+    saveContractAsTemplate,
+    deleteTemplate,
+    createContractFromTemplate,
+    contractDataFromTemplate,
+    cloneContract as copyContract
+} from '../modules/template-manager.js';
+import { createInvoice } from '../modules/invoice-manager.js';
+import { loadContentItems } from '../modules/content-manager.js';
+import { loadEngagementData } from '../modules/engagement-manager.js';
+import { PLATFORMS } from '../modules/config.js';
+import {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    formatCurrency,
+    formatCurrencyAmounts,
+    convertAmounts,
+    loadExchangeRates,
+    saveExchangeRates
+} from '../modules/currency.js';
+import { refreshInvoices } from './invoices.js';
+import { loadPreference, savePreference } from '../modules/storage.js';
+import { formatDate, formatDateTime, showNotification, escapeHtml } from '../modules/utils.js';
+
+// In-memory contracts
+let contracts = [];
+
+// Recorded contract revisions, oldest first
+let revisions = [];
+
+// Content library, for deliverable progress and attaching content
+let contentLibrary = [];
+
+// Engagement snapshots, for KPI progress
+let engagementSnapshots = [];
+
+// Exchange rates used to combine totals in different currencies
+let exchangeRates = { base: DEFAULT_CURRENCY, rates: {} };
+
+// Contract templates offered in the contract form
+let templates = [];
+
+// Contracts whose deliverables are expanded
+const expandedContracts = new Set();
+
+// DOM elements - initialized in loadContractsPanel
+let contractsList;
+
+// Whether the form and list handlers are attached
+let listenersAttached = false;
+
+// Status shown in the list ('all' shows every status, grouped)
+let statusFilter = 'all';
+
+// Badge colors per status
+const STATUS_CLASSES = {
+    draft: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+    negotiating: 'bg-yellow-100 text-yellow-800',
+    active: 'bg-blue-100 text-blue-800',
+    delivered: 'bg-indigo-100 text-indigo-800',
+    invoiced: 'bg-purple-100 text-purple-800',
+    paid: 'bg-green-100 text-green-800',
+    cancelled: 'bg-gray-200 text-gray-600',
+    disputed: 'bg-red-100 text-red-800'
+};
+
+// Badge colors and labels per KPI status
+const KPI_STATUSES = {
+    met: { label: 'Met', className: 'bg-green-100 text-green-800' },
+    'on-track': { label: 'On track', className: 'bg-blue-100 text-blue-800' },
+    pending: { label: 'Not started', className: 'bg-gray-100 text-gray-800' },
+    'at-risk': { label: 'At risk', className: 'bg-yellow-100 text-yellow-800' },
+    missed: { label: 'Missed', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Load contracts and initialize the contracts panel
+ */
+export async function loadContractsPanel() {
+    contractsList = document.getElementById('contracts-list');
+    setRevisionAuthor(loadPreference('revisionAuthor', ''));
+
+    await generateDueRetainerPeriods();
+    await reloadContracts();
+    contentLibrary = await loadContentItems();
+    engagementSnapshots = await loadEngagementData();
+    exchangeRates = await loadExchangeRates();
+    templates = await loadTemplates();
+    fillCurrencySelects();
+    renderTemplateOptions();
+    resetContractDates();
+    renderContracts();
+
+    if (!listenersAttached) {
+        const contractForm = document.getElementById('contract-form');
+        if (contractForm) {
+            contractForm.addEventListener('submit', handleContractFormSubmit);
+        }
+        const templateSelect = document.getElementById('contract-template');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', applySelectedTemplate);
+        }
+        const startDateInput = document.getElementById('contract-start-date');
+        if (startDateInput) {
+            // Template dates are relative to the start date
+            startDateInput.addEventListener('change', () => {
+                if (getSelectedTemplate()) applySelectedTemplate();
+            });
+        }
+        const deleteTemplateButton = document.getElementById('delete-contract-template');
+        if (deleteTemplateButton) {
+            deleteTemplateButton.addEventListener('click', deleteSelectedTemplate);
+        }
+        const exchangeRateForm = document.getElementById('exchange-rate-form');
+        if (exchangeRateForm) {
+            exchangeRateForm.addEventListener('submit', handleExchangeRateFormSubmit);
+        }
+        const authorInput = document.getElementById('revision-author');
+        if (authorInput) {
+            authorInput.value = loadPreference('revisionAuthor', '');
+            authorInput.addEventListener('change', () => {
+                savePreference('revisionAuthor', authorInput.value.trim());
+                setRevisionAuthor(authorInput.value);
+            });
+        }
+        const statusFilterSelect = document.getElementById('contract-status-filter');
+        if (statusFilterSelect) {
+            statusFilterSelect.addEventListener('change', () => {
+                statusFilter = statusFilterSelect.value;
+                renderContracts();
+            });
+        }
+        listenersAttached = true;
+    }
+}
+
+/**
+ * Reload contracts from storage and re-render the list
+ */
+export async function refreshContracts() {
+    await generateDueRetainerPeriods();
+    await reloadContracts();
+    contentLibrary = await loadContentItems();
+    engagementSnapshots = await loadEngagementData();
+    exchangeRates = await loadExchangeRates();
+    templates = await loadTemplates();
+    renderTemplateOptions();
+    renderContracts();
+}
+
+/**
+ * Reload contracts and their revisions from storage
+ */
+async function reloadContracts() {
+    contracts = await loadContracts();
+    revisions = await loadContractRevisions();
+}
+
+/**
+ * Generate the deliverables and milestones of retainer periods that have started.
+ * A failure is reported but does not stop the contracts from loading.
+ */
+async function generateDueRetainerPeriods() {
+    try {
+        const generated = await generateRetainerPeriods();
+        if (generated > 0) {
+            showNotification(`Started ${generated} new retainer ${generated === 1 ? 'period' : 'periods'}`, 'info');
+        }
+    } catch (error) {
+        console.error('Error generating retainer periods:', error);
+        showNotification('Error generating retainer periods: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Render contracts
+ */
+function renderContracts() {
+    if (!contractsList) {
+        console.log('Contracts list element not found, skipping render');
+        return;
+    }
+
+    try {
+        renderPaymentStats();
+        renderExchangeRateFields();
+        contractsList.innerHTML = '';
+
+        if (!contracts || contracts.length === 0) {
+            contractsList.innerHTML = '<tr><td colspan="7" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No contracts added yet</td></tr>';
+            return;
+        }
+
+        const statuses = statusFilter === 'all' ? CONTRACT_STATUSES : [statusFilter];
+        const visible = contracts.filter(contract => statuses.includes(contract.status));
+
+        if (visible.length === 0) {
+            contractsList.innerHTML = `<tr><td colspan="7" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No ${escapeHtml(formatStatus(statusFilter).toLowerCase())} contracts</td></tr>`;
+            return;
+        }
+
+        console.log(`Rendering ${visible.length} contracts`);
+
+        statuses.forEach(status => {
+            const group = visible.filter(contract => contract.status === status);
+            if (group.length === 0) return;
+
+            const header = document.createElement('tr');
+            header.className = 'bg-gray-50 dark:bg-gray-700';
+            header.innerHTML = `<td colspan="7" class="px-6 py-2 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">${formatStatus(status)} (${group.length})</td>`;
+            contractsList.appendChild(header);
+
+            group.forEach(contract => {
+                const progress = getDeliverableProgress(contract, contentLibrary);
+                const kpiProgress = getKpiProgress(contract, contentLibrary, engagementSnapshots);
+                const schedule = getPaymentSchedule(contract);
+                contractsList.appendChild(createContractRow(contract, progress, kpiProgress));
+                if (expandedContracts.has(contract.id)) {
+                    contractsList.appendChild(createDeliverablesRow(contract, progress, kpiProgress, schedule));
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error rendering contracts:', error);
+        if (contractsList) {
+            contractsList.innerHTML = '<tr><td colspan="7" class="px-6 py-4 text-center text-red-500">Error rendering contracts</td></tr>';
+        }
+    }
+}
+
+/**
+ * Show received, outstanding and overdue money across all contracts in the stats row.
+ * Totals are converted to the base currency when every currency involved has a rate,
+ * and listed per currency otherwise.
+ */
+function renderPaymentStats() {
+    const totals = getPaymentTotals(contracts);
+    const fields = {
+        'payments-received': totals.received,
+        'payments-outstanding': totals.outstanding,
+        'payments-overdue': totals.overdue
+    };
+
+    Object.entries(fields).forEach(([id, amounts]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        const converted = convertAmounts(amounts, exchangeRates);
+        element.textContent = converted.missing.length === 0
+            ? formatCurrency(converted.amount, converted.currency)
+            : formatCurrencyAmounts(amounts);
+        element.title = converted.missing.length === 0
+            ? formatCurrencyAmounts(amounts)
+            : `Add exchange rates for ${converted.missing.join(', ')} to see a single total`;
+    });
+}
+
+/**
+ * Fill the currency drop-downs of the contract and exchange rate forms
+ */
+function fillCurrencySelects() {
+    const options = Object.entries(CURRENCIES)
+        .map(([code, name]) => `<option value="${code}">${code} - ${escapeHtml(name)}</option>`)
+        .join('');
+
+    const contractCurrency = document.getElementById('contract-currency');
+    if (contractCurrency && !contractCurrency.options.length) {
+        contractCurrency.innerHTML = options;
+        contractCurrency.value = DEFAULT_CURRENCY;
+    }
+
+    const exchangeBase = document.getElementById('exchange-base');
+    if (exchangeBase) {
+        if (!exchangeBase.options.length) {
+            exchangeBase.innerHTML = options;
+            exchangeBase.addEventListener('change', renderExchangeRateFields);
+        }
+        exchangeBase.value = exchangeRates.base;
+    }
+}
+
+/**
+ * Render one exchange rate input per currency in use (other than the base currency)
+ */
+function renderExchangeRateFields() {
+    const container = document.getElementById('exchange-rate-fields');
+    const exchangeBase = document.getElementById('exchange-base');
+    if (!container) return;
+
+    const base = exchangeBase ? exchangeBase.value || exchangeRates.base : exchangeRates.base;
+    const currencies = new Set([
+        ...contracts.map(contract => contract.currency || DEFAULT_CURRENCY),
+        ...Object.keys(exchangeRates.rates)
+    ]);
+    currencies.delete(base);
+
+    // Keep what the user typed but has not saved yet
+    const typed = {};
+    container.querySelectorAll('input[data-currency]').forEach(input => {
+        typed[input.dataset.currency] = input.value;
+    });
+
+    container.innerHTML = Array.from(currencies).sort().map(currency => {
+        const value = typed[currency] !== undefined
+            ? typed[currency]
+            : (exchangeRates.base === base && exchangeRates.rates[currency]) || '';
+        return `
+            <label class="flex items-center">
+                1 ${currency} =
+                <input type="number" min="0" step="any" class="w-24 mx-1 text-sm" data-currency="${currency}" value="${value}">
+                ${escapeHtml(base)}
+            </label>`;
+    }).join('');
+}
+
+/**
+ * Handle exchange rate form submission
+ */
+async function handleExchangeRateFormSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const rates = {};
+    form.querySelectorAll('input[data-currency]').forEach(input => {
+        rates[input.dataset.currency] = input.value;
+    });
+
+    try {
+        exchangeRates = await saveExchangeRates({ base: form.querySelector('#exchange-base').value, rates });
+        renderContracts();
+        showNotification('Exchange rates saved', 'success');
+    } catch (error) {
+        console.error('Error saving exchange rates:', error);
+        showNotification('Error saving exchange rates: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Create the table row for a contract
+ * @param {Object} contract - Contract
+ * @param {Object} progress - Deliverable progress from getDeliverableProgress
+ * @param {Object} kpiProgress - KPI progress from getKpiProgress
+ * @returns {HTMLTableRowElement} Row
+ */
+function createContractRow(contract, progress, kpiProgress) {
+    const row = document.createElement('tr');
+    const transitions = getAllowedTransitions(contract.status);
+    const statusSelect = transitions.length === 0 ? '' : `
+        <select class="mt-1 text-xs" onchange="changeContractStatus('${contract.id}', this.value)">
+            <option value="">Move to...</option>
+            ${transitions.map(status => `<option value="${status}">${formatStatus(status)}</option>`).join('')}
+        </select>`;
+
+    row.innerHTML = `
+        <td class="px-6 py-4">
+            <div class="font-medium text-gray-900 dark:text-white">${escapeHtml(contract.projectName)}</div>
+            <div class="text-sm text-gray-500 dark:text-gray-400">${escapeHtml(contract.clientName)}</div>
+        </td>
+        <td class="px-6 py-4">
+            <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_CLASSES[contract.status] || ''}">${formatStatus(contract.status)}</span>
+            ${statusSelect}
+        </td>
+        <td class="px-6 py-4">
+            <button class="text-blue-500 hover:underline" onclick="toggleDeliverables('${contract.id}')">
+                ${progress.required ? `${progress.fulfilled}/${progress.required} fulfilled` : 'None'}
+            </button>
+            ${progress.overdue ? `<div class="text-xs text-red-500">${progress.overdue} overdue</div>` : ''}
+            ${kpiProgress.health ? `<div class="mt-1">${formatKpiStatus(kpiProgress.health, 'KPIs: ')}</div>` : ''}
+        </td>
+        <td class="px-6 py-4">${formatCurrency(contract.value, contract.currency)}</td>
+        <td class="px-6 py-4">${formatDate(contract.startDate)} - ${formatDate(contract.endDate)}</td>
+        <td class="px-6 py-4">${contract.dueDate ? formatDate(contract.dueDate) : '-'}</td>
+        <td class="px-6 py-4 text-right">
+            <button class="btn btn-sm btn-primary mr-2" onclick="viewContract('${contract.id}')">View</button>
+            <button class="btn btn-sm mr-2" onclick="cloneContract('${contract.id}')">Clone</button>
+            <button class="btn btn-sm mr-2" onclick="saveContractTemplate('${contract.id}')">Save as Template</button>
+            <button class="btn btn-sm btn-danger" onclick="deleteContract('${contract.id}')">Delete</button>
+        </td>
+    `;
+
+    return row;
+}
+
+/**
+ * Create the expanded row listing a contract's deliverables, their attached
+ * content, KPI targets and payment schedule, with the controls to change them
+ * @param {Object} contract - Contract
+ * @param {Object} progress - Deliverable progress from getDeliverableProgress
+ * @param {Object} kpiProgress - KPI progress from getKpiProgress
+ * @param {Object} schedule - Payment schedule from getPaymentSchedule
+ * @returns {HTMLTableRowElement} Row
+ */
+function createDeliverablesRow(contract, progress, kpiProgress, schedule) {
+    const row = document.createElement('tr');
+    const platformOptions = Object.entries(PLATFORMS)
+        .map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`)
+        .join('');
+
+    const items = progress.deliverables.map(deliverable => {
+        const attached = deliverable.contentItems.map(item => `
+            <span class="inline-flex items-center mr-2 mb-1 px-2 text-xs rounded-full bg-green-100 text-green-800">
+                ${escapeHtml(item.title)}
+                <button class="ml-1" title="Detach" onclick="detachDeliverableContent('${contract.id}', '${deliverable.id}', '${item.id}')">&times;</button>
+            </span>`).join('');
+
+        const candidates = contentLibrary.filter(item =>
+            (deliverable.type === 'other' || item.platform === deliverable.type) && !deliverable.contentIds.includes(item.id));
+        const attachControl = deliverable.outstanding > 0 && candidates.length > 0 ? `
+            <select class="text-xs" onchange="attachDeliverableContent('${contract.id}', '${deliverable.id}', this.value)">
+                <option value="">Attach content...</option>
+                ${candidates.map(item => `<option value="${item.id}">${escapeHtml(item.title)}</option>`).join('')}
+            </select>` : '';
+
+        return `
+            <li class="py-2">
+                <div class="flex justify-between">
+                    <span>
+                        <span class="font-medium">${deliverable.quantity} &times; ${escapeHtml(PLATFORMS[deliverable.type] || deliverable.type)}</span>
+                        ${deliverable.description ? ` - ${escapeHtml(deliverable.description)}` : ''}
+                        ${deliverable.dueDate ? `<span class="text-xs ${deliverable.overdue ? 'text-red-500' : 'text-gray-500'}"> (due ${formatDate(deliverable.dueDate)})</span>` : ''}
+                    </span>
+                    <span class="text-sm">
+                        ${deliverable.fulfilled}/${deliverable.quantity} fulfilled
+                        <button class="ml-2 text-red-500" title="Remove deliverable" onclick="removeContractDeliverable('${contract.id}', '${deliverable.id}')">&times;</button>
+                    </span>
+                </div>
+                <div class="mt-1">${attached}${attachControl}</div>
+            </li>`;
+    }).join('');
+
+    const metricOptions = Object.entries(KPI_METRICS)
+        .map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`)
+        .join('');
+
+    const kpiItems = kpiProgress.targets.map(kpiTarget => `
+            <li class="py-2">
+                <div class="flex justify-between text-sm">
+                    <span>
+                        ${formatNumber(kpiTarget.target)} ${escapeHtml(KPI_METRICS[kpiTarget.metric].toLowerCase())} within ${kpiTarget.windowDays} days
+                        <span class="text-xs text-gray-500">(until ${formatDate(kpiTarget.windowEnd)})</span>
+                    </span>
+                    <span>
+                        ${formatNumber(kpiTarget.actual)} ${formatKpiStatus(kpiTarget.status)}
+                        <button class="ml-2 text-red-500" title="Remove target" onclick="removeContractKpiTarget('${contract.id}', '${kpiTarget.id}')">&times;</button>
+                    </span>
+                </div>
+                <div class="mt-1 h-2 bg-gray-200 dark:bg-gray-600 rounded">
+                    <div class="h-2 rounded bg-blue-500" style="width: ${kpiTarget.percent.toFixed(1)}%"></div>
+                </div>
+            </li>`).join('');
+
+    const milestoneItems = schedule.milestones.map(milestone => `
+            <li class="py-2 flex justify-between text-sm">
+                <span>
+                    <span class="font-medium">${escapeHtml(milestone.name)}</span> - ${formatCurrency(milestone.amount, contract.currency)}
+                    ${milestone.invoiceRef ? `<span class="text-xs text-gray-500"> (${escapeHtml(milestone.invoiceRef)})</span>` : ''}
+                </span>
+                <span>
+                    ${formatMilestoneStatus(milestone)}
+                    ${milestone.status !== 'paid' && !milestone.invoiceRef ? `<button class="ml-2 btn btn-sm" onclick="invoiceContractMilestone('${contract.id}', '${milestone.id}')">Invoice</button>` : ''}
+                    ${milestone.status !== 'paid' ? `<button class="ml-2 btn btn-sm btn-primary" onclick="markContractMilestonePaid('${contract.id}', '${milestone.id}')">Mark Paid</button>` : ''}
+                    <button class="ml-2 text-red-500" title="Remove milestone" onclick="removeContractMilestone('${contract.id}', '${milestone.id}')">&times;</button>
+                </span>
+            </li>`).join('');
+
+    row.innerHTML = `
+        <td colspan="7" class="px-6 py-4 bg-gray-50 dark:bg-gray-700">
+            ${contract.recurrence ? createRetainerSection(contract) : ''}
+            <ul class="divide-y divide-gray-200 dark:divide-gray-600 mb-2">
+                ${items || '<li class="py-2 text-gray-500 dark:text-gray-400">No deliverables yet</li>'}
+            </ul>
+            <div class="flex flex-wrap items-center gap-2" data-deliverable-form="${contract.id}">
+                <select name="type" class="text-sm">${platformOptions}</select>
+                <input type="number" name="quantity" min="1" value="1" class="w-20 text-sm">
+                <input type="date" name="dueDate" class="text-sm">
+                <input type="text" name="description" placeholder="Description" class="text-sm">
+                <button class="btn btn-sm btn-primary" onclick="addContractDeliverable('${contract.id}')">Add Deliverable</button>
+            </div>
+            <h4 class="mt-4 mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">KPI Targets</h4>
+            <ul class="divide-y divide-gray-200 dark:divide-gray-600 mb-2">
+                ${kpiItems || '<li class="py-2 text-gray-500 dark:text-gray-400">No KPI targets yet</li>'}
+            </ul>
+            <div class="flex flex-wrap items-center gap-2" data-kpi-form="${contract.id}">
+                <select name="metric" class="text-sm">${metricOptions}</select>
+                <input type="number" name="target" min="1" placeholder="Target" class="w-28 text-sm">
+                <span class="text-sm">within</span>
+                <input type="number" name="windowDays" min="1" value="30" class="w-20 text-sm">
+                <span class="text-sm">days of the start date</span>
+                <button class="btn btn-sm btn-primary" onclick="addContractKpiTarget('${contract.id}')">Add Target</button>
+            </div>
+            <h4 class="mt-4 mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Payment Schedule
+                <span class="font-normal text-gray-500 dark:text-gray-400">
+                    (${formatCurrency(schedule.received, contract.currency)} received, ${formatCurrency(schedule.outstanding, contract.currency)} outstanding${schedule.unscheduledValue > 0 ? `, ${formatCurrency(schedule.unscheduledValue, contract.currency)} of the contract value not scheduled` : ''})
+                </span>
+            </h4>
+            <ul class="divide-y divide-gray-200 dark:divide-gray-600 mb-2">
+                ${milestoneItems || '<li class="py-2 text-gray-500 dark:text-gray-400">No milestones yet</li>'}
+            </ul>
+            <div class="flex flex-wrap items-center gap-2" data-milestone-form="${contract.id}">
+                <input type="text" name="name" placeholder="e.g. Deposit" class="text-sm">
+                <input type="number" name="amount" min="0" step="0.01" placeholder="Amount" class="w-28 text-sm">
+                <input type="date" name="dueDate" class="text-sm">
+                <input type="text" name="invoiceRef" placeholder="Invoice ref" class="w-28 text-sm">
+                <button class="btn btn-sm btn-primary" onclick="addContractMilestone('${contract.id}')">Add Milestone</button>
+            </div>
+            ${createHistorySection(contract)}
+        </td>
+    `;
+
+    return row;
+}
+
+/**
+ * Render a retainer's recurrence rule and the fulfilment and payment of each period
+ * @param {Object} contract - Contract with a recurrence rule
+ * @returns {string} Section HTML
+ */
+function createRetainerSection(contract) {
+    const { recurrence } = contract;
+    const every = recurrence.interval > 1 ? ` (every ${recurrence.interval})` : '';
+    const quota = recurrence.quota
+        .map(item => `${item.quantity} &times; ${escapeHtml(PLATFORMS[item.type] || item.type)}`)
+        .join(', ') || 'No quota';
+
+    const periods = getRetainerHistory(contract, contentLibrary).map(period => `
+            <tr class="${period.current ? 'font-medium' : ''}">
+                <td class="py-1 pr-4">${formatDate(period.start)} - ${formatDate(period.end)}${period.current ? ' (current)' : ''}</td>
+                <td class="py-1 pr-4 ${period.overdue ? 'text-red-500' : ''}">
+                    ${period.fulfilled}/${period.required} fulfilled
+                    ${period.carriedOver ? `<span class="text-xs text-gray-500">(${period.carriedOver} carried over)</span>` : ''}
+                </td>
+                <td class="py-1">${period.payment ? `${formatCurrency(period.payment.amount, contract.currency)} ${formatMilestoneStatus(period.payment)}` : '-'}</td>
+            </tr>`).join('');
+
+    return `
+            <h4 class="mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                ${escapeHtml(RECURRENCE_FREQUENCIES[recurrence.frequency])} Retainer${every}
+                <span class="font-normal text-gray-500 dark:text-gray-400">
+                    (${quota} and ${formatCurrency(recurrence.amount, contract.currency)} per period; unfulfilled quota ${escapeHtml(ROLLOVER_POLICIES[recurrence.rollover].toLowerCase())})
+                </span>
+            </h4>
+            ${periods ? `
+            <table class="mb-4 text-sm">
+                <tbody>${periods}</tbody>
+            </table>` : `<p class="mb-4 text-sm text-gray-500 dark:text-gray-400">Periods are generated while the contract is active</p>`}`;
+}
+
+/**
+ * Render a contract's revisions, newest first, with the option to restore earlier ones
+ * @param {Object} contract - Contract
+ * @returns {string} Section HTML
+ */
+function createHistorySection(contract) {
+    const contractRevisions = revisions.filter(revision => revision.contractId === contract.id);
+    const latest = contractRevisions.length ? contractRevisions[contractRevisions.length - 1].number : null;
+
+    const items = [...contractRevisions].reverse().map(revision => {
+        const changes = revision.changes.map(change => `<li>${formatChange(change)}</li>`).join('');
+        return `
+            <li class="py-2 text-sm">
+                <div class="flex justify-between">
+                    <span>
+                        <span class="font-medium">#${revision.number} ${escapeHtml(formatRevisionAction(revision))}</span>
+                        <span class="text-xs text-gray-500 dark:text-gray-400">${formatDateTime(revision.at)} by ${escapeHtml(revision.author || 'unknown')}</span>
+                    </span>
+                    ${revision.number !== latest && revision.snapshot ? `<button class="btn btn-sm" onclick="restoreContractVersion('${contract.id}', ${revision.number})">Restore</button>` : ''}
+                </div>
+                ${changes ? `<ul class="ml-4 list-disc text-gray-600 dark:text-gray-300">${changes}</ul>` : ''}
+            </li>`;
+    }).join('');
+
+    return `
+            <h4 class="mt-4 mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">Change History</h4>
+            <ul class="divide-y divide-gray-200 dark:divide-gray-600 max-h-64 overflow-y-auto">
+                ${items || '<li class="py-2 text-gray-500 dark:text-gray-400">No changes recorded yet</li>'}
+            </ul>`;
+}
+
+/**
+ * Describe what a revision did
+ * @param {Object} revision - Revision
+ * @returns {string} Description
+ */
+function formatRevisionAction(revision) {
+    switch (revision.action) {
+        case 'created':
+            return 'Created';
+        case 'deleted':
+            return 'Deleted';
+        case 'restored':
+            return `Restored revision #${revision.restoredFrom}`;
+        default:
+            return 'Updated';
+    }
+}
+
+/**
+ * Describe one change of a revision
+ * @param {Object} change - { label, from, to }
+ * @returns {string} Change HTML
+ */
+function formatChange(change) {
+    const label = escapeHtml(change.label);
+    if (change.from === null && change.to !== null && typeof change.to === 'object') return `Added ${label}`;
+    if (change.to === null && change.from !== null && typeof change.from === 'object') return `Removed ${label}`;
+
+    const formatValue = (value) => {
+        if (value === null || value === '') return '<em>none</em>';
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    };
+    return `${label}: ${formatValue(change.from)} &rarr; ${formatValue(change.to)}`;
+}
+
+/**
+ * Restore a contract to one of its earlier revisions
+ * @param {string} id - Contract ID
+ * @param {number} revisionNumber - Revision number
+ */
+async function restoreContractVersion(id, revisionNumber) {
+    if (!confirm(`Restore revision #${revisionNumber}? The current terms are kept in the history.`)) return;
+
+    await applyContractChange(() => restoreContractRevision(id, revisionNumber), `Revision #${revisionNumber} restored`);
+}
+
+/**
+ * Show or hide a contract's deliverables
+ * @param {string} id - Contract ID
+ */
+function toggleDeliverables(id) {
+    if (expandedContracts.has(id)) {
+        expandedContracts.delete(id);
+    } else {
+        expandedContracts.add(id);
+    }
+    renderContracts();
+}
+
+/**
+ * Run a deliverable or KPI target change, then reload the contracts and report errors
+ * @param {Function} change - Async change to run
+ * @param {string} successMessage - Notification on success
+ */
+async function applyContractChange(change, successMessage) {
+    try {
+        await change();
+        await reloadContracts();
+        showNotification(successMessage, 'success');
+    } catch (error) {
+        console.error('Error changing contract:', error);
+        showNotification('Error changing contract: ' + error.message, 'error');
+    }
+    renderContracts();
+}
+
+/**
+ * Add a deliverable from the inline form of an expanded contract
+ * @param {string} contractId - Contract ID
+ */
+async function addContractDeliverable(contractId) {
+    const form = contractsList.querySelector(`[data-deliverable-form="${contractId}"]`);
+    if (!form) return;
+
+    await applyContractChange(() => addDeliverable(contractId, {
+        type: form.querySelector('[name="type"]').value,
+        quantity: form.querySelector('[name="quantity"]').value,
+        dueDate: form.querySelector('[name="dueDate"]').value,
+        description: form.querySelector('[name="description"]').value
+    }), 'Deliverable added');
+}
+
+/**
+ * Remove a deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ */
+async function removeContractDeliverable(contractId, deliverableId) {
+    if (!confirm('Remove this deliverable?')) return;
+    await applyContractChange(() => deleteDeliverable(contractId, deliverableId), 'Deliverable removed');
+}
+
+/**
+ * Attach a content item to a deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} contentId - Content item ID (empty when the placeholder option is chosen)
+ */
+async function attachDeliverableContent(contractId, deliverableId, contentId) {
+    if (!contentId) return;
+    await applyContractChange(() => attachContent(contractId, deliverableId, contentId), 'Content attached');
+}
+
+/**
+ * Detach a content item from a deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} contentId - Content item ID
+ */
+async function detachDeliverableContent(contractId, deliverableId, contentId) {
+    await applyContractChange(() => detachContent(contractId, deliverableId, contentId), 'Content detached');
+}
+
+/**
+ * Add a KPI target from the inline form of an expanded contract
+ * @param {string} contractId - Contract ID
+ */
+async function addContractKpiTarget(contractId) {
+    const form = contractsList.querySelector(`[data-kpi-form="${contractId}"]`);
+    if (!form) return;
+
+    await applyContractChange(() => addKpiTarget(contractId, {
+        metric: form.querySelector('[name="metric"]').value,
+        target: form.querySelector('[name="target"]').value,
+        windowDays: form.querySelector('[name="windowDays"]').value
+    }), 'KPI target added');
+}
+
+/**
+ * Remove a KPI target
+ * @param {string} contractId - Contract ID
+ * @param {string} targetId - KPI target ID
+ */
+async function removeContractKpiTarget(contractId, targetId) {
+    if (!confirm('Remove this KPI target?')) return;
+    await applyContractChange(() => deleteKpiTarget(contractId, targetId), 'KPI target removed');
+}
+
+/**
+ * Add a payment milestone from the inline form of an expanded contract
+ * @param {string} contractId - Contract ID
+ */
+async function addContractMilestone(contractId) {
+    const form = contractsList.querySelector(`[data-milestone-form="${contractId}"]`);
+    if (!form) return;
+
+    await applyContractChange(() => addMilestone(contractId, {
+        name: form.querySelector('[name="name"]').value,
+        amount: form.querySelector('[name="amount"]').value,
+        dueDate: form.querySelector('[name="dueDate"]').value,
+        invoiceRef: form.querySelector('[name="invoiceRef"]').value
+    }), 'Milestone added');
+}
+
+/**
+ * Record a milestone as paid today
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ */
+async function markContractMilestonePaid(contractId, milestoneId) {
+    await applyContractChange(() => markMilestonePaid(contractId, milestoneId), 'Payment recorded');
+}
+
+/**
+ * Generate an invoice for a milestone
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ */
+async function invoiceContractMilestone(contractId, milestoneId) {
+    let invoice = null;
+    await applyContractChange(async () => {
+        invoice = await createInvoice(contractId, [milestoneId]);
+    }, 'Invoice created');
+
+    if (invoice) {
+        await refreshInvoices();
+    }
+}
+
+/**
+ * Remove a payment milestone
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ */
+async function removeContractMilestone(contractId, milestoneId) {
+    if (!confirm('Remove this milestone?')) return;
+    await applyContractChange(() => deleteMilestone(contractId, milestoneId), 'Milestone removed');
+}
+
+/**
+ * Describe when a milestone was or is to be paid
+ * @param {Object} milestone - Milestone from getPaymentSchedule
+ * @returns {string} Status HTML
+ */
+function formatMilestoneStatus(milestone) {
+    switch (milestone.status) {
+        case 'paid':
+            return `<span class="text-green-600">Paid ${formatDate(milestone.paidDate)}</span>`;
+        case 'overdue':
+            return `<span class="text-red-500">Overdue since ${formatDate(milestone.dueDate)}</span>`;
+        case 'upcoming':
+            return `<span>Due ${formatDate(milestone.dueDate)}</span>`;
+        default:
+            return '<span class="text-gray-500">No due date</span>';
+    }
+}
+
+/**
+ * Render a KPI status badge
+ * @param {string} status - KPI status
+ * @param {string} prefix - Optional text before the label
+ * @returns {string} Badge HTML
+ */
+function formatKpiStatus(status, prefix = '') {
+    const { label, className } = KPI_STATUSES[status] || { label: status, className: '' };
+    return `<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${className}">${prefix}${label}</span>`;
+}
+
+/**
+ * Format a metric value, keeping at most one decimal (for watch hours)
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatNumber(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 1 });
+}
+
+/**
+ * Format a status for display
+ * @param {string} status - Status
+ * @returns {string} Capitalized status
+ */
+function formatStatus(status) {
+    if (!status) return '-';
+    return status.charAt(0).toUpperCase() + status.slice(1);
+}
+
+/**
+ * Set the contract form dates to today and one year from now
+ */
+function resetContractDates() {
+    const contractStartDate = document.getElementById('contract-start-date');
+    const contractEndDate = document.getElementById('contract-end-date');
+    if (contractStartDate) {
+        contractStartDate.valueAsDate = new Date();
+    }
+    if (contractEndDate) {
+        const endDate = new Date();
+        endDate.setFullYear(endDate.getFullYear() + 1);
+        contractEndDate.valueAsDate = endDate;
+    }
+}
+
+/**
+ * Fill the template drop-down of the contract form, keeping the selection
+ */
+function renderTemplateOptions() {
+    const templateSelect = document.getElementById('contract-template');
+    if (!templateSelect) return;
+
+    const selected = templateSelect.value;
+    templateSelect.innerHTML = '<option value="">No template</option>' + templates
+        .map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`)
+        .join('');
+    templateSelect.value = templates.some(template => template.id === selected) ? selected : '';
+    applySelectedTemplate();
+}
+
+/**
+ * Get the template chosen in the contract form
+ * @returns {Object|null} Template, or null when none is chosen
+ */
+function getSelectedTemplate() {
+    const templateSelect = document.getElementById('contract-template');
+    return (templateSelect && templates.find(template => template.id === templateSelect.value)) || null;
+}
+
+/**
+ * Fill the contract form from the chosen template. The template's deliverables and
+ * retainer quota are used as they are, so their fields are locked while it is chosen.
+ */
+function applySelectedTemplate() {
+    const form = document.getElementById('contract-form');
+    if (!form) return;
+
+    const template = getSelectedTemplate();
+    const summary = document.getElementById('contract-template-summary');
+    const deleteButton = document.getElementById('delete-contract-template');
+    const deliverablesInput = form.querySelector('#contract-deliverables');
+    const quotaInput = form.querySelector('#contract-quota');
+
+    if (deleteButton) deleteButton.classList.toggle('hidden', !template);
+    deliverablesInput.disabled = !!template;
+    quotaInput.disabled = !!(template && template.recurrence);
+
+    if (!template) {
+        if (summary) summary.textContent = '';
+        return;
+    }
+
+    const startDate = form.querySelector('#contract-start-date').value || new Date().toISOString().split('T')[0];
+    const data = contractDataFromTemplate(template, startDate);
+    const describe = (items) => items.map(item => `${item.quantity} ${item.description || PLATFORMS[item.type] || item.type}`).join(', ');
+    const fields = {
+        'contract-project': data.projectName,
+        'contract-client': data.clientName,
+        'contract-value': data.value,
+        'contract-currency': data.currency,
+        'contract-end-date': data.endDate,
+        'contract-due-date': data.dueDate || '',
+        'contract-description': data.description,
+        'contract-deliverables': describe(data.deliverables),
+        'contract-recurrence': data.recurrence ? data.recurrence.frequency : '',
+        'contract-quota': data.recurrence ? describe(data.recurrence.quota) : '',
+        'contract-period-amount': data.recurrence ? data.recurrence.amount : '',
+        'contract-payment-due-days': data.recurrence ? data.recurrence.paymentDueDays : 0,
+        'contract-rollover': data.recurrence ? data.recurrence.rollover : 'none'
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = form.querySelector(`#${id}`);
+        if (input) input.value = value;
+    });
+
+    if (summary) {
+        summary.textContent = `Adds ${data.deliverables.length} deliverables, ${data.kpiTargets.length} KPI targets and ${data.milestones.length} payment milestones`;
+    }
+}
+
+/**
+ * Delete the template chosen in the contract form
+ */
+async function deleteSelectedTemplate() {
+    const template = getSelectedTemplate();
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+
+    try {
+        await deleteTemplate(template.id);
+        templates = await loadTemplates();
+        renderTemplateOptions();
+        showNotification('Template deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        showNotification('Error deleting template: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Save a contract's terms as a template for new contracts
+ * @param {string} id - Contract ID
+ */
+async function saveContractTemplate(id) {
+    const contract = contracts.find(item => item.id === id);
+    if (!contract) return;
+
+    const name = prompt('Template name', contract.projectName);
+    if (name === null) return;
+
+    try {
+        await saveContractAsTemplate(id, name);
+        templates = await loadTemplates();
+        renderTemplateOptions();
+        showNotification('Template saved', 'success');
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showNotification('Error saving template: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Create a draft copy of a contract starting on a date the user picks
+ * @param {string} id - Contract ID
+ */
+async function cloneContract(id) {
+    const contract = contracts.find(item => item.id === id);
+    if (!contract) return;
+
+    const startDate = prompt('Start date of the copy (YYYY-MM-DD)', new Date().toISOString().split('T')[0]);
+    if (startDate === null) return;
+
+    try {
+        await copyContract(id, startDate.trim());
+        await reloadContracts();
+        showNotification('Contract copied as a draft', 'success');
+    } catch (error) {
+        console.error('Error cloning contract:', error);
+        showNotification('Error cloning contract: ' + error.message, 'error');
+    }
+
+    renderContracts();
+}
+
+/**
+ * Handle contract form submission
+ */
+async function handleContractFormSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const errorEl = form.querySelector('.error-message');
+
+    try {
+        const template = getSelectedTemplate();
+        const contractData = {
+            projectName: form.querySelector('#contract-project').value,
+            clientName: form.querySelector('#contract-client').value,
+            value: form.querySelector('#contract-value').value,
+            currency: form.querySelector('#contract-currency').value,
+            startDate: form.querySelector('#contract-start-date').value,
+            endDate: form.querySelector('#contract-end-date').value,
+            dueDate: form.querySelector('#contract-due-date').value,
+            description: form.querySelector('#contract-description').value
+        };
+
+        let newContract;
+        if (template) {
+            // Deliverables, KPI targets, milestones and the quota come from the template
+            const recurrence = readRecurrence(form, template.recurrence ? template.recurrence.quota : undefined);
+            newContract = await createContractFromTemplate(template.id, { ...contractData, recurrence });
+        } else {
+            newContract = await addContract({
+                ...contractData,
+                deliverables: form.querySelector('#contract-deliverables').value,
+                recurrence: readRecurrence(form)
+            });
+        }
+
+        if (newContract.recurrence && newContract.status === 'active') {
+            await generateDueRetainerPeriods();
+        }
+        await reloadContracts();
+
+        form.reset();
+        resetContractDates();
+        applySelectedTemplate();
+        if (errorEl) {
+            errorEl.classList.add('hidden');
+        }
+
+        renderContracts();
+        showNotification('Contract added successfully', 'success');
+    } catch (error) {
+        console.error('Error adding contract:', error);
+        if (errorEl) {
+            errorEl.textContent = error.message || 'Failed to save contract';
+            errorEl.classList.remove('hidden');
+        } else {
+            showNotification('Error adding contract: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Read the retainer fields of the contract form
+ * @param {HTMLFormElement} form - Contract form
+ * @param {Array} quota - Optional quota to use instead of the quota field (from a template)
+ * @returns {Object|null} Recurrence data, or null for a one-off contract
+ */
+function readRecurrence(form, quota) {
+    const frequency = form.querySelector('#contract-recurrence').value;
+    if (!frequency) return null;
+
+    return {
+        frequency,
+        quota: quota || form.querySelector('#contract-quota').value,
+        amount: form.querySelector('#contract-period-amount').value,
+        paymentDueDays: form.querySelector('#contract-payment-due-days').value,
+        rollover: form.querySelector('#contract-rollover').value
+    };
+}
+
+/**
+ * Move a contract to another status
+ * @param {string} id - Contract ID
+ * @param {string} status - New status (empty when the placeholder option is chosen)
+ */
+async function changeContractStatus(id, status) {
+    if (!status) return;
+
+    try {
+        const updated = await moveContract(id, status);
+        showNotification(`Contract marked as ${status}`, 'success');
+        // Activating a retainer starts the periods that are already under way
+        if (updated.recurrence && status === 'active') {
+            await generateDueRetainerPeriods();
+        }
+        await reloadContracts();
+    } catch (error) {
+        console.error('Error changing contract status:', error);
+        showNotification('Error changing contract status: ' + error.message, 'error');
+    }
+
+    renderContracts();
+}
+
+/**
+ * Delete contract
+ */
+async function deleteContract(id) {
+    if (!confirm('Are you sure you want to delete this contract?')) return;
+
+    try {
+        await removeContract(id);
+        await reloadContracts();
+        renderContracts();
+        showNotification('Contract deleted successfully', 'success');
+    } catch (error) {
+        console.error('Error deleting contract:', error);
+        showNotification('Error deleting contract: ' + error.message, 'error');
+    }
+}
+
+/**
+ * View contract details
+ */
+function viewContract(id) {
+    const contract = contracts.find(item => item.id === id);
+    if (!contract) return;
+
+    const history = (contract.statusHistory || [])
+        .map(entry => `  ${formatStatus(entry.to)}: ${entry.at ? formatDate(entry.at) : 'unknown'}`)
+        .join('\n');
+
+    const progress = getDeliverableProgress(contract, contentLibrary);
+    const deliverables = progress.deliverables
+        .map(d => `  ${d.quantity} x ${PLATFORMS[d.type] || d.type}${d.description ? ` (${d.description})` : ''}: ${d.fulfilled}/${d.quantity} fulfilled`)
+        .join('\n');
+
+    const { recurrence } = contract;
+    const retainer = recurrence
+        ? `\nRetainer: ${RECURRENCE_FREQUENCIES[recurrence.frequency]}, ${recurrence.quota.map(item => `${item.quantity} x ${PLATFORMS[item.type] || item.type}`).join(', ') || 'no quota'} and ${formatCurrency(recurrence.amount, contract.currency)} per period`
+        : '';
+
+    alert(`Contract Details:\n\nProject: ${contract.projectName}\nClient: ${contract.clientName}\nStatus: ${formatStatus(contract.status)}\nValue: ${formatCurrency(contract.value, contract.currency)}\nDuration: ${formatDate(contract.startDate)} - ${formatDate(contract.endDate)}\nDue: ${contract.dueDate ? formatDate(contract.dueDate) : 'None'}${retainer}\nDescription: ${contract.description || 'None'}\n\nDeliverables:\n${deliverables || '  None'}\n\nStatus history:\n${history || '  None'}`);
+}
+
+// Make functions available in the global scope
+window.viewContract = viewContract;
+window.cloneContract = cloneContract;
+window.restoreContractVersion = restoreContractVersion;
+window.saveContractTemplate = saveContractTemplate;
+window.deleteContract = deleteContract;
+window.changeContractStatus = changeContractStatus;
+window.toggleDeliverables = toggleDeliverables;
+window.addContractDeliverable = addContractDeliverable;
+window.removeContractDeliverable = removeContractDeliverable;
+window.attachDeliverableContent = attachDeliverableContent;
+window.detachDeliverableContent = detachDeliverableContent;
+window.addContractKpiTarget = addContractKpiTarget;
+window.removeContractKpiTarget = removeContractKpiTarget;
+window.addContractMilestone = addContractMilestone;
+window.markContractMilestonePaid = markContractMilestonePaid;
+window.invoiceContractMilestone = invoiceContractMilestone;
+window.removeContractMilestone = removeContractMilestone;
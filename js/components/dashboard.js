@@ -2,25 +2,43 @@
  * Dashboard component for Platform Engagement Tracker
  */
 
-import { getCurrentUser, loadAllUserData, saveUserData } from '../modules/storage.js';
-import { formatDate, formatDateTime, truncateText, normalizeUrl, calculateWatchHours, formatWatchHours, showNotification } from '../modules/utils.js';
+import { loadAllUserData, onSessionDataChange } from '../modules/storage.js';
+import { formatDate, formatDateTime, truncateText, normalizeUrl, calculateWatchHours, formatWatchHours, showNotification, escapeHtml } from '../modules/utils.js';
 import { fetchEngagementData } from '../modules/api.js';
 import { renderCharts } from './charts.js';
+import { addContentItem, deleteContentItem, updateContentItem, filterContentItems, getContentTags, normalizeTags } from '../modules/content-manager.js';
+import { calculateEngagementMetrics } from '../modules/engagement-manager.js';
+import { loadContractsPanel, refreshContracts } from './contracts.js';
+import { loadInvoicesPanel, refreshInvoices } from './invoices.js';
+import { loadRemindersPanel, refreshReminders } from './reminders.js';
 import { PLATFORMS, AVG_WATCH_PERCENTAGE } from '../modules/config.js';
 
 // In-memory data
 let contentItems = [];
 let engagementData = [];
-let contracts = [];
 let urlToContentMap = {};
 
+// Tags the content library is filtered by (items must have all of them)
+let tagFilters = [];
+
+// Tag editors of the add form and of the edit modal
+let addFormTagEditor = null;
+let editFormTagEditor = null;
+
+// Whether the content filter handlers are attached
+let contentFilterListenersAttached = false;
+
+// Cross-tab sync state
+let unsubscribeStorageChanges = null;
+let storageRefreshTimer = null;
+
 // DOM elements - initialized in setupDashboard
 let contentList;
 let engagementList;
-let contractsList;
 let totalContentEl;
 let totalEngagementsEl;
 let topPlatformEl;
+let tagPerformanceList;
 
 /**
  * Load dashboard data and initialize components
@@ -37,9 +55,8 @@ export async function loadDashboard() {
         const userData = await loadAllUserData();
         contentItems = Array.isArray(userData.contentItems) ? userData.contentItems : [];
         engagementData = Array.isArray(userData.engagementData) ? userData.engagementData : [];
-        contracts = Array.isArray(userData.contracts) ? userData.contracts : [];
         
-        console.log(`Loaded ${contentItems.length} content items, ${engagementData.length} engagement records, and ${contracts.length} contracts`);
+        console.log(`Loaded ${contentItems.length} content items and ${engagementData.length} engagement records`);
         
         // Rebuild URL to content map
         rebuildUrlContentMap();
@@ -49,25 +66,15 @@ export async function loadDashboard() {
         if (publishedDateInput) {
             publishedDateInput.valueAsDate = new Date();
         }
-        
-        // Set default dates for contract form
-        const contractStartDate = document.getElementById('contract-start-date');
-        const contractEndDate = document.getElementById('contract-end-date');
-        if (contractStartDate) {
-            contractStartDate.valueAsDate = new Date();
-        }
-        if (contractEndDate) {
-            // Set default end date to 1 year from now
-            const endDate = new Date();
-            endDate.setFullYear(endDate.getFullYear() + 1);
-            contractEndDate.valueAsDate = endDate;
-        }
+
         
         // Render data
         console.log('Rendering dashboard data...');
         renderContentItems();
         renderEngagementData();
-        renderContracts();
+        await loadContractsPanel();
+        await loadInvoicesPanel();
+        await loadRemindersPanel();
         updateStats();
         
         // Render charts if all required elements exist
@@ -82,6 +89,11 @@ export async function loadDashboard() {
         setupEventListeners();
         setupCollapsibleSections();
         
+        // Pick up changes saved in other tabs
+        if (!unsubscribeStorageChanges) {
+            unsubscribeStorageChanges = onSessionDataChange(handleStorageChange);
+        }
+        
         console.log('Dashboard loaded successfully');
     } catch (error) {
         console.error('Error loading dashboard:', error);
@@ -96,16 +108,15 @@ function setupDOMReferences() {
     try {
         contentList = document.getElementById('content-list');
         engagementList = document.getElementById('engagement-list');
-        contractsList = document.getElementById('contracts-list');
         totalContentEl = document.getElementById('total-content');
         totalEngagementsEl = document.getElementById('total-engagements');
         topPlatformEl = document.getElementById('top-platform');
+        tagPerformanceList = document.getElementById('tag-performance-list');
         
         // Log which elements were found
         console.log('DOM references initialized:', {
             contentList: !!contentList,
             engagementList: !!engagementList,
-            contractsList: !!contractsList,
             totalContentEl: !!totalContentEl,
             totalEngagementsEl: !!totalEngagementsEl,
             topPlatformEl: !!topPlatformEl
@@ -133,6 +144,46 @@ function setupEventListeners() {
         }
     }
     
+    // Tag editor of the add form
+    const contentTagsContainer = document.getElementById('content-tags');
+    if (contentTagsContainer && !addFormTagEditor) {
+        addFormTagEditor = createTagEditor(contentTagsContainer);
+    }
+    
+    // Content library filters
+    if (!contentFilterListenersAttached) {
+        ['content-filter-platform', 'content-filter-from', 'content-filter-to'].forEach(id => {
+            const filterField = document.getElementById(id);
+            if (filterField) filterField.addEventListener('change', renderContentItems);
+        });
+        const tagFilterField = document.getElementById('content-filter-tag');
+        if (tagFilterField) {
+            tagFilterField.addEventListener('change', () => {
+                addTagFilters(normalizeTags(tagFilterField.value));
+                tagFilterField.value = '';
+            });
+        }
+        const tagFilterList = document.getElementById('content-filter-tags');
+        if (tagFilterList) {
+            tagFilterList.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-remove-tag]');
+                if (removeButton) {
+                    tagFilters = tagFilters.filter(tag => tag !== removeButton.dataset.removeTag);
+                    renderTagFilters();
+                    renderContentItems();
+                }
+            });
+        }
+        // Clicking a tag in the library or the tag performance filters by it
+        [contentList, tagPerformanceList].filter(Boolean).forEach(list => {
+            list.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (chip) addTagFilters([chip.dataset.tag]);
+            });
+        });
+        contentFilterListenersAttached = true;
+    }
+    
     // Platform selection
     const platformSelect = document.getElementById('content-source');
     if (platformSelect) {
@@ -140,12 +191,6 @@ function setupEventListeners() {
         updateUrlPlaceholder();
     }
     
-    // Contract form
-    const contractForm = document.getElementById('contract-form');
-    if (contractForm) {
-        contractForm.addEventListener('submit', handleContractFormSubmit);
-    }
-    
     // Refresh buttons
     const refreshDataBtn = document.getElementById('refresh-data');
     const refreshAllDataBtn = document.getElementById('refresh-all-data');
@@ -198,22 +243,31 @@ function renderContentItems() {
     
     try {
         contentList.innerHTML = '';
+        renderTagOptions();
         
         if (!contentItems || contentItems.length === 0) {
             contentList.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No content items added yet</td></tr>';
             return;
         }
         
-        console.log(`Rendering ${contentItems.length} content items`);
+        const visibleItems = filterContentItems(contentItems, '', getContentFilters());
+        if (visibleItems.length === 0) {
+            contentList.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No content items match the filters</td></tr>';
+            return;
+        }
+        
+        console.log(`Rendering ${visibleItems.length} of ${contentItems.length} content items`);
         
-        contentItems.forEach(item => {
+        visibleItems.forEach(item => {
             const row = document.createElement('tr');
             
             const nameCell = document.createElement('td');
             nameCell.className = 'px-6 py-4';
             nameCell.innerHTML = `
-                <div class="font-medium text-gray-900 dark:text-white">${item.name}</div>
-                ${item.description ? `<div class="text-sm text-gray-500 dark:text-gray-400 mt-1">${item.description}</div>` : ''}
+                <div class="font-medium text-gray-900 dark:text-white">${escapeHtml(item.title)}</div>
+                ${item.description ? `<div class="text-sm text-gray-500 dark:text-gray-400 mt-1">${escapeHtml(item.description)}</div>` : ''}
+                ${normalizeTags(item.tags).length > 0 ? `<div class="mt-1">${normalizeTags(item.tags).map(tag =>
+                    `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" title="Filter by this tag">${escapeHtml(tag)}</button>`).join('')}</div>` : ''}
             `;
             
             const platformCell = document.createElement('td');
@@ -223,8 +277,8 @@ function renderContentItems() {
             const urlCell = document.createElement('td');
             urlCell.className = 'px-6 py-4';
             urlCell.innerHTML = `
-                <a href="${item.url}" target="_blank" class="text-blue-500 hover:underline">
-                    ${truncateText(item.url, 30)}
+                <a href="${escapeHtml(item.url)}" target="_blank" class="text-blue-500 hover:underline">
+                    ${escapeHtml(truncateText(item.url, 30))}
                 </a>
             `;
             
@@ -232,6 +286,7 @@ function renderContentItems() {
             actionsCell.className = 'px-6 py-4 text-right';
             actionsCell.innerHTML = `
                 <button class="btn btn-sm btn-primary mr-2" onclick="viewContent('${item.id}')">View</button>
+                <button class="btn btn-sm mr-2" onclick="editContent('${item.id}')">Edit</button>
                 <button class="btn btn-sm btn-danger" onclick="deleteContent('${item.id}')">Delete</button>
             `;
             
@@ -290,59 +345,6 @@ function renderEngagementData() {
     }
 }
 
-/**
- * Render contracts
- */
-function renderContracts() {
-    if (!contractsList) {
-        console.log('Contracts list element not found, skipping render');
-        return;
-    }
-    
-    try {
-        contractsList.innerHTML = '';
-        
-        if (!contracts || contracts.length === 0) {
-            contractsList.innerHTML = '<tr><td colspan="5" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No contracts added yet</td></tr>';
-            return;
-        }
-        
-        console.log(`Rendering ${contracts.length} contracts`);
-        
-        contracts.forEach(contract => {
-            const row = document.createElement('tr');
-            
-            row.innerHTML = `
-                <td class="px-6 py-4">
-                    <div class="font-medium text-gray-900 dark:text-white">${contract.name}</div>
-                    <div class="text-sm text-gray-500 dark:text-gray-400">${contract.client}</div>
-                </td>
-                <td class="px-6 py-4">${formatCurrency(contract.value)}</td>
-                <td class="px-6 py-4">${formatDate(contract.startDate)} - ${formatDate(contract.endDate)}</td>
-                <td class="px-6 py-4 text-right">
-                    <button class="btn btn-sm btn-primary mr-2" onclick="viewContract('${contract.id}')">View</button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteContract('${contract.id}')">Delete</button>
-                </td>
-            `;
-            
-            contractsList.appendChild(row);
-        });
-    } catch (error) {
-        console.error('Error rendering contracts:', error);
-        if (contractsList) {
-            contractsList.innerHTML = '<tr><td colspan="5" class="px-6 py-4 text-center text-red-500">Error rendering contracts</td></tr>';
-        }
-    }
-}
-
-/**
- * Format currency value
- */
-function formatCurrency(value) {
-    if (!value && value !== 0) return '-';
-    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
-}
-
 /**
  * Update dashboard statistics
  */
@@ -353,9 +355,13 @@ function updateStats() {
         }
         
         if (totalEngagementsEl) {
+            // Ignore engagement left behind by deleted content
+            const contentIds = new Set((contentItems || []).map(item => item.id));
             let totalViews = 0;
             engagementData.forEach(item => {
-                totalViews += item.views || 0;
+                if (contentIds.has(item.contentId)) {
+                    totalViews += item.views || 0;
+                }
             });
             totalEngagementsEl.textContent = totalViews.toLocaleString();
         }
@@ -380,6 +386,8 @@ function updateStats() {
             
             topPlatformEl.textContent = topPlatform ? (PLATFORMS[topPlatform] || topPlatform) : '-';
         }
+        
+        renderTagPerformance();
     } catch (error) {
         console.error('Error updating dashboard statistics:', error);
     }
@@ -392,47 +400,37 @@ async function handleContentFormSubmit(e) {
     e.preventDefault();
     console.log('Content form submitted');
     
+    const form = e.target;
+    const errorEl = form.querySelector('.error-message');
+    
     try {
-        // Get form values
-        const form = e.target;
-        const contentName = form.querySelector('#content-name').value.trim();
-        const platform = form.querySelector('#content-source').value;
-        const contentUrl = form.querySelector('#content-url').value.trim();
-        const publishedDate = form.querySelector('#content-published').value;
-        const description = form.querySelector('#content-description')?.value.trim() || '';
-        
-        // Validate required fields
-        if (!contentName || !contentUrl || !publishedDate) {
-            showNotification('Please fill in all required fields', 'error');
-            return;
-        }
-        
-        // Create new content item
-        const newContentItem = {
-            id: generateId(),
-            name: contentName,
-            platform: platform,
-            url: contentUrl,
-            publishedDate: publishedDate,
-            description: description,
-            createdAt: new Date().toISOString()
-        };
-        
-        // Get current user
-        const currentUser = getCurrentUser();
-        if (!currentUser) {
-            showNotification('You must be logged in to add content', 'error');
-            return;
-        }
+        // addContentItem validates the fields and rejects duplicate URLs
+        const newContentItem = await addContentItem({
+            title: form.querySelector('#content-name').value.trim(),
+            platform: form.querySelector('#content-source').value,
+            url: form.querySelector('#content-url').value.trim(),
+            publishedDate: form.querySelector('#content-published').value,
+            duration: form.querySelector('#content-duration')?.value.trim() || '',
+            description: form.querySelector('#content-description')?.value.trim() || '',
+            tags: addFormTagEditor ? addFormTagEditor.getTags() : []
+        });
         
         // Add to content items array
         contentItems.push(newContentItem);
-        
-        // Save to user-specific storage
-        await saveUserData(currentUser.id, 'contentItems', contentItems);
+        rebuildUrlContentMap();
         
         // Reset form
         form.reset();
+        if (addFormTagEditor) {
+            addFormTagEditor.setTags([]);
+        }
+        if (errorEl) {
+            errorEl.classList.add('hidden');
+        }
+        const duplicateWarning = document.getElementById('duplicate-warning');
+        if (duplicateWarning) {
+            duplicateWarning.classList.add('hidden');
+        }
         
         // Set today's date for published date
         const publishedDateInput = form.querySelector('#content-published');
@@ -448,110 +446,11 @@ async function handleContentFormSubmit(e) {
         showNotification('Content added successfully', 'success');
     } catch (error) {
         console.error('Error adding content:', error);
-        showNotification('Error adding content: ' + error.message, 'error');
-    }
-}
-
-/**
- * Handle contract form submission
- */
-async function handleContractFormSubmit(e) {
-    e.preventDefault();
-    console.log('Contract form submitted');
-    
-    try {
-        // Get form values
-        const form = e.target;
-        const errorEl = form.querySelector('.error-message');
-        
-        // Get form values
-        const name = form.querySelector('#contract-name').value.trim();
-        const client = form.querySelector('#contract-client').value.trim();
-        const value = parseFloat(form.querySelector('#contract-value').value);
-        const startDate = form.querySelector('#contract-start-date').value;
-        const endDate = form.querySelector('#contract-end-date').value;
-        const description = form.querySelector('#contract-description').value.trim();
-        
-        // Validate required fields
-        if (!name || !client || isNaN(value) || !startDate || !endDate || !description) {
-            if (errorEl) {
-                errorEl.textContent = 'Please fill in all required fields';
-                errorEl.classList.remove('hidden');
-            } else {
-                showNotification('Please fill in all required fields', 'error');
-            }
-            return;
-        }
-        
-        // Get current user
-        const currentUser = getCurrentUser();
-        if (!currentUser) {
-            if (errorEl) {
-                errorEl.textContent = 'You must be logged in to add contracts';
-                errorEl.classList.remove('hidden');
-            } else {
-                showNotification('You must be logged in to add contracts', 'error');
-            }
-            return;
-        }
-        
-        // Create contract object
-        const newContract = {
-            id: generateId(),
-            name,
-            client,
-            value,
-            startDate,
-            endDate,
-            description,
-            createdAt: new Date().toISOString(),
-            userId: currentUser.id
-        };
-        
-        // Load existing contracts
-        let userContracts = await loadUserData(currentUser.id, 'contracts') || [];
-        if (!Array.isArray(userContracts)) userContracts = [];
-        
-        // Add new contract
-        userContracts.push(newContract);
-        
-        // Save updated contracts
-        await saveUserData(currentUser.id, 'contracts', userContracts);
-        
-        // Update local contracts array
-        contracts = userContracts;
-        
-        // Clear form
-        form.reset();
-        if (errorEl) {
-            errorEl.classList.add('hidden');
-        }
-        
-        // Reset dates
-        const contractStartDateInput = form.querySelector('#contract-start-date');
-        const contractEndDateInput = form.querySelector('#contract-end-date');
-        if (contractStartDateInput) {
-            contractStartDateInput.valueAsDate = new Date();
-        }
-        if (contractEndDateInput) {
-            const endDate = new Date();
-            endDate.setFullYear(endDate.getFullYear() + 1);
-            contractEndDateInput.valueAsDate = endDate;
-        }
-        
-        // Update UI
-        renderContracts();
-        
-        // Show success message
-        showNotification('Contract added successfully', 'success');
-    } catch (error) {
-        console.error('Error adding contract:', error);
-        const errorEl = e.target.querySelector('.error-message');
         if (errorEl) {
-            errorEl.textContent = error.message || 'Failed to save contract';
+            errorEl.textContent = error.message || 'Failed to add content';
             errorEl.classList.remove('hidden');
         } else {
-            showNotification('Error adding contract: ' + error.message, 'error');
+            showNotification('Error adding content: ' + error.message, 'error');
         }
     }
 }
@@ -595,7 +494,7 @@ function checkForDuplicateUrl() {
     const existingItem = contentItems.find(item => normalizeUrl(item.url) === normalizedUrl);
     
     if (existingItem) {
-        duplicateWarning.textContent = `Warning: This URL has already been added as "${existingItem.name}"`;
+        duplicateWarning.textContent = `Warning: This URL has already been added as "${existingItem.title}"`;
         duplicateWarning.classList.remove('hidden');
     } else {
         duplicateWarning.classList.add('hidden');
@@ -626,61 +525,63 @@ async function refreshData() {
 }
 
 /**
- * Delete content
+ * Handle a storage change from another tab (or a merge made while saving)
+ * @param {Object} change - Change description from storage
  */
-function deleteContent(id) {
-    if (!confirm('Are you sure you want to delete this content?')) return;
+function handleStorageChange(change) {
+    console.log(`Session data changed (${change.key}, revision ${change.revision})`);
     
+    // Several keys are often saved together, so refresh once they settle
+    clearTimeout(storageRefreshTimer);
+    storageRefreshTimer = setTimeout(refreshFromStorage, 100);
+}
+
+/**
+ * Reload data from storage and re-render without resetting forms or listeners
+ */
+export async function refreshFromStorage() {
     try {
-        // Remove from array
-        contentItems = contentItems.filter(item => item.id !== id);
+        const userData = await loadAllUserData();
+        contentItems = Array.isArray(userData.contentItems) ? userData.contentItems : [];
+        engagementData = Array.isArray(userData.engagementData) ? userData.engagementData : [];
         
-        // Save changes
-        const currentUser = getCurrentUser();
-        if (currentUser) {
-            saveUserData(currentUser.id, 'contentItems', contentItems)
-                .then(() => {
-                    renderContentItems();
-                    updateStats();
-                    showNotification('Content deleted successfully', 'success');
-                })
-                .catch(error => {
-                    console.error('Error saving after delete:', error);
-                    showNotification('Error saving changes', 'error');
-                });
-        }
+        rebuildUrlContentMap();
+        renderContentItems();
+        renderEngagementData();
+        await refreshContracts();
+        await refreshInvoices();
+        await refreshReminders();
+        updateStats();
+        renderCharts(contentItems, engagementData);
     } catch (error) {
-        console.error('Error deleting content:', error);
-        showNotification('Error deleting content', 'error');
+        console.error('Error refreshing from storage:', error);
     }
 }
 
 /**
- * Delete contract
+ * Delete content and its engagement records
  */
-function deleteContract(id) {
-    if (!confirm('Are you sure you want to delete this contract?')) return;
+async function deleteContent(id) {
+    if (!confirm('Are you sure you want to delete this content and its engagement data?')) return;
     
     try {
-        // Remove from array
-        contracts = contracts.filter(item => item.id !== id);
+        await deleteContentItem(id);
         
-        // Save changes
-        const currentUser = getCurrentUser();
-        if (currentUser) {
-            saveUserData(currentUser.id, 'contracts', contracts)
-                .then(() => {
-                    renderContracts();
-                    showNotification('Contract deleted successfully', 'success');
-                })
-                .catch(error => {
-                    console.error('Error saving after delete:', error);
-                    showNotification('Error saving changes', 'error');
-                });
-        }
+        // Remove from arrays
+        contentItems = contentItems.filter(item => item.id !== id);
+        engagementData = engagementData.filter(item => item.contentId !== id);
+        rebuildUrlContentMap();
+        
+        renderContentItems();
+        renderEngagementData();
+        updateStats();
+        renderCharts(contentItems, engagementData);
+        // Deliverables it fulfilled are outstanding again
+        await refreshContracts();
+        showNotification('Content deleted successfully', 'success');
     } catch (error) {
-        console.error('Error deleting contract:', error);
-        showNotification('Error deleting contract', 'error');
+        console.error('Error deleting content:', error);
+        showNotification('Error deleting content: ' + error.message, 'error');
     }
 }
 
@@ -691,17 +592,241 @@ function viewContent(id) {
     const content = contentItems.find(item => item.id === id);
     if (!content) return;
     
-    alert(`Content Details:\n\nName: ${content.name}\nPlatform: ${PLATFORMS[content.platform] || content.platform}\nURL: ${content.url}\nPublished: ${formatDate(content.publishedDate)}\nDescription: ${content.description || 'None'}`);
+    alert(`Content Details:\n\nName: ${content.title}\nPlatform: ${PLATFORMS[content.platform] || content.platform}\nURL: ${content.url}\nPublished: ${formatDate(content.publishedDate)}\nDescription: ${content.description || 'None'}`);
+}
+
+/**
+ * Open the content modal with a form to edit a content item
+ * @param {string} id - Content item ID
+ */
+function editContent(id) {
+    const content = contentItems.find(item => item.id === id);
+    const modal = document.getElementById('content-modal');
+    const modalTitle = document.getElementById('content-modal-title');
+    const modalBody = document.getElementById('content-modal-body');
+    if (!content || !modal || !modalBody) return;
+    
+    // Imported content may carry a date the input cannot show; leave it blank then
+    const published = content.publishedDate ? new Date(content.publishedDate) : null;
+    const publishedValue = published && !isNaN(published.getTime()) ? published.toISOString().slice(0, 10) : '';
+    
+    if (modalTitle) modalTitle.textContent = 'Edit Content';
+    modalBody.innerHTML = `
+        <form id="content-edit-form" data-content-id="${content.id}">
+            <div class="mb-4">
+                <label for="edit-content-name" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Content Name</label>
+                <input type="text" id="edit-content-name" value="${escapeHtml(content.title)}" required>
+            </div>
+            <div class="mb-4">
+                <label for="edit-content-source" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Platform</label>
+                <select id="edit-content-source" required>
+                    ${Object.entries(PLATFORMS).map(([key, name]) =>
+                        `<option value="${key}" ${key === content.platform ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="mb-4">
+                <label for="edit-content-url" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Content URL</label>
+                <input type="url" id="edit-content-url" value="${escapeHtml(content.url)}" required class="w-full">
+            </div>
+            <div class="mb-4">
+                <label for="edit-content-published" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Published Date</label>
+                <input type="date" id="edit-content-published" value="${publishedValue}">
+            </div>
+            <div class="mb-4">
+                <label for="edit-content-duration" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Duration (YouTube only)</label>
+                <input type="text" id="edit-content-duration" value="${escapeHtml(content.duration || '')}" placeholder="e.g. 5:30">
+            </div>
+            <div class="mb-4">
+                <label for="edit-content-description" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description (Optional)</label>
+                <input type="text" id="edit-content-description" value="${escapeHtml(content.description || '')}">
+            </div>
+            <div class="mb-4">
+                <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tags</label>
+                <div id="edit-content-tags" class="tag-editor"></div>
+            </div>
+            <p class="error-message hidden text-sm text-red-500 mb-2"></p>
+            <div class="flex justify-end">
+                <button type="submit" class="btn btn-primary">
+                    <span class="material-icons mr-1">save</span> Save Changes
+                </button>
+            </div>
+        </form>
+    `;
+    editFormTagEditor = createTagEditor(modalBody.querySelector('#edit-content-tags'), content.tags);
+    modalBody.querySelector('#content-edit-form').addEventListener('submit', handleContentEditSubmit);
+    modal.style.display = 'flex';
+}
+
+/**
+ * Handle content edit form submission
+ */
+async function handleContentEditSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const errorEl = form.querySelector('.error-message');
+    
+    try {
+        const updatedItem = await updateContentItem(form.dataset.contentId, {
+            title: form.querySelector('#edit-content-name').value.trim(),
+            platform: form.querySelector('#edit-content-source').value,
+            url: form.querySelector('#edit-content-url').value.trim(),
+            publishedDate: form.querySelector('#edit-content-published').value,
+            duration: form.querySelector('#edit-content-duration').value.trim(),
+            description: form.querySelector('#edit-content-description').value.trim(),
+            tags: editFormTagEditor.getTags()
+        });
+        
+        contentItems = contentItems.map(item => item.id === updatedItem.id ? updatedItem : item);
+        rebuildUrlContentMap();
+        renderContentItems();
+        updateStats();
+        renderCharts(contentItems, engagementData);
+        // Contracts list the content's title and count watch hours from its duration
+        await refreshContracts();
+        
+        document.getElementById('content-modal').style.display = 'none';
+        showNotification('Content updated successfully', 'success');
+    } catch (error) {
+        console.error('Error updating content:', error);
+        if (errorEl) {
+            errorEl.textContent = error.message || 'Failed to update content';
+            errorEl.classList.remove('hidden');
+        } else {
+            showNotification('Error updating content: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Create a tag editor: tags show as removable chips, and the input adds a tag on
+ * Enter, comma or when a suggestion is picked (suggestions come from content-tag-options)
+ * @param {HTMLElement} container - Element to render the editor into
+ * @param {Array<string>} initialTags - Tags to start with
+ * @returns {Object} { getTags, setTags }
+ */
+function createTagEditor(container, initialTags = []) {
+    let tags = normalizeTags(initialTags);
+    
+    const render = () => {
+        container.innerHTML = `
+            ${tags.map(tag => `
+                <span class="tag-chip">${escapeHtml(tag)}<button type="button" class="tag-chip-remove" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">&times;</button></span>`).join('')}
+            <input type="text" class="tag-editor-input" list="content-tag-options" placeholder="Add a tag">
+        `;
+    };
+    
+    // Tags typed but not yet added still count
+    const getTags = () => normalizeTags([...tags, ...normalizeTags(container.querySelector('.tag-editor-input')?.value)]);
+    
+    const addTypedTags = (keepTyping) => {
+        const input = container.querySelector('.tag-editor-input');
+        if (!input || !input.value.trim()) return;
+        tags = getTags();
+        render();
+        if (keepTyping) container.querySelector('.tag-editor-input').focus();
+    };
+    
+    container.addEventListener('keydown', (e) => {
+        if (e.target.matches('.tag-editor-input') && (e.key === 'Enter' || e.key === ',')) {
+            // Keep Enter from submitting the form
+            e.preventDefault();
+            addTypedTags(true);
+        }
+    });
+    container.addEventListener('change', (e) => {
+        // Picking a suggestion, or leaving the input
+        if (e.target.matches('.tag-editor-input')) addTypedTags(false);
+    });
+    container.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('[data-remove-tag]');
+        if (removeButton) {
+            tags = tags.filter(tag => tag !== removeButton.dataset.removeTag);
+            render();
+        }
+    });
+    
+    render();
+    return {
+        getTags,
+        setTags: (newTags) => {
+            tags = normalizeTags(newTags);
+            render();
+        }
+    };
 }
 
 /**
- * View contract details
+ * Read the content library filters
+ * @returns {Object} Filters for filterContentItems
  */
-function viewContract(id) {
-    const contract = contracts.find(item => item.id === id);
-    if (!contract) return;
+function getContentFilters() {
+    const value = (id) => document.getElementById(id)?.value || '';
+    // Whole local days
+    const startDate = value('content-filter-from');
+    const endDate = value('content-filter-to');
+    return {
+        platform: value('content-filter-platform'),
+        startDate: startDate ? `${startDate}T00:00:00` : '',
+        endDate: endDate ? `${endDate}T23:59:59.999` : '',
+        tags: tagFilters
+    };
+}
+
+/**
+ * Filter the content library by more tags
+ * @param {Array<string>} tags - Tags to add to the filter
+ */
+function addTagFilters(tags) {
+    tagFilters = normalizeTags([...tagFilters, ...tags]);
+    renderTagFilters();
+    renderContentItems();
+}
+
+/**
+ * Render the tags the content library is filtered by
+ */
+function renderTagFilters() {
+    const container = document.getElementById('content-filter-tags');
+    if (!container) return;
+    
+    container.innerHTML = tagFilters.map(tag => `
+        <span class="tag-chip">${escapeHtml(tag)}<button type="button" class="tag-chip-remove" data-remove-tag="${escapeHtml(tag)}" aria-label="Stop filtering by ${escapeHtml(tag)}">&times;</button></span>`).join('');
+}
+
+/**
+ * Offer the tags of the content library as autocomplete suggestions
+ */
+function renderTagOptions() {
+    const datalist = document.getElementById('content-tag-options');
+    if (!datalist) return;
+    
+    datalist.innerHTML = getContentTags(contentItems).map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+}
+
+/**
+ * Render the engagement totals of each tag
+ */
+function renderTagPerformance() {
+    if (!tagPerformanceList) return;
+    
+    const tagPerformance = calculateEngagementMetrics(contentItems, engagementData).tagPerformance;
+    const rows = Object.entries(tagPerformance).sort(([, a], [, b]) => b.totalViews - a.totalViews);
+    
+    if (rows.length === 0) {
+        tagPerformanceList.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">Tag content items to compare their engagement</td></tr>';
+        return;
+    }
     
-    alert(`Contract Details:\n\nName: ${contract.name}\nClient: ${contract.client}\nValue: ${formatCurrency(contract.value)}\nDuration: ${formatDate(contract.startDate)} - ${formatDate(contract.endDate)}\nDescription: ${contract.description || 'None'}`);
+    tagPerformanceList.innerHTML = rows.map(([tag, performance]) => `
+        <tr>
+            <td class="px-6 py-4"><button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button></td>
+            <td class="px-6 py-4">${performance.totalContent}</td>
+            <td class="px-6 py-4">${performance.totalViews.toLocaleString()}</td>
+            <td class="px-6 py-4">${performance.totalLikes.toLocaleString()}</td>
+            <td class="px-6 py-4">${performance.totalComments.toLocaleString()}</td>
+            <td class="px-6 py-4">${Math.round(performance.averageViews).toLocaleString()}</td>
+        </tr>`).join('');
 }
 
 /**
@@ -715,16 +840,7 @@ function rebuildUrlContentMap() {
     });
 }
 
-/**
- * Generate unique ID
- * @returns {string} Unique ID
- */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substring(2);
-}
-
 // Make functions available in the global scope
 window.viewContent = viewContent;
-window.deleteContent = deleteContent;
-window.viewContract = viewContract;
-window.deleteContract = deleteContract;
\ No newline at end of file
+window.editContent = editContent;
+window.deleteContent = deleteContent;
\ No newline at end of file
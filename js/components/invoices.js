@@ -0,0 +1,260 @@
+/**
+ * Invoices component for Platform Engagement Tracker
+ * Lists generated invoices, edits the invoice settings and prints or exports invoices
+ */
+
+import {
+    loadInvoices,
+    loadInvoiceSettings,
+    saveInvoiceSettings,
+    markInvoicePaid,
+    voidInvoice,
+    renderInvoiceHtml,
+    invoiceToJson,
+    invoicesToCsv
+} from '../modules/invoice-manager.js';
+import { refreshContracts } from './contracts.js';
+import { formatCurrency } from '../modules/currency.js';
+import { formatDate, showNotification, escapeHtml, downloadFile } from '../modules/utils.js';
+
+// In-memory invoices and settings
+let invoices = [];
+let invoiceSettings = null;
+
+// DOM elements - initialized in loadInvoicesPanel
+let invoicesList;
+
+// Whether the form and button handlers are attached
+let listenersAttached = false;
+
+// Badge colors per invoice status
+const STATUS_CLASSES = {
+    issued: 'bg-blue-100 text-blue-800',
+    paid: 'bg-green-100 text-green-800',
+    void: 'bg-gray-200 text-gray-600'
+};
+
+/**
+ * Load invoices and initialize the invoices panel
+ */
+export async function loadInvoicesPanel() {
+    invoicesList = document.getElementById('invoices-list');
+
+    await refreshInvoices();
+
+    if (!listenersAttached) {
+        const settingsForm = document.getElementById('invoice-settings-form');
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', handleSettingsFormSubmit);
+        }
+        const exportCsvButton = document.getElementById('export-invoices-csv');
+        if (exportCsvButton) {
+            exportCsvButton.addEventListener('click', exportInvoicesCsv);
+        }
+        listenersAttached = true;
+    }
+}
+
+/**
+ * Reload invoices and settings from storage and re-render
+ */
+export async function refreshInvoices() {
+    invoices = await loadInvoices();
+    invoiceSettings = await loadInvoiceSettings();
+    fillSettingsForm();
+    renderInvoices();
+}
+
+/**
+ * Show the current settings in the settings form
+ */
+function fillSettingsForm() {
+    const fields = {
+        'invoice-prefix': invoiceSettings.prefix,
+        'invoice-tax-rate': invoiceSettings.taxRate,
+        'invoice-terms': invoiceSettings.paymentTermsDays,
+        'invoice-issuer': invoiceSettings.issuerName
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        // Leave a field alone while the user is editing it
+        if (input && document.activeElement !== input) {
+            input.value = value;
+        }
+    });
+}
+
+/**
+ * Render invoices, newest first
+ */
+function renderInvoices() {
+    if (!invoicesList) {
+        console.log('Invoices list element not found, skipping render');
+        return;
+    }
+
+    try {
+        invoicesList.innerHTML = '';
+
+        if (!invoices || invoices.length === 0) {
+            invoicesList.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-gray-500 dark:text-gray-400">No invoices yet. Create one from a contract\'s payment schedule.</td></tr>';
+            return;
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+
+        [...invoices].reverse().forEach(invoice => {
+            const row = document.createElement('tr');
+            const overdue = invoice.status === 'issued' && invoice.dueDate < today;
+
+            row.innerHTML = `
+                <td class="px-6 py-4 font-medium text-gray-900 dark:text-white">${escapeHtml(invoice.number)}</td>
+                <td class="px-6 py-4">
+                    <div>${escapeHtml(invoice.projectName)}</div>
+                    <div class="text-sm text-gray-500 dark:text-gray-400">${escapeHtml(invoice.clientName)}</div>
+                </td>
+                <td class="px-6 py-4">
+                    ${formatDate(invoice.issueDate)}
+                    <div class="text-sm ${overdue ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}">Due ${formatDate(invoice.dueDate)}</div>
+                </td>
+                <td class="px-6 py-4">${formatCurrency(invoice.total, invoice.currency)}</td>
+                <td class="px-6 py-4">
+                    <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_CLASSES[invoice.status] || ''}">${overdue ? 'Overdue' : escapeHtml(invoice.status)}</span>
+                </td>
+                <td class="px-6 py-4 text-right whitespace-nowrap">
+                    <button class="btn btn-sm btn-primary mr-1" onclick="printInvoice('${invoice.id}')">Print</button>
+                    <button class="btn btn-sm mr-1" onclick="exportInvoiceJson('${invoice.id}')">JSON</button>
+                    ${invoice.status === 'issued' ? `
+                    <button class="btn btn-sm btn-primary mr-1" onclick="markInvoiceAsPaid('${invoice.id}')">Mark Paid</button>
+                    <button class="btn btn-sm btn-danger" onclick="voidInvoiceById('${invoice.id}')">Void</button>` : ''}
+                </td>
+            `;
+
+            invoicesList.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error rendering invoices:', error);
+        if (invoicesList) {
+            invoicesList.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-red-500">Error rendering invoices</td></tr>';
+        }
+    }
+}
+
+/**
+ * Handle invoice settings form submission
+ */
+async function handleSettingsFormSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const errorEl = form.querySelector('.error-message');
+
+    try {
+        invoiceSettings = await saveInvoiceSettings({
+            prefix: form.querySelector('#invoice-prefix').value,
+            taxRate: form.querySelector('#invoice-tax-rate').value || 0,
+            paymentTermsDays: form.querySelector('#invoice-terms').value || 0,
+            issuerName: form.querySelector('#invoice-issuer').value
+        });
+
+        if (errorEl) {
+            errorEl.classList.add('hidden');
+        }
+        showNotification('Invoice settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving invoice settings:', error);
+        if (errorEl) {
+            errorEl.textContent = error.message || 'Failed to save invoice settings';
+            errorEl.classList.remove('hidden');
+        } else {
+            showNotification('Error saving invoice settings: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Open an invoice as a printable page
+ * @param {string} id - Invoice ID
+ */
+function printInvoice(id) {
+    const invoice = invoices.find(item => item.id === id);
+    if (!invoice) return;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showNotification('Allow pop-ups to print invoices', 'error');
+        return;
+    }
+
+    printWindow.document.write(renderInvoiceHtml(invoice, invoiceSettings));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+/**
+ * Download an invoice as JSON
+ * @param {string} id - Invoice ID
+ */
+function exportInvoiceJson(id) {
+    const invoice = invoices.find(item => item.id === id);
+    if (!invoice) return;
+
+    downloadFile(invoiceToJson(invoice), `invoice-${invoice.number}.json`, 'application/json');
+}
+
+/**
+ * Download all invoices as CSV
+ */
+function exportInvoicesCsv() {
+    if (invoices.length === 0) {
+        showNotification('There are no invoices to export', 'error');
+        return;
+    }
+
+    downloadFile(invoicesToCsv(invoices), `invoices-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+}
+
+/**
+ * Record an invoice as paid today
+ * @param {string} id - Invoice ID
+ */
+async function markInvoiceAsPaid(id) {
+    try {
+        await markInvoicePaid(id);
+        showNotification('Invoice marked as paid', 'success');
+    } catch (error) {
+        console.error('Error marking invoice paid:', error);
+        showNotification('Error marking invoice paid: ' + error.message, 'error');
+    }
+
+    // The payment is also recorded on the contract's schedule
+    await refreshInvoices();
+    await refreshContracts();
+}
+
+/**
+ * Void an invoice
+ * @param {string} id - Invoice ID
+ */
+async function voidInvoiceById(id) {
+    if (!confirm('Void this invoice? Its milestones can then be invoiced again.')) return;
+
+    try {
+        await voidInvoice(id);
+        showNotification('Invoice voided', 'success');
+    } catch (error) {
+        console.error('Error voiding invoice:', error);
+        showNotification('Error voiding invoice: ' + error.message, 'error');
+    }
+
+    await refreshInvoices();
+    await refreshContracts();
+}
+
+// Make functions available in the global scope
+window.printInvoice = printInvoice;
+window.exportInvoiceJson = exportInvoiceJson;
+window.markInvoiceAsPaid = markInvoiceAsPaid;
+window.voidInvoiceById = voidInvoiceById;
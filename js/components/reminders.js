@@ -0,0 +1,260 @@
+/**
+ * Reminders component for Platform Engagement Tracker
+ * Runs the reminder engine while the dashboard is open and renders the
+ * notification center in the header
+ */
+
+import {
+    evaluateReminders,
+    loadAlerts,
+    markAlertsRead,
+    loadReminderSettings,
+    saveReminderSettings
+} from '../modules/reminder-manager.js';
+import { formatDateTime, showNotification, escapeHtml } from '../modules/utils.js';
+
+// Alerts shown in the notification center (newest shown first)
+let alerts = [];
+
+// Reminder settings of the session
+let reminderSettings = null;
+
+// Timer of the periodic reminder check
+let checkTimer = null;
+
+// DOM elements - initialized in loadRemindersPanel
+let notificationList;
+let notificationCount;
+
+// Whether the button and form handlers are attached
+let listenersAttached = false;
+
+// Most alerts listed at once (the unread count covers them all)
+const MAX_LISTED_ALERTS = 50;
+
+/**
+ * Check reminders, render the notification center and keep checking periodically
+ */
+export async function loadRemindersPanel() {
+    notificationList = document.getElementById('notification-list');
+    notificationCount = document.getElementById('notification-count');
+
+    reminderSettings = await loadReminderSettings();
+    fillSettingsForm();
+    await checkReminders();
+    scheduleChecks();
+
+    if (!listenersAttached) {
+        const button = document.getElementById('notification-button');
+        const panel = document.getElementById('notification-panel');
+        if (button && panel) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                panel.classList.toggle('hidden');
+            });
+
+            // Close the panel when clicking outside
+            document.addEventListener('click', (e) => {
+                if (!button.contains(e.target) && !panel.contains(e.target)) {
+                    panel.classList.add('hidden');
+                }
+            });
+        }
+        const markReadButton = document.getElementById('mark-alerts-read');
+        if (markReadButton) {
+            markReadButton.addEventListener('click', () => markAsRead());
+        }
+        const settingsForm = document.getElementById('reminder-settings-form');
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', handleSettingsFormSubmit);
+        }
+        listenersAttached = true;
+    }
+}
+
+/**
+ * Reload alerts and settings from storage and re-render (without checking reminders)
+ */
+export async function refreshReminders() {
+    const previousInterval = reminderSettings ? reminderSettings.intervalMinutes : null;
+    alerts = await loadAlerts();
+    reminderSettings = await loadReminderSettings();
+    fillSettingsForm();
+    if (reminderSettings.intervalMinutes !== previousInterval) {
+        scheduleChecks();
+    }
+    renderAlerts();
+}
+
+/**
+ * Evaluate the reminders, announce new alerts and re-render
+ */
+async function checkReminders() {
+    try {
+        const added = await evaluateReminders();
+        if (added.length > 0) {
+            showBrowserNotifications(added);
+        }
+
+        alerts = await loadAlerts();
+        renderAlerts();
+    } catch (error) {
+        console.error('Error checking reminders:', error);
+    }
+}
+
+/**
+ * (Re)start the periodic reminder check at the configured interval
+ */
+function scheduleChecks() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+    }
+    checkTimer = setInterval(checkReminders, reminderSettings.intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Show new alerts as browser notifications, when enabled and permitted
+ * @param {Array} added - New alerts
+ */
+function showBrowserNotifications(added) {
+    if (!reminderSettings.browserNotifications || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+        return;
+    }
+
+    added.forEach(alert => {
+        // The tag keeps a reminder from stacking up if it is shown again
+        new Notification(alert.title, { body: alert.message, tag: alert.id });
+    });
+}
+
+/**
+ * Render the alerts and the unread count
+ */
+function renderAlerts() {
+    const unread = alerts.filter(alert => !alert.read).length;
+    if (notificationCount) {
+        notificationCount.textContent = unread > 99 ? '99+' : String(unread);
+        notificationCount.classList.toggle('hidden', unread === 0);
+    }
+
+    if (!notificationList) return;
+
+    if (alerts.length === 0) {
+        notificationList.innerHTML = '<li class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">Nothing is coming up</li>';
+        return;
+    }
+
+    notificationList.innerHTML = [...alerts].reverse().slice(0, MAX_LISTED_ALERTS).map(alert => `
+        <li class="px-4 py-2 text-sm cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 ${alert.read ? 'text-gray-500 dark:text-gray-400' : 'text-gray-900 dark:text-white'}"
+            onclick="markAlertRead('${alert.id}')">
+            <div class="flex justify-between">
+                <span class="${alert.read ? '' : 'font-medium'} ${alert.level === 'overdue' ? 'text-red-500' : ''}">${escapeHtml(alert.title)}</span>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${formatDateTime(alert.createdAt)}</span>
+            </div>
+            <div>${escapeHtml(alert.message)}</div>
+        </li>`).join('');
+}
+
+/**
+ * Show the current settings in the settings form
+ */
+function fillSettingsForm() {
+    const fields = {
+        'reminder-lead-deliverable': reminderSettings.leadDays.deliverable,
+        'reminder-lead-payment': reminderSettings.leadDays.payment,
+        'reminder-lead-due': reminderSettings.leadDays.contractDue,
+        'reminder-lead-end': reminderSettings.leadDays.contractEnd,
+        'reminder-interval': reminderSettings.intervalMinutes
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        // Leave a field alone while the user is editing it
+        if (input && document.activeElement !== input) {
+            input.value = value;
+        }
+    });
+
+    const browserCheckbox = document.getElementById('reminder-browser-notifications');
+    if (browserCheckbox) {
+        browserCheckbox.checked = reminderSettings.browserNotifications;
+    }
+}
+
+/**
+ * Handle reminder settings form submission
+ */
+async function handleSettingsFormSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const errorEl = form.querySelector('.error-message');
+    let browserNotifications = form.querySelector('#reminder-browser-notifications').checked;
+
+    try {
+        // Browser notifications need the user's permission, asked for when they are turned on
+        if (browserNotifications && !reminderSettings.browserNotifications) {
+            if (typeof Notification === 'undefined') {
+                throw new Error('This browser does not support notifications');
+            }
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                browserNotifications = false;
+                showNotification('Browser notifications were not allowed', 'error');
+            }
+        }
+
+        reminderSettings = await saveReminderSettings({
+            leadDays: {
+                deliverable: form.querySelector('#reminder-lead-deliverable').value,
+                payment: form.querySelector('#reminder-lead-payment').value,
+                contractDue: form.querySelector('#reminder-lead-due').value,
+                contractEnd: form.querySelector('#reminder-lead-end').value
+            },
+            intervalMinutes: form.querySelector('#reminder-interval').value,
+            browserNotifications
+        });
+
+        if (errorEl) {
+            errorEl.classList.add('hidden');
+        }
+        fillSettingsForm();
+        scheduleChecks();
+        await checkReminders();
+        showNotification('Reminder settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving reminder settings:', error);
+        if (errorEl) {
+            errorEl.textContent = error.message || 'Failed to save reminder settings';
+            errorEl.classList.remove('hidden');
+        } else {
+            showNotification('Error saving reminder settings: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Mark alerts as read and re-render
+ * @param {Array<string>} alertIds - Alert IDs (all alerts when omitted)
+ */
+async function markAsRead(alertIds = null) {
+    try {
+        alerts = await markAlertsRead(alertIds);
+        renderAlerts();
+    } catch (error) {
+        console.error('Error marking alerts read:', error);
+        showNotification('Error marking alerts read: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Mark one alert as read
+ * @param {string} id - Alert ID
+ */
+function markAlertRead(id) {
+    markAsRead([id]);
+}
+
+// Make functions available in the global scope
+window.markAlertRead = markAlertRead;
@@ -0,0 +1,251 @@
+/**
+ * Calendar export module for Platform Engagement Tracker
+ * Builds an iCalendar (RFC 5545) file of deliverable due dates, payment milestones,
+ * contract due and end dates and planned publish dates, for calendar subscriptions
+ *
+ * Every event's UID is derived from the record it comes from, so importing a newer
+ * export updates the events instead of duplicating them. Events of cancelled
+ * contracts stay in the file with STATUS:CANCELLED so calendars drop them too.
+ */
+
+import { loadContracts } from './contract-manager.js';
+import { loadContentItems } from './content-manager.js';
+import { PLATFORMS } from './config.js';
+import { formatCurrency } from './currency.js';
+
+// Identifies the application that produced the calendar
+const PRODUCT_ID = '-//Platform Engagement Tracker//Contract Calendar//EN';
+
+// Domain part of event UIDs
+const UID_DOMAIN = 'platform-engagement-tracker';
+
+// Longest content line in octets, excluding the line break (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+// Characters a content line cannot hold (line breaks in text are escaped before these are dropped)
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000a-\u001f\u007f]/g;
+
+/**
+ * Build the calendar events of contracts and scheduled content
+ * @param {Array} contracts - Contracts
+ * @param {Array} contentItems - Content library
+ * @param {Date} now - Optional current time (content published before today is left out)
+ * @returns {Array<Object>} Events { uid, date (YYYY-MM-DD), summary, description, url, cancelled, updatedAt }, by date
+ */
+export function buildCalendarEvents(contracts, contentItems, now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    const events = [];
+
+    contracts.forEach(contract => {
+        const cancelled = contract.status === 'cancelled';
+        const event = (key, date, summary, description) => {
+            if (!isDate(date)) return;
+            events.push({
+                uid: `${key}@${UID_DOMAIN}`,
+                date: date.slice(0, 10),
+                summary: `${summary} - ${contract.projectName}`,
+                description: [description, `Client: ${contract.clientName}`, `Contract status: ${contract.status}`]
+                    .filter(Boolean).join('\n'),
+                url: null,
+                cancelled,
+                updatedAt: toTimestamp(contract.updatedAt)
+            });
+        };
+
+        (contract.deliverables || []).forEach(deliverable => {
+            const name = deliverable.description || PLATFORMS[deliverable.type] || deliverable.type;
+            event(`deliverable-${contract.id}-${deliverable.id}`, deliverable.dueDate, `Deliverable due: ${name}`,
+                `${deliverable.quantity} x ${PLATFORMS[deliverable.type] || deliverable.type}`);
+        });
+
+        (contract.milestones || []).forEach(milestone => {
+            event(`milestone-${contract.id}-${milestone.id}`, milestone.dueDate,
+                `Payment due: ${milestone.name}${milestone.paidDate ? ' (paid)' : ''}`,
+                [
+                    formatCurrency(milestone.amount, contract.currency),
+                    milestone.invoiceRef ? `Invoice: ${milestone.invoiceRef}` : null,
+                    milestone.paidDate ? `Paid on ${milestone.paidDate}` : null
+                ].filter(Boolean).join('\n'));
+        });
+
+        event(`contract-due-${contract.id}`, contract.dueDate, 'Contract due', null);
+        event(`contract-end-${contract.id}`, contract.endDate, 'Contract ends', null);
+    });
+
+    contentItems.forEach(item => {
+        const date = toDateString(item.publishedDate);
+        if (!date || date < today) return;
+        events.push({
+            uid: `content-${item.id}@${UID_DOMAIN}`,
+            date,
+            summary: `Publish: ${item.title}`,
+            description: [PLATFORMS[item.platform] || item.platform, item.description].filter(Boolean).join('\n'),
+            url: item.url || null,
+            cancelled: false,
+            updatedAt: toTimestamp(item.updatedAt)
+        });
+    });
+
+    return events.sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+}
+
+/**
+ * Serialize calendar events as an iCalendar file
+ * @param {Array} events - Events from buildCalendarEvents (events without a valid date are skipped)
+ * @param {Object} options - Optional { name (calendar name), now (DTSTAMP) }
+ * @returns {string} iCalendar text with CRLF line breaks
+ */
+export function eventsToIcs(events, { name = 'Platform Engagement Tracker', now = new Date() } = {}) {
+    const stamp = toUtcTimestamp(now.toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.filter(event => isDate(event.date)).forEach(event => {
+        // All-day events end (exclusively) on the next day
+        const end = new Date(`${event.date}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${end.toISOString().slice(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        // URIs are not escaped like text, so control characters are dropped instead
+        const url = event.url ? String(event.url).replace(CONTROL_CHARACTERS, '') : '';
+        if (url) lines.push(`URL:${url}`);
+        const updatedAt = toTimestamp(event.updatedAt);
+        if (updatedAt) lines.push(`LAST-MODIFIED:${toUtcTimestamp(updatedAt)}`);
+        lines.push(
+            `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the iCalendar file of the current session's contracts and scheduled content
+ * @param {Date} now - Optional current time
+ * @returns {Promise<string>} iCalendar text
+ */
+export async function exportCalendar(now = new Date()) {
+    try {
+        const contracts = await loadContracts();
+        const contentItems = await loadContentItems();
+        return eventsToIcs(buildCalendarEvents(contracts, contentItems, now), { now });
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        throw error;
+    }
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n')
+        .replace(CONTROL_CHARACTERS, '');
+}
+
+/**
+ * Fold a content line longer than 75 octets onto continuation lines starting with a space,
+ * without splitting a multi-byte character
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = utf8Length(char.codePointAt(0));
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Count the octets of a character in UTF-8
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} 1 to 4 octets
+ */
+function utf8Length(codePoint) {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} e.g. 20240310T120000Z
+ */
+function toUtcTimestamp(isoString) {
+    return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Check a stored timestamp
+ * @param {string} value - Timestamp (imported data may hold anything)
+ * @returns {string|null} The timestamp, or null when it is not a valid date
+ */
+function toTimestamp(value) {
+    return value && !isNaN(new Date(value).getTime()) ? value : null;
+}
+
+/**
+ * Take the day of a stored date
+ * @param {string|Date} value - Date string or Date (content may hold either)
+ * @returns {string|null} YYYY-MM-DD, or null when the value is not a date
+ */
+function toDateString(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    return isDate(value) ? value.slice(0, 10) : null;
+}
+
+/**
+ * Check whether a value starts with a valid YYYY-MM-DD date
+ * @param {any} value - Value
+ * @returns {boolean} True for date strings of days that exist (not e.g. 2024-13-45)
+ */
+function isDate(value) {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (!match) return false;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
@@ -1,21 +1,29 @@
 /**
  * Content Manager module for Platform Engagement Tracker
  * Handles operations for content items across different platforms
+ *
+ * Content item model:
+ *   id, title, url, platform, publishedDate, duration (YouTube, m:ss or h:mm:ss),
+ *   description, tags (lower-case, see normalizeTags), createdAt, updatedAt
  */
 
-import { saveUserData, loadUserData } from './storage.js';
+import { saveSessionData, loadSessionData, updateSessionData, querySessionRecords, deleteSessionRecords } from './storage.js';
 import { PLATFORMS } from './config.js';
+import { detachContentFromContracts } from './contract-manager.js';
 
 // Storage keys
 const CONTENT_STORAGE_KEY = 'contentItems';
 
 /**
- * Load all content items
+ * Load content items, optionally only those matching a query
+ * @param {Object} query - Optional { platform, from, to } (published date range, inclusive YYYY-MM-DD days)
  * @returns {Promise<Array>} Array of content item objects
  */
-export async function loadContentItems() {
+export async function loadContentItems(query = null) {
     try {
-        const contentItems = await loadUserData(CONTENT_STORAGE_KEY, []);
+        const contentItems = query
+            ? await querySessionRecords(CONTENT_STORAGE_KEY, query)
+            : await loadSessionData(CONTENT_STORAGE_KEY, []);
         console.log(`Loaded ${contentItems.length} content items`);
         return contentItems;
     } catch (error) {
@@ -35,7 +43,7 @@ export async function saveContentItems(contentItems) {
             throw new Error('Content items must be an array');
         }
         
-        await saveUserData(CONTENT_STORAGE_KEY, contentItems);
+        await saveSessionData(CONTENT_STORAGE_KEY, contentItems);
         console.log(`Saved ${contentItems.length} content items`);
         return true;
     } catch (error) {
@@ -51,48 +59,29 @@ export async function saveContentItems(contentItems) {
  */
 export async function addContentItem(contentData) {
     try {
-        if (!contentData || typeof contentData !== 'object') {
-            throw new Error('Invalid content data');
-        }
-        
-        // Required fields validation
-        const requiredFields = ['title', 'url', 'platform'];
-        for (const field of requiredFields) {
-            if (!contentData[field]) {
-                throw new Error(`Missing required field: ${field}`);
-            }
-        }
-        
-        // Validate platform
-        if (!Object.keys(PLATFORMS).includes(contentData.platform)) {
-            throw new Error(`Invalid platform: ${contentData.platform}`);
-        }
-        
-        // Load existing content items
-        const contentItems = await loadContentItems();
-        
-        // Check for duplicate URL
-        const normalizedUrl = normalizeUrl(contentData.url);
-        const isDuplicate = contentItems.some(item => 
-            normalizeUrl(item.url) === normalizedUrl);
-        
-        if (isDuplicate) {
-            throw new Error('A content item with this URL already exists');
-        }
+        validateContentData(contentData);
         
         // Create new content item with ID and timestamps
         const newContent = {
             ...contentData,
+            tags: normalizeTags(contentData.tags),
             id: generateContentId(),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
         
-        // Add to content items array
-        contentItems.push(newContent);
-        
-        // Save updated content items
-        await saveContentItems(contentItems);
+        // Check for duplicates and add in one atomic update
+        await updateSessionData(CONTENT_STORAGE_KEY, (contentItems) => {
+            const normalizedUrl = normalizeUrl(contentData.url);
+            const isDuplicate = contentItems.some(item => 
+                normalizeUrl(item.url) === normalizedUrl);
+            
+            if (isDuplicate) {
+                throw new Error('A content item with this URL already exists');
+            }
+            
+            return [...contentItems, newContent];
+        }, []);
         
         return newContent;
     } catch (error) {
@@ -112,39 +101,39 @@ export async function updateContentItem(contentId, contentData) {
         if (!contentId) {
             throw new Error('Content ID is required');
         }
+        validateContentData(contentData, true);
         
-        // Load existing content items
-        const contentItems = await loadContentItems();
-        
-        // Find content item index
-        const contentIndex = contentItems.findIndex(c => c.id === contentId);
-        if (contentIndex === -1) {
-            throw new Error(`Content item not found with ID: ${contentId}`);
-        }
-        
-        // If URL is being changed, check for duplicates
-        if (contentData.url && contentData.url !== contentItems[contentIndex].url) {
-            const normalizedUrl = normalizeUrl(contentData.url);
-            const isDuplicate = contentItems.some((item, index) => 
-                index !== contentIndex && normalizeUrl(item.url) === normalizedUrl);
+        let updatedContent;
+        await updateSessionData(CONTENT_STORAGE_KEY, (contentItems) => {
+            // Find content item index
+            const contentIndex = contentItems.findIndex(c => c.id === contentId);
+            if (contentIndex === -1) {
+                throw new Error(`Content item not found with ID: ${contentId}`);
+            }
             
-            if (isDuplicate) {
-                throw new Error('A content item with this URL already exists');
+            // If URL is being changed, check for duplicates
+            if (contentData.url && contentData.url !== contentItems[contentIndex].url) {
+                const normalizedUrl = normalizeUrl(contentData.url);
+                const isDuplicate = contentItems.some((item, index) => 
+                    index !== contentIndex && normalizeUrl(item.url) === normalizedUrl);
+                
+                if (isDuplicate) {
+                    throw new Error('A content item with this URL already exists');
+                }
             }
-        }
-        
-        // Create updated content item
-        const updatedContent = {
-            ...contentItems[contentIndex],
-            ...contentData,
-            updatedAt: new Date().toISOString()
-        };
-        
-        // Update in array
-        contentItems[contentIndex] = updatedContent;
-        
-        // Save updated content items
-        await saveContentItems(contentItems);
+            
+            // Create updated content item (its ID and creation time never change)
+            updatedContent = {
+                ...contentItems[contentIndex],
+                ...contentData,
+                tags: normalizeTags('tags' in contentData ? contentData.tags : contentItems[contentIndex].tags),
+                id: contentItems[contentIndex].id,
+                createdAt: contentItems[contentIndex].createdAt,
+                updatedAt: new Date().toISOString()
+            };
+            
+            return contentItems.map((item, index) => index === contentIndex ? updatedContent : item);
+        }, []);
         
         return updatedContent;
     } catch (error) {
@@ -154,25 +143,36 @@ export async function updateContentItem(contentId, contentData) {
 }
 
 /**
- * Delete content item by ID
+ * Delete content item by ID, together with its engagement records
  * @param {string} contentId - ID of content item to delete
  * @returns {Promise<boolean>} Success flag
  */
 export async function deleteContentItem(contentId) {
     try {
-        // Load existing content items
-        const contentItems = await loadContentItems();
-        
-        // Filter out the content item to delete
-        const updatedContentItems = contentItems.filter(c => c.id !== contentId);
+        await updateSessionData(CONTENT_STORAGE_KEY, (contentItems) => {
+            // Filter out the content item to delete
+            const updatedContentItems = contentItems.filter(c => c.id !== contentId);
+            
+            // Check if content item was found and removed
+            if (updatedContentItems.length === contentItems.length) {
+                throw new Error(`Content item not found with ID: ${contentId}`);
+            }
+            
+            return updatedContentItems;
+        }, []);
         
-        // Check if content item was found and removed
-        if (updatedContentItems.length === contentItems.length) {
-            throw new Error(`Content item not found with ID: ${contentId}`);
+        // Cascade to engagement records (anything missed here is reported by runMaintenance)
+        const engagement = await querySessionRecords('engagementData', { contentId });
+        if (engagement.length > 0) {
+            await deleteSessionRecords('engagementData', engagement.map(record => record.id));
+            console.log(`Deleted ${engagement.length} engagement records of content item ${contentId}`);
         }
         
-        // Save updated content items
-        await saveContentItems(updatedContentItems);
+        // Deliverables it fulfilled become outstanding again
+        const detached = await detachContentFromContracts(contentId);
+        if (detached > 0) {
+            console.log(`Detached content item ${contentId} from ${detached} deliverables`);
+        }
         
         return true;
     } catch (error) {
@@ -184,47 +184,90 @@ export async function deleteContentItem(contentId) {
 /**
  * Search content items
  * @param {string} query - Search query
- * @param {Object} filters - Optional filters (platform, date range, etc.)
+ * @param {Object} filters - Optional filters (see filterContentItems)
  * @returns {Promise<Array>} Filtered content items
  */
 export async function searchContentItems(query, filters = {}) {
     try {
-        // Load content items
-        const contentItems = await loadContentItems();
+        // Load content items (narrowed by the platform index when filtering by platform)
+        const contentItems = await loadContentItems(filters.platform ? { platform: filters.platform } : null);
         
-        // Filter content items based on query and filters
-        return contentItems.filter(item => {
-            // Text search
-            const searchableText = `${item.title} ${item.description || ''} ${item.tags || ''}`.toLowerCase();
-            const searchMatch = !query || searchableText.includes(query.toLowerCase());
-            
-            // Platform filter
-            const platformMatch = !filters.platform || item.platform === filters.platform;
-            
-            // Date range filter (created date)
-            let dateMatch = true;
-            if (filters.startDate || filters.endDate) {
-                const itemDate = new Date(item.createdAt);
-                
-                if (filters.startDate) {
-                    const startDate = new Date(filters.startDate);
-                    dateMatch = dateMatch && itemDate >= startDate;
-                }
-                
-                if (filters.endDate) {
-                    const endDate = new Date(filters.endDate);
-                    dateMatch = dateMatch && itemDate <= endDate;
-                }
-            }
-            
-            return searchMatch && platformMatch && dateMatch;
-        });
+        return filterContentItems(contentItems, query, filters);
     } catch (error) {
         console.error('Error searching content items:', error);
         return [];
     }
 }
 
+/**
+ * Filter content items by a search query and filters
+ * @param {Array} contentItems - Content items
+ * @param {string} query - Search query (matches title, description and tags)
+ * @param {Object} filters - Optional { platform, startDate, endDate (created date range), tags (items must have all of them) }
+ * @returns {Array} Matching content items
+ */
+export function filterContentItems(contentItems, query, filters = {}) {
+    const filterTags = normalizeTags(filters.tags);
+    
+    return contentItems.filter(item => {
+        const itemTags = normalizeTags(item.tags);
+        
+        // Text search
+        const searchableText = `${item.title} ${item.description || ''} ${itemTags.join(' ')}`.toLowerCase();
+        const searchMatch = !query || searchableText.includes(query.toLowerCase());
+        
+        // Platform filter
+        const platformMatch = !filters.platform || item.platform === filters.platform;
+        
+        // Date range filter (created date)
+        let dateMatch = true;
+        if (filters.startDate || filters.endDate) {
+            const itemDate = new Date(item.createdAt);
+            
+            if (filters.startDate) {
+                const startDate = new Date(filters.startDate);
+                dateMatch = dateMatch && itemDate >= startDate;
+            }
+            
+            if (filters.endDate) {
+                const endDate = new Date(filters.endDate);
+                dateMatch = dateMatch && itemDate <= endDate;
+            }
+        }
+        
+        // Tag filter
+        const tagMatch = filterTags.every(tag => itemTags.includes(tag));
+        
+        return searchMatch && platformMatch && dateMatch && tagMatch;
+    });
+}
+
+/**
+ * Normalize content tags to trimmed, lower-case tags without duplicates
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string of tags
+ * @returns {Array<string>} Tags (empty when none)
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    const normalized = list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+/**
+ * List the tags used in the content library, for autocomplete
+ * @param {Array} contentItems - Content items
+ * @returns {Array<string>} Tags, most used first (then alphabetical)
+ */
+export function getContentTags(contentItems) {
+    const counts = new Map();
+    contentItems.forEach(item => {
+        normalizeTags(item.tags).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts.entries()]
+        .sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB))
+        .map(([tag]) => tag);
+}
+
 /**
  * Generate unique content ID
  * @returns {string} Unique content ID
@@ -233,6 +276,39 @@ function generateContentId() {
     return 'content_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Validate content item fields
+ * @param {Object} contentData - Content item data
+ * @param {boolean} partial - Only check the fields present (for updates)
+ */
+function validateContentData(contentData, partial = false) {
+    if (!contentData || typeof contentData !== 'object') {
+        throw new Error('Invalid content data');
+    }
+    
+    // Required fields validation
+    const requiredFields = ['title', 'url', 'platform'];
+    for (const field of requiredFields) {
+        if ((!partial || field in contentData) && !String(contentData[field] ?? '').trim()) {
+            throw new Error(`Missing required field: ${field}`);
+        }
+    }
+    
+    // Validate platform
+    if ((!partial || 'platform' in contentData) && !Object.keys(PLATFORMS).includes(contentData.platform)) {
+        throw new Error(`Invalid platform: ${contentData.platform}`);
+    }
+    
+    if (contentData.publishedDate && isNaN(new Date(contentData.publishedDate).getTime())) {
+        throw new Error(`Invalid published date: ${contentData.publishedDate}`);
+    }
+    
+    // Durations are read by calculateWatchHours as minutes:seconds or hours:minutes:seconds
+    if (contentData.duration && !/^\d+:[0-5]\d(:[0-5]\d)?$/.test(contentData.duration)) {
+        throw new Error(`Invalid duration: ${contentData.duration} (use m:ss or h:mm:ss)`);
+    }
+}
+
 /**
  * Normalize URL for comparison
  * @param {string} url - URL to normalize
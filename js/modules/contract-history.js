@@ -0,0 +1,222 @@
+/**
+ * Contract history module for Platform Engagement Tracker
+ * Records every change to a contract as an immutable revision, so renegotiated
+ * terms can be reviewed and earlier revisions restored (see restoreContractRevision
+ * in contract-manager.js)
+ *
+ * Revision model (never modified once recorded):
+ *   id, contractId, number (1 for the contract's first revision), action (created,
+ *   updated, deleted or restored), at, author, changes [{ path, label, from, to }],
+ *   snapshot (the contract after the change, null once deleted), restoredFrom (restores only)
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+
+// Storage key
+const REVISION_STORAGE_KEY = 'contractRevisions';
+
+// Fields that change along with others and are left out of diffs
+const UNTRACKED_FIELDS = ['updatedAt', 'statusHistory'];
+
+// Names of the records in a contract's lists, for change labels
+const LIST_LABELS = {
+    deliverables: 'Deliverable',
+    kpiTargets: 'KPI target',
+    milestones: 'Milestone'
+};
+
+// Name recorded as the author of changes made in this tab
+let revisionAuthor = null;
+
+/**
+ * Set the name recorded as the author of contract changes made in this tab
+ * @param {string} author - Author name (empty for none)
+ */
+export function setRevisionAuthor(author) {
+    revisionAuthor = typeof author === 'string' && author.trim() ? author.trim() : null;
+}
+
+/**
+ * Get the name recorded as the author of contract changes made in this tab
+ * @returns {string|null} Author name, or null when none is set
+ */
+export function getRevisionAuthor() {
+    return revisionAuthor;
+}
+
+/**
+ * Load recorded revisions
+ * @param {string} contractId - Optional contract to load the revisions of
+ * @returns {Promise<Array>} Revisions, oldest first
+ */
+export async function loadContractRevisions(contractId = null) {
+    try {
+        const revisions = await loadSessionData(REVISION_STORAGE_KEY, []);
+        return contractId ? revisions.filter(revision => revision.contractId === contractId) : revisions;
+    } catch (error) {
+        console.error('Error loading contract revisions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a revision for each contract that differs between two versions of the contract list
+ * @param {Array} before - Contracts before the change
+ * @param {Array} after - Contracts after the change
+ * @param {Object} options - Optional { action, restoredFrom, author } (author defaults to the tab's author)
+ * @returns {Promise<Array>} Recorded revisions
+ */
+export async function recordContractRevisions(before, after, { action = null, restoredFrom = null, author = revisionAuthor } = {}) {
+    try {
+        const previous = new Map(before.map(contract => [contract.id, contract]));
+        const next = new Map(after.map(contract => [contract.id, contract]));
+
+        const entries = [];
+        new Set([...previous.keys(), ...next.keys()]).forEach(contractId => {
+            const from = previous.get(contractId) || null;
+            const to = next.get(contractId) || null;
+            const changes = diffContracts(from, to);
+            if (from && to && changes.length === 0) return;
+
+            entries.push({
+                contractId,
+                action: action || (!from ? 'created' : !to ? 'deleted' : 'updated'),
+                changes,
+                snapshot: to
+            });
+        });
+        if (entries.length === 0) return [];
+
+        const at = new Date().toISOString();
+        let recorded = [];
+        await updateSessionData(REVISION_STORAGE_KEY, (revisions) => {
+            recorded = entries.map(entry => {
+                const revision = {
+                    id: generateRevisionId(),
+                    contractId: entry.contractId,
+                    number: revisions.filter(r => r.contractId === entry.contractId).length + 1,
+                    action: entry.action,
+                    at,
+                    author,
+                    changes: entry.changes,
+                    snapshot: entry.snapshot
+                };
+                if (restoredFrom !== null) revision.restoredFrom = restoredFrom;
+                return revision;
+            });
+            return [...revisions, ...recorded];
+        }, []);
+        return recorded;
+    } catch (error) {
+        console.error('Error recording contract revisions:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the differences between two versions of a contract. Records in the
+ * contract's lists are matched by ID, so an edited milestone shows as a change to
+ * that milestone rather than to the whole list.
+ * @param {Object|null} before - Contract before the change (null when created)
+ * @param {Object|null} after - Contract after the change (null when deleted)
+ * @returns {Array<Object>} Changes [{ path, label, from, to }] (empty when created or deleted)
+ */
+export function diffContracts(before, after) {
+    const changes = [];
+    if (!before || !after) return changes;
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (!UNTRACKED_FIELDS.includes(key)) {
+            diffValues(key, humanize(key), before[key], after[key], changes, LIST_LABELS[key]);
+        }
+    });
+    return changes;
+}
+
+/**
+ * Add the differences between two values to a list of changes
+ * @param {string} path - Path of the value in the contract, e.g. "milestones.<id>.amount"
+ * @param {string} label - Readable name of the value
+ * @param {any} from - Old value
+ * @param {any} to - New value
+ * @param {Array} changes - Changes found so far
+ * @param {string} itemLabel - Name of the records when the values are record lists
+ */
+function diffValues(path, label, from, to, changes, itemLabel = label) {
+    // Contracts created before a list existed have no list at all
+    const oldList = from === undefined && Array.isArray(to) ? [] : from;
+    const newList = to === undefined && Array.isArray(from) ? [] : to;
+    if (isRecordList(oldList) && isRecordList(newList)) {
+        const oldItems = new Map(oldList.map(item => [item.id, item]));
+        const newItems = new Map(newList.map(item => [item.id, item]));
+        new Set([...oldItems.keys(), ...newItems.keys()]).forEach(id => {
+            const oldItem = oldItems.get(id);
+            const newItem = newItems.get(id);
+            const name = `${itemLabel} "${describeItem(newItem || oldItem)}"`;
+            if (!oldItem || !newItem) {
+                changes.push({ path: `${path}.${id}`, label: name, from: oldItem || null, to: newItem || null });
+                return;
+            }
+            new Set([...Object.keys(oldItem), ...Object.keys(newItem)]).forEach(key => {
+                diffValues(`${path}.${id}.${key}`, `${name} ${humanize(key).toLowerCase()}`, oldItem[key], newItem[key], changes);
+            });
+        });
+        return;
+    }
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+            diffValues(`${path}.${key}`, `${label} ${humanize(key).toLowerCase()}`, from[key], to[key], changes);
+        });
+        return;
+    }
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ path, label, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+}
+
+/**
+ * Check whether a value is a list of records with IDs
+ * @param {any} value - Value
+ * @returns {boolean} True for arrays whose items all have an ID
+ */
+function isRecordList(value) {
+    return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {any} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe a record of a contract list for change labels
+ * @param {Object} item - Deliverable, KPI target or milestone
+ * @returns {string} Name, description, metric or type of the record
+ */
+function describeItem(item) {
+    return item.name || item.description || item.metric || item.type || item.id;
+}
+
+/**
+ * Turn a field name into words, e.g. "dueDate" into "Due date"
+ * @param {string} key - Field name
+ * @returns {string} Readable name
+ */
+function humanize(key) {
+    const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Generate a unique ID for a revision
+ * @returns {string} Unique ID
+ */
+function generateRevisionId() {
+    return 'revision_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
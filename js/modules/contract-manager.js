@@ -1,20 +1,101 @@
 /**
  * Contract manager module for Platform Engagement Tracker
  * Handles CRUD operations for content creation contracts
+ *
+ * Contract model:
+ *   id, clientName, projectName, value (number), currency (ISO 4217 code), startDate, endDate,
+ *   dueDate (optional), deliverables, description, status,
+ *   statusHistory, recurrence (optional, for retainers), createdAt, updatedAt
+ *
+ * Deliverable model (owned by a contract):
+ *   id, type (platform key), quantity, dueDate (optional), description,
+ *   contentIds (content items attached as fulfilling the deliverable),
+ *   period and carriedOver (only on deliverables generated for a retainer period)
+ *
+ * Recurrence model (retainers; periods are generated by retainer-manager.js):
+ *   frequency (key of RECURRENCE_FREQUENCIES), interval, quota [{ type, quantity, description }],
+ *   amount (paid per period), paymentDueDays (after the period ends),
+ *   rollover (key of ROLLOVER_POLICIES)
+ *
+ * KPI target model (owned by a contract):
+ *   id, metric (key of KPI_METRICS), target, windowDays (counted from the
+ *   contract start date); progress comes from the engagement of the content
+ *   attached to the contract's deliverables
+ *
+ * Milestone model (the contract's payment schedule, in the contract's currency):
+ *   id, name, amount, dueDate (optional, e.g. unknown until publishing),
+ *   paidDate (optional), invoiceRef (optional), period (retainer milestones only)
+ *
+ * status follows the lifecycle in CONTRACT_TRANSITIONS and every change is
+ * appended to statusHistory as { from, to, at }. Every write goes through
+ * updateContracts, which records the change as a revision in contract-history.js.
  */
 
-import { getCurrentUser, saveUserData, loadUserData } from './storage.js';
+import { loadSessionData, updateSessionData, querySessionRecords } from './storage.js';
+import { recordContractRevisions, loadContractRevisions } from './contract-history.js';
+import { PLATFORMS, AVG_WATCH_PERCENTAGE } from './config.js';
+import { calculateWatchHours } from './utils.js';
+import { DEFAULT_CURRENCY, isValidCurrency } from './currency.js';
 
 // Constants
 const CONTRACT_STORAGE_KEY = 'contracts';
 
+// Lifecycle states, in the order the dashboard groups them
+export const CONTRACT_STATUSES = ['draft', 'negotiating', 'active', 'delivered', 'invoiced', 'paid', 'cancelled', 'disputed'];
+
+// Allowed status changes (paid and cancelled are final)
+export const CONTRACT_TRANSITIONS = {
+    draft: ['negotiating', 'active', 'cancelled'],
+    negotiating: ['draft', 'active', 'cancelled'],
+    active: ['delivered', 'cancelled', 'disputed'],
+    delivered: ['active', 'invoiced', 'disputed'],
+    invoiced: ['paid', 'disputed'],
+    paid: [],
+    cancelled: [],
+    disputed: ['active', 'delivered', 'invoiced', 'paid', 'cancelled']
+};
+
+// States a contract may be created in
+const INITIAL_STATUSES = ['draft', 'negotiating', 'active'];
+
+// Engagement metrics a KPI target can commit to
+export const KPI_METRICS = {
+    views: 'Views',
+    likes: 'Likes',
+    comments: 'Comments',
+    watchHours: 'Watch hours'
+};
+
+// How often a retainer starts a new period
+export const RECURRENCE_FREQUENCIES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly'
+};
+
+// What happens to a retainer period's unfulfilled quota
+export const ROLLOVER_POLICIES = {
+    none: 'Lapses at the end of the period',
+    'next-period': 'Carries over to the next period only',
+    accumulate: 'Keeps carrying over until fulfilled'
+};
+
+// Lists a contract owns, with the names used in not-found errors
+const CONTRACT_LISTS = {
+    deliverables: { label: 'Deliverable', code: 'DELIVERABLE_NOT_FOUND' },
+    kpiTargets: { label: 'KPI target', code: 'KPI_TARGET_NOT_FOUND' },
+    milestones: { label: 'Milestone', code: 'MILESTONE_NOT_FOUND' }
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 /**
  * Load all contracts for current user
  * @returns {Promise<Array>} Array of contract objects
  */
 export async function loadContracts() {
     try {
-        const contracts = await loadUserData(CONTRACT_STORAGE_KEY, []);
+        const contracts = await loadSessionData(CONTRACT_STORAGE_KEY, []);
         console.log(`Loaded ${contracts.length} contracts`);
         return contracts;
     } catch (error) {
@@ -34,7 +115,7 @@ export async function saveContracts(contracts) {
             throw new Error('Contracts must be an array');
         }
         
-        await saveUserData(CONTRACT_STORAGE_KEY, contracts);
+        await updateContracts(() => contracts);
         console.log(`Saved ${contracts.length} contracts`);
         return true;
     } catch (error) {
@@ -43,6 +124,94 @@ export async function saveContracts(contracts) {
     }
 }
 
+/**
+ * Apply a change to the stored contracts atomically and record a revision for
+ * each contract it changes
+ * @param {Function} updater - Receives the contracts and returns (or resolves with) the new list
+ * @param {Object} revisionOptions - Optional { action, restoredFrom, author } for the revisions
+ * @returns {Promise<Array>} Stored contracts
+ */
+export async function updateContracts(updater, revisionOptions = {}) {
+    // The revision is recorded while the contracts are locked and before they are
+    // written, so a stored change never lacks its revision; if recording fails,
+    // nothing is written
+    return updateSessionData(CONTRACT_STORAGE_KEY, async (contracts) => {
+        const updated = await updater(contracts);
+        await recordContractRevisions(contracts, updated, revisionOptions);
+        return updated;
+    }, []);
+}
+
+/**
+ * Restore a contract to an earlier revision, recorded as a new revision.
+ *
+ * The lifecycle only moves through allowed transitions, so an existing contract
+ * keeps its status. Payments and invoices are facts rather than terms: restored
+ * milestones keep their current invoice reference and paid date, and milestones
+ * that have been invoiced or paid since are kept. A deleted contract comes back as it was.
+ *
+ * @param {string} contractId - Contract ID
+ * @param {number} revisionNumber - Number of the revision to restore
+ * @returns {Promise<Object>} Restored contract
+ */
+export async function restoreContractRevision(contractId, revisionNumber) {
+    try {
+        const revisions = await loadContractRevisions(contractId);
+        const revision = revisions.find(item => item.number === revisionNumber);
+        if (!revision || !revision.snapshot) {
+            const error = new Error(`No revision ${revisionNumber} to restore for contract ${contractId}`);
+            error.code = 'REVISION_NOT_FOUND';
+            throw error;
+        }
+        
+        let restored;
+        await updateContracts((contracts) => {
+            const current = contracts.find(c => c.id === contractId);
+            const now = new Date().toISOString();
+            restored = current ? restoreTerms(revision.snapshot, current) : { ...revision.snapshot };
+            restored.updatedAt = now;
+            validateContract(restored);
+            
+            return current
+                ? contracts.map(item => item.id === contractId ? restored : item)
+                : [...contracts, restored];
+        }, { action: 'restored', restoredFrom: revisionNumber });
+        
+        return restored;
+    } catch (error) {
+        console.error('Error restoring contract revision:', error);
+        throw error;
+    }
+}
+
+/**
+ * Combine the terms of an earlier revision with the lifecycle and billing state of
+ * the current contract (see restoreContractRevision)
+ * @param {Object} snapshot - Contract as it was
+ * @param {Object} current - Contract as it is
+ * @returns {Object} Restored contract
+ */
+function restoreTerms(snapshot, current) {
+    const currentMilestones = new Map((current.milestones || []).map(m => [m.id, m]));
+    const billed = (milestone) => !!(milestone.invoiceRef || milestone.paidDate);
+    
+    const milestones = (snapshot.milestones || []).map(milestone => {
+        const { invoiceRef, paidDate, ...terms } = milestone;
+        const latest = currentMilestones.get(milestone.id);
+        if (!latest) return terms;
+        return normalizeMilestone({ ...terms, invoiceRef: latest.invoiceRef, paidDate: latest.paidDate });
+    });
+    const restoredIds = new Set(milestones.map(m => m.id));
+    
+    return {
+        ...snapshot,
+        milestones: [...milestones, ...(current.milestones || []).filter(m => billed(m) && !restoredIds.has(m.id))],
+        status: current.status,
+        statusHistory: current.statusHistory,
+        createdAt: current.createdAt
+    };
+}
+
 /**
  * Add a new contract
  * @param {Object} contractData - Contract data
@@ -54,31 +223,34 @@ export async function addContract(contractData) {
             throw new Error('Invalid contract data');
         }
         
-        // Required fields validation
-        const requiredFields = ['clientName', 'projectName', 'dueDate', 'deliverables'];
-        for (const field of requiredFields) {
-            if (!contractData[field]) {
-                throw new Error(`Missing required field: ${field}`);
-            }
+        const status = contractData.status || 'draft';
+        if (!INITIAL_STATUSES.includes(status)) {
+            const error = new Error(`New contracts must start as ${INITIAL_STATUSES.join(', ')}`);
+            error.code = 'INVALID_CONTRACT_STATUS';
+            throw error;
         }
         
-        // Load existing contracts
-        const contracts = await loadContracts();
+        const normalized = normalizeContractData(contractData);
+        validateContract(normalized);
         
         // Create new contract with generated ID and timestamps
+        const now = new Date().toISOString();
         const newContract = {
-            ...contractData,
+            value: 0,
+            currency: DEFAULT_CURRENCY,
+            deliverables: [],
+            kpiTargets: [],
+            milestones: [],
+            ...normalized,
             id: generateContractId(),
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            status: contractData.status || 'pending' // Default status
+            createdAt: now,
+            updatedAt: now,
+            status,
+            statusHistory: [{ from: null, to: status, at: now }]
         };
         
-        // Add to contracts array
-        contracts.push(newContract);
-        
-        // Save updated contracts
-        await saveContracts(contracts);
+        // Append atomically so concurrent additions are not lost
+        await updateContracts((contracts) => [...contracts, newContract]);
         
         return newContract;
     } catch (error) {
@@ -99,55 +271,727 @@ export async function updateContract(contractId, contractData) {
             throw new Error('Contract ID is required');
         }
         
-        // Load existing contracts
-        const contracts = await loadContracts();
+        let updatedContract;
+        await updateContracts((contracts) => {
+            // Find contract index
+            const contractIndex = contracts.findIndex(c => c.id === contractId);
+            if (contractIndex === -1) {
+                throw new Error(`Contract not found with ID: ${contractId}`);
+            }
+            
+            const current = contracts[contractIndex];
+            const now = new Date().toISOString();
+            
+            // Create updated contract (the history is only written through status changes)
+            const { statusHistory, ...changes } = normalizeContractData(contractData);
+            updatedContract = {
+                ...current,
+                ...changes,
+                updatedAt: now
+            };
+            
+            if (changes.status !== undefined && changes.status !== current.status) {
+                assertTransition(current.status, changes.status);
+                updatedContract.statusHistory = [
+                    ...(current.statusHistory || []),
+                    { from: current.status, to: changes.status, at: now }
+                ];
+            }
+            validateContract(updatedContract);
+            
+            return contracts.map((item, index) => index === contractIndex ? updatedContract : item);
+        });
         
-        // Find contract index
-        const contractIndex = contracts.findIndex(c => c.id === contractId);
-        if (contractIndex === -1) {
-            throw new Error(`Contract not found with ID: ${contractId}`);
+        return updatedContract;
+    } catch (error) {
+        console.error('Error updating contract:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a deliverable to a contract
+ * @param {string} contractId - Contract ID
+ * @param {Object} deliverableData - { type, quantity, dueDate, description }
+ * @returns {Promise<Object>} Newly created deliverable with ID
+ */
+export async function addDeliverable(contractId, deliverableData) {
+    try {
+        const deliverable = normalizeDeliverable({ ...deliverableData, id: undefined, contentIds: [] });
+        await modifyDeliverables(contractId, (deliverables) => [...deliverables, deliverable]);
+        return deliverable;
+    } catch (error) {
+        console.error('Error adding deliverable:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a contract's deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @param {Object} deliverableData - Fields to change (attached content is changed through attachContent/detachContent)
+ * @returns {Promise<Object>} Updated deliverable
+ */
+export async function updateDeliverable(contractId, deliverableId, deliverableData) {
+    try {
+        const { id, contentIds, ...changes } = deliverableData;
+        let updatedDeliverable;
+        await modifyDeliverables(contractId, (deliverables) => deliverables.map(deliverable => {
+            if (deliverable.id !== deliverableId) return deliverable;
+            updatedDeliverable = normalizeDeliverable({ ...deliverable, ...changes });
+            return updatedDeliverable;
+        }), deliverableId);
+        return updatedDeliverable;
+    } catch (error) {
+        console.error('Error updating deliverable:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a deliverable from a contract
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @returns {Promise<boolean>} Success flag
+ */
+export async function removeDeliverable(contractId, deliverableId) {
+    try {
+        await modifyDeliverables(contractId, (deliverables) => deliverables.filter(d => d.id !== deliverableId), deliverableId);
+        return true;
+    } catch (error) {
+        console.error('Error removing deliverable:', error);
+        throw error;
+    }
+}
+
+/**
+ * Attach a content item from the content library to a deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} contentId - Content item ID
+ * @returns {Promise<Object>} Updated deliverable
+ */
+export async function attachContent(contractId, deliverableId, contentId) {
+    try {
+        const [contentItem] = await querySessionRecords('contentItems', { contentId });
+        if (!contentItem) {
+            const error = new Error(`Content item not found with ID: ${contentId}`);
+            error.code = 'CONTENT_NOT_FOUND';
+            throw error;
         }
         
-        // Create updated contract
-        const updatedContract = {
-            ...contracts[contractIndex],
-            ...contractData,
+        let updatedDeliverable;
+        await modifyDeliverables(contractId, (deliverables) => deliverables.map(deliverable => {
+            if (deliverable.id !== deliverableId) return deliverable;
+            if (deliverable.type !== 'other' && deliverable.type !== contentItem.platform) {
+                const error = new Error(`A ${PLATFORMS[contentItem.platform] || contentItem.platform} item cannot fulfill a ${PLATFORMS[deliverable.type]} deliverable`);
+                error.code = 'DELIVERABLE_TYPE_MISMATCH';
+                throw error;
+            }
+            updatedDeliverable = deliverable.contentIds.includes(contentId)
+                ? deliverable
+                : { ...deliverable, contentIds: [...deliverable.contentIds, contentId] };
+            return updatedDeliverable;
+        }), deliverableId);
+        return updatedDeliverable;
+    } catch (error) {
+        console.error('Error attaching content to deliverable:', error);
+        throw error;
+    }
+}
+
+/**
+ * Detach a content item from a deliverable
+ * @param {string} contractId - Contract ID
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} contentId - Content item ID
+ * @returns {Promise<Object>} Updated deliverable
+ */
+export async function detachContent(contractId, deliverableId, contentId) {
+    try {
+        let updatedDeliverable;
+        await modifyDeliverables(contractId, (deliverables) => deliverables.map(deliverable => {
+            if (deliverable.id !== deliverableId) return deliverable;
+            updatedDeliverable = { ...deliverable, contentIds: deliverable.contentIds.filter(id => id !== contentId) };
+            return updatedDeliverable;
+        }), deliverableId);
+        return updatedDeliverable;
+    } catch (error) {
+        console.error('Error detaching content from deliverable:', error);
+        throw error;
+    }
+}
+
+/**
+ * Detach a content item from every deliverable (used when the content item is deleted)
+ * @param {string} contentId - Content item ID
+ * @returns {Promise<number>} Number of deliverables the item was detached from
+ */
+export async function detachContentFromContracts(contentId) {
+    let detached = 0;
+    await updateContracts((contracts) => contracts.map(contract => {
+        const deliverables = Array.isArray(contract.deliverables) ? contract.deliverables : [];
+        if (!deliverables.some(d => (d.contentIds || []).includes(contentId))) return contract;
+        
+        return {
+            ...contract,
+            deliverables: deliverables.map(deliverable => {
+                if (!(deliverable.contentIds || []).includes(contentId)) return deliverable;
+                detached++;
+                return { ...deliverable, contentIds: deliverable.contentIds.filter(id => id !== contentId) };
+            }),
             updatedAt: new Date().toISOString()
         };
-        
-        // Update in array
-        contracts[contractIndex] = updatedContract;
-        
-        // Save updated contracts
-        await saveContracts(contracts);
-        
-        return updatedContract;
+    }));
+    return detached;
+}
+
+/**
+ * Work out fulfilled and outstanding work for a contract's deliverables.
+ * Only attached content that still exists in the library counts as fulfilled.
+ * @param {Object} contract - Contract
+ * @param {Array} contentItems - Content library
+ * @param {Date} now - Optional current time (for overdue checks)
+ * @returns {Object} { deliverables, required, fulfilled, outstanding, overdue }
+ */
+export function getDeliverableProgress(contract, contentItems, now = new Date()) {
+    const contentById = new Map(contentItems.map(item => [item.id, item]));
+    const today = now.toISOString().split('T')[0];
+    
+    const deliverables = (contract.deliverables || []).map(deliverable => {
+        const attached = (deliverable.contentIds || []).filter(id => contentById.has(id)).map(id => contentById.get(id));
+        const fulfilled = Math.min(attached.length, deliverable.quantity);
+        const outstanding = deliverable.quantity - fulfilled;
+        return {
+            ...deliverable,
+            contentItems: attached,
+            fulfilled,
+            outstanding,
+            overdue: outstanding > 0 && !!deliverable.dueDate && deliverable.dueDate < today
+        };
+    });
+    
+    return {
+        deliverables,
+        required: deliverables.reduce((sum, d) => sum + d.quantity, 0),
+        fulfilled: deliverables.reduce((sum, d) => sum + d.fulfilled, 0),
+        outstanding: deliverables.reduce((sum, d) => sum + d.outstanding, 0),
+        overdue: deliverables.filter(d => d.overdue).length
+    };
+}
+
+/**
+ * Add an engagement KPI target to a contract
+ * @param {string} contractId - Contract ID
+ * @param {Object} targetData - { metric, target, windowDays }
+ * @returns {Promise<Object>} Newly created KPI target with ID
+ */
+export async function addKpiTarget(contractId, targetData) {
+    try {
+        const kpiTarget = normalizeKpiTarget({ ...targetData, id: undefined });
+        await modifyContractList(contractId, 'kpiTargets', (targets) => [...targets, kpiTarget]);
+        return kpiTarget;
     } catch (error) {
-        console.error('Error updating contract:', error);
+        console.error('Error adding KPI target:', error);
         throw error;
     }
 }
 
 /**
- * Delete contract by ID
- * @param {string} contractId - ID of contract to delete
+ * Remove a KPI target from a contract
+ * @param {string} contractId - Contract ID
+ * @param {string} targetId - KPI target ID
  * @returns {Promise<boolean>} Success flag
  */
-export async function deleteContract(contractId) {
+export async function removeKpiTarget(contractId, targetId) {
+    try {
+        await modifyContractList(contractId, 'kpiTargets', (targets) => targets.filter(t => t.id !== targetId), targetId);
+        return true;
+    } catch (error) {
+        console.error('Error removing KPI target:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a payment milestone to a contract
+ * @param {string} contractId - Contract ID
+ * @param {Object} milestoneData - { name, amount, dueDate, paidDate, invoiceRef }
+ * @returns {Promise<Object>} Newly created milestone with ID
+ */
+export async function addMilestone(contractId, milestoneData) {
+    try {
+        const milestone = normalizeMilestone({ ...milestoneData, id: undefined });
+        await modifyContractList(contractId, 'milestones', (milestones) => [...milestones, milestone]);
+        return milestone;
+    } catch (error) {
+        console.error('Error adding milestone:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a payment milestone
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {Object} milestoneData - Fields to change
+ * @returns {Promise<Object>} Updated milestone
+ */
+export async function updateMilestone(contractId, milestoneId, milestoneData) {
+    try {
+        const { id, ...changes } = milestoneData;
+        let updatedMilestone;
+        await modifyContractList(contractId, 'milestones', (milestones) => milestones.map(milestone => {
+            if (milestone.id !== milestoneId) return milestone;
+            updatedMilestone = normalizeMilestone({ ...milestone, ...changes });
+            return updatedMilestone;
+        }), milestoneId);
+        return updatedMilestone;
+    } catch (error) {
+        console.error('Error updating milestone:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a milestone as paid
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {string} paidDate - Optional payment date (YYYY-MM-DD, defaults to today)
+ * @returns {Promise<Object>} Updated milestone
+ */
+export async function markMilestonePaid(contractId, milestoneId, paidDate = new Date().toISOString().split('T')[0]) {
+    return updateMilestone(contractId, milestoneId, { paidDate });
+}
+
+/**
+ * Reference an invoice on milestones that are not invoiced or paid yet. The check
+ * and the claim are one update, so two invoices can never claim the same milestone.
+ * The reference is only taken once the check passes, so a refused claim does not
+ * use up an invoice number.
+ * @param {string} contractId - Contract ID
+ * @param {Array<string>} milestoneIds - Milestones to claim
+ * @param {Function} allocateInvoiceRef - Resolves with the invoice number
+ * @returns {Promise<Object>} Updated contract
+ */
+export async function claimMilestonesForInvoice(contractId, milestoneIds, allocateInvoiceRef) {
+    try {
+        return await modifyContractList(contractId, 'milestones', async (milestones) => {
+            milestoneIds.forEach(milestoneId => {
+                const milestone = milestones.find(m => m.id === milestoneId);
+                if (!milestone) {
+                    const error = new Error(`Milestone not found with ID: ${milestoneId}`);
+                    error.code = 'MILESTONE_NOT_FOUND';
+                    throw error;
+                }
+                if (milestone.invoiceRef || milestone.paidDate) {
+                    const error = new Error(`Milestone "${milestone.name}" is already ${milestone.paidDate ? 'paid' : `invoiced (${milestone.invoiceRef})`}`);
+                    error.code = 'MILESTONE_ALREADY_INVOICED';
+                    throw error;
+                }
+            });
+            const invoiceRef = await allocateInvoiceRef();
+            return milestones.map(milestone => milestoneIds.includes(milestone.id)
+                ? normalizeMilestone({ ...milestone, invoiceRef })
+                : milestone);
+        });
+    } catch (error) {
+        console.error('Error claiming milestones for invoice:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a payment milestone (invoiced milestones stay until their invoice is voided)
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @returns {Promise<boolean>} Success flag
+ */
+export async function removeMilestone(contractId, milestoneId) {
     try {
-        // Load existing contracts
-        const contracts = await loadContracts();
+        await modifyContractList(contractId, 'milestones', (milestones) => {
+            const milestone = milestones.find(m => m.id === milestoneId);
+            if (milestone.invoiceRef) {
+                const error = new Error(`Milestone "${milestone.name}" is on invoice ${milestone.invoiceRef}; void the invoice first`);
+                error.code = 'MILESTONE_INVOICED';
+                throw error;
+            }
+            return milestones.filter(m => m.id !== milestoneId);
+        }, milestoneId);
+        return true;
+    } catch (error) {
+        console.error('Error removing milestone:', error);
+        throw error;
+    }
+}
+
+/**
+ * Work out the state of a contract's payment schedule
+ * @param {Object} contract - Contract
+ * @param {Date} now - Optional current time (for overdue checks)
+ * @returns {Object} { milestones (each with a status of paid, overdue, upcoming or unscheduled), scheduled, received, outstanding, overdue, unscheduledValue }
+ */
+export function getPaymentSchedule(contract, now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    
+    const milestones = (contract.milestones || []).map(milestone => {
+        let status;
+        if (milestone.paidDate) status = 'paid';
+        else if (!milestone.dueDate) status = 'unscheduled';
+        else status = milestone.dueDate < today ? 'overdue' : 'upcoming';
+        return { ...milestone, status };
+    });
+    
+    const sum = (items) => items.reduce((total, milestone) => total + milestone.amount, 0);
+    const scheduled = sum(milestones);
+    // Nothing more is owed on a cancelled contract
+    const owed = contract.status === 'cancelled' ? [] : milestones.filter(m => m.status !== 'paid');
+    
+    return {
+        milestones,
+        scheduled,
+        received: sum(milestones.filter(m => m.status === 'paid')),
+        outstanding: sum(owed),
+        overdue: sum(owed.filter(m => m.status === 'overdue')),
+        unscheduledValue: Math.max(0, (contract.value || 0) - scheduled)
+    };
+}
+
+/**
+ * Total the payment schedules of several contracts, per currency
+ * (see convertAmounts in currency.js to combine them)
+ * @param {Array} contracts - Contracts
+ * @param {Date} now - Optional current time
+ * @returns {Object} { received, outstanding, overdue }, each an object of amounts by currency code
+ */
+export function getPaymentTotals(contracts, now = new Date()) {
+    return contracts.reduce((totals, contract) => {
+        const schedule = getPaymentSchedule(contract, now);
+        const currency = contract.currency || DEFAULT_CURRENCY;
+        ['received', 'outstanding', 'overdue'].forEach(field => {
+            totals[field][currency] = (totals[field][currency] || 0) + schedule[field];
+        });
+        return totals;
+    }, { received: {}, outstanding: {}, overdue: {} });
+}
+
+/**
+ * Work out progress towards a contract's KPI targets.
+ *
+ * Engagement snapshots hold running totals, so the engagement earned in a window
+ * is the latest snapshot inside it minus the last snapshot before it. A target is
+ * 'met' once reached, 'missed' when its window closed first, 'pending' before the
+ * window opens, and otherwise 'on-track' or 'at-risk' depending on whether progress
+ * keeps pace with the time elapsed.
+ *
+ * @param {Object} contract - Contract
+ * @param {Array} contentItems - Content library
+ * @param {Array} engagementData - Engagement snapshots
+ * @param {Date} now - Optional current time
+ * @returns {Object} { targets, health } (health is null without targets, else the worst target status)
+ */
+export function getKpiProgress(contract, contentItems, engagementData, now = new Date()) {
+    const contentById = new Map(contentItems.map(item => [item.id, item]));
+    const linkedIds = new Set((contract.deliverables || [])
+        .flatMap(deliverable => deliverable.contentIds || [])
+        .filter(id => contentById.has(id)));
+    
+    // Snapshots of each linked content item, oldest first
+    const snapshotsByContent = new Map();
+    engagementData
+        .filter(record => linkedIds.has(record.contentId))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(record => {
+            if (!snapshotsByContent.has(record.contentId)) snapshotsByContent.set(record.contentId, []);
+            snapshotsByContent.get(record.contentId).push(record);
+        });
+    
+    const start = new Date(contract.startDate).getTime();
+    const targets = (contract.kpiTargets || []).map(kpiTarget => {
+        const end = start + kpiTarget.windowDays * MS_PER_DAY;
+        const cutoff = Math.min(end, now.getTime());
+        
+        let actual = 0;
+        linkedIds.forEach(contentId => {
+            const snapshots = snapshotsByContent.get(contentId) || [];
+            const latest = findLastSnapshot(snapshots, time => time <= cutoff);
+            const baseline = findLastSnapshot(snapshots, time => time < start);
+            const content = contentById.get(contentId);
+            actual += getMetricValue(kpiTarget.metric, latest, content) - getMetricValue(kpiTarget.metric, baseline, content);
+        });
+        actual = Math.max(0, actual);
         
-        // Filter out the contract to delete
-        const updatedContracts = contracts.filter(c => c.id !== contractId);
+        const elapsed = Math.min(1, Math.max(0, (now.getTime() - start) / (end - start)));
+        let status;
+        if (actual >= kpiTarget.target) status = 'met';
+        else if (now.getTime() >= end) status = 'missed';
+        else if (now.getTime() < start) status = 'pending';
+        else status = actual >= kpiTarget.target * elapsed ? 'on-track' : 'at-risk';
         
-        // Check if contract was found and removed
-        if (updatedContracts.length === contracts.length) {
+        return {
+            ...kpiTarget,
+            actual,
+            percent: Math.min(100, (actual / kpiTarget.target) * 100),
+            windowEnd: new Date(end).toISOString(),
+            status
+        };
+    });
+    
+    const statuses = targets.map(t => t.status);
+    let health = null;
+    if (statuses.includes('missed')) health = 'missed';
+    else if (statuses.includes('at-risk')) health = 'at-risk';
+    else if (statuses.length && statuses.every(status => status === 'met')) health = 'met';
+    else if (statuses.length) health = 'on-track';
+    
+    return { targets, health };
+}
+
+/**
+ * Find the last snapshot whose time satisfies a condition
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {Function} accept - Receives the snapshot time in milliseconds
+ * @returns {Object|null} Snapshot
+ */
+function findLastSnapshot(snapshots, accept) {
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+        if (accept(new Date(snapshots[i].date).getTime())) return snapshots[i];
+    }
+    return null;
+}
+
+/**
+ * Read a KPI metric from an engagement snapshot
+ * @param {string} metric - Key of KPI_METRICS
+ * @param {Object} snapshot - Engagement snapshot (null counts as zero)
+ * @param {Object} content - Content item the snapshot belongs to
+ * @returns {number} Metric value
+ */
+function getMetricValue(metric, snapshot, content) {
+    if (!snapshot) return 0;
+    if (metric === 'watchHours') {
+        // Only videos accumulate watch time
+        return content.platform === 'youtube'
+            ? calculateWatchHours(snapshot.views || 0, content.duration, AVG_WATCH_PERCENTAGE)
+            : 0;
+    }
+    return snapshot[metric] || 0;
+}
+
+/**
+ * Parse a free-text deliverables list such as "2 YouTube videos, 1 ServiceNow blog"
+ * @param {string} text - Comma, semicolon or line separated list
+ * @returns {Array<Object>} Deliverables (type 'other' when no platform is named)
+ */
+export function parseDeliverables(text) {
+    return String(text || '')
+        .split(/[,;\n]/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(\d+)\s*x?\s+(.*)$/i);
+            const description = match ? match[2] : part;
+            const lower = description.toLowerCase();
+            const type = Object.keys(PLATFORMS).find(key =>
+                key !== 'other' && (lower.includes(key) || lower.includes(PLATFORMS[key].toLowerCase()))) || 'other';
+            return normalizeDeliverable({ type, quantity: match ? Number(match[1]) : 1, description });
+        });
+}
+
+/**
+ * Apply a change to a contract's deliverables atomically
+ * @param {string} contractId - Contract ID
+ * @param {Function} modify - Receives the deliverables and returns the new list
+ * @param {string} deliverableId - Optional deliverable that must exist
+ * @returns {Promise<Object>} Updated contract
+ */
+function modifyDeliverables(contractId, modify, deliverableId = null) {
+    return modifyContractList(contractId, 'deliverables', modify, deliverableId);
+}
+
+/**
+ * Apply a change to one of the lists a contract owns atomically
+ * @param {string} contractId - Contract ID
+ * @param {string} field - Key of CONTRACT_LISTS
+ * @param {Function} modify - Receives the list and returns (or resolves with) the new list
+ * @param {string} itemId - Optional list item that must exist
+ * @returns {Promise<Object>} Updated contract
+ */
+async function modifyContractList(contractId, field, modify, itemId = null) {
+    let updatedContract;
+    await updateContracts(async (contracts) => {
+        const contract = contracts.find(c => c.id === contractId);
+        if (!contract) {
             throw new Error(`Contract not found with ID: ${contractId}`);
         }
         
-        // Save updated contracts
-        await saveContracts(updatedContracts);
+        const items = contract[field] || [];
+        if (itemId && !items.some(item => item.id === itemId)) {
+            const error = new Error(`${CONTRACT_LISTS[field].label} not found with ID: ${itemId}`);
+            error.code = CONTRACT_LISTS[field].code;
+            throw error;
+        }
+        
+        updatedContract = { ...contract, [field]: await modify(items), updatedAt: new Date().toISOString() };
+        validateContract(updatedContract);
+        
+        return contracts.map(item => item.id === contractId ? updatedContract : item);
+    });
+    return updatedContract;
+}
+
+/**
+ * Bring a deliverable into the deliverable model
+ * @param {Object} data - Deliverable data
+ * @returns {Object} Deliverable (with a generated ID if it had none)
+ */
+function normalizeDeliverable(data) {
+    const deliverable = {
+        id: data.id || generateDeliverableId(),
+        type: data.type || 'other',
+        quantity: data.quantity === undefined || data.quantity === '' ? 1 : Number(data.quantity),
+        description: typeof data.description === 'string' ? data.description.trim() : '',
+        contentIds: Array.isArray(data.contentIds) ? data.contentIds : []
+    };
+    if (data.dueDate) {
+        deliverable.dueDate = data.dueDate;
+    }
+    if (data.period) {
+        deliverable.period = data.period;
+        deliverable.carriedOver = Number(data.carriedOver) || 0;
+    }
+    return deliverable;
+}
+
+/**
+ * Bring a recurrence rule into the recurrence model
+ * @param {Object} data - Recurrence data (quota may be free text such as "4 LinkedIn posts")
+ * @returns {Object|null} Recurrence, or null when the contract does not recur
+ */
+function normalizeRecurrence(data) {
+    if (!data || !data.frequency) return null;
+    
+    const quota = typeof data.quota === 'string' ? parseDeliverables(data.quota) : (data.quota || []);
+    const toNumber = (value, fallback) => (value === undefined || value === '' || value === null ? fallback : Number(value));
+    return {
+        frequency: data.frequency,
+        interval: toNumber(data.interval, 1),
+        quota: quota.map(item => ({
+            type: item.type || 'other',
+            quantity: toNumber(item.quantity, 1),
+            description: typeof item.description === 'string' ? item.description.trim() : ''
+        })),
+        amount: toNumber(data.amount, 0),
+        paymentDueDays: toNumber(data.paymentDueDays, 0),
+        rollover: data.rollover || 'none'
+    };
+}
+
+/**
+ * Bring a KPI target into the KPI target model
+ * @param {Object} data - KPI target data
+ * @returns {Object} KPI target (with a generated ID if it had none)
+ */
+function normalizeKpiTarget(data) {
+    return {
+        id: data.id || generateKpiTargetId(),
+        metric: data.metric,
+        target: Number(data.target),
+        windowDays: Number(data.windowDays)
+    };
+}
+
+/**
+ * Bring a milestone into the milestone model
+ * @param {Object} data - Milestone data
+ * @returns {Object} Milestone (with a generated ID if it had none)
+ */
+function normalizeMilestone(data) {
+    const milestone = {
+        id: data.id || generateMilestoneId(),
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        amount: data.amount === undefined || data.amount === '' ? 0 : Number(data.amount)
+    };
+    // Optional fields are stored as absent when empty
+    ['dueDate', 'paidDate', 'invoiceRef', 'period'].forEach(field => {
+        const value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+        if (value) milestone[field] = value;
+    });
+    return milestone;
+}
+
+/**
+ * Move a contract to another lifecycle state
+ * @param {string} contractId - ID of contract to update
+ * @param {string} status - New status
+ * @returns {Promise<Object>} Updated contract object
+ */
+export async function changeContractStatus(contractId, status) {
+    return updateContract(contractId, { status });
+}
+
+/**
+ * Get the states a contract can move to from its current state
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next states
+ */
+export function getAllowedTransitions(status) {
+    return CONTRACT_TRANSITIONS[status] || [];
+}
+
+/**
+ * Get when a contract last entered a state
+ * @param {Object} contract - Contract
+ * @param {string} status - Status to look up
+ * @returns {string|null} ISO timestamp, or null if the contract was never in that state
+ */
+export function getStatusTimestamp(contract, status) {
+    const history = contract.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].to === status) return history[i].at;
+    }
+    return null;
+}
+
+/**
+ * Check that a status change is allowed by the transition table
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {Error} With code INVALID_CONTRACT_STATUS or INVALID_STATUS_TRANSITION
+ */
+function assertTransition(from, to) {
+    if (!CONTRACT_STATUSES.includes(to)) {
+        const error = new Error(`Unknown contract status: ${to}`);
+        error.code = 'INVALID_CONTRACT_STATUS';
+        throw error;
+    }
+    
+    if (!getAllowedTransitions(from).includes(to)) {
+        const error = new Error(`Cannot change contract status from ${from} to ${to}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        throw error;
+    }
+}
+
+/**
+ * Delete contract by ID
+ * @param {string} contractId - ID of contract to delete
+ * @returns {Promise<boolean>} Success flag
+ */
+export async function deleteContract(contractId) {
+    try {
+        await updateContracts((contracts) => {
+            // Filter out the contract to delete
+            const updatedContracts = contracts.filter(c => c.id !== contractId);
+            
+            // Check if contract was found and removed
+            if (updatedContracts.length === contracts.length) {
+                throw new Error(`Contract not found with ID: ${contractId}`);
+            }
+            
+            return updatedContracts;
+        });
         
         return true;
     } catch (error) {
@@ -156,10 +1000,236 @@ export async function deleteContract(contractId) {
     }
 }
 
+/**
+ * Bring contract form or import data into the contract model: trims text,
+ * converts the value to a number and maps the old name/client field names
+ * @param {Object} contractData - Contract data (possibly partial, for updates)
+ * @returns {Object} Normalized data, containing only the fields that were given
+ */
+export function normalizeContractData(contractData) {
+    const { name, client, ...data } = contractData;
+    if (data.projectName === undefined && name !== undefined) data.projectName = name;
+    if (data.clientName === undefined && client !== undefined) data.clientName = client;
+    
+    ['clientName', 'projectName', 'description'].forEach(field => {
+        if (typeof data[field] === 'string') data[field] = data[field].trim();
+    });
+    
+    if (data.value !== undefined) {
+        data.value = data.value === '' || data.value === null ? 0 : Number(data.value);
+    }
+    
+    if (typeof data.currency === 'string') {
+        data.currency = data.currency.trim().toUpperCase() || DEFAULT_CURRENCY;
+    }
+    
+    // Empty optional dates are stored as absent
+    if (data.dueDate === '') delete data.dueDate;
+    
+    // Form input is free text; stored deliverables are records
+    if (typeof data.deliverables === 'string') {
+        data.deliverables = parseDeliverables(data.deliverables);
+    } else if (Array.isArray(data.deliverables)) {
+        data.deliverables = data.deliverables.map(normalizeDeliverable);
+    }
+    if (Array.isArray(data.kpiTargets)) {
+        data.kpiTargets = data.kpiTargets.map(normalizeKpiTarget);
+    }
+    if (Array.isArray(data.milestones)) {
+        data.milestones = data.milestones.map(normalizeMilestone);
+    }
+    if (data.recurrence !== undefined) {
+        data.recurrence = normalizeRecurrence(data.recurrence);
+    }
+    
+    return data;
+}
+
+/**
+ * Check that a contract satisfies the contract model
+ * @param {Object} contract - Normalized contract
+ * @throws {Error} Describing the first problem found
+ */
+export function validateContract(contract) {
+    const requiredFields = ['clientName', 'projectName', 'startDate', 'endDate'];
+    for (const field of requiredFields) {
+        if (!contract[field]) {
+            throw new Error(`Missing required field: ${field}`);
+        }
+    }
+    
+    if (contract.value !== undefined && (!Number.isFinite(contract.value) || contract.value < 0)) {
+        throw new Error('Contract value must be a positive number');
+    }
+    
+    if (contract.currency !== undefined && !isValidCurrency(contract.currency)) {
+        throw new Error(`Invalid currency code: ${contract.currency}`);
+    }
+    
+    for (const field of ['startDate', 'endDate', 'dueDate']) {
+        if (contract[field] && isNaN(new Date(contract[field]).getTime())) {
+            throw new Error(`Invalid date for ${field}`);
+        }
+    }
+    
+    if (new Date(contract.endDate) < new Date(contract.startDate)) {
+        throw new Error('End date must be on or after the start date');
+    }
+    
+    if (contract.deliverables !== undefined) {
+        if (!Array.isArray(contract.deliverables)) {
+            throw new Error('Deliverables must be an array');
+        }
+        contract.deliverables.forEach(validateDeliverable);
+    }
+    
+    if (contract.kpiTargets !== undefined) {
+        if (!Array.isArray(contract.kpiTargets)) {
+            throw new Error('KPI targets must be an array');
+        }
+        contract.kpiTargets.forEach(validateKpiTarget);
+    }
+    
+    if (contract.milestones !== undefined) {
+        if (!Array.isArray(contract.milestones)) {
+            throw new Error('Milestones must be an array');
+        }
+        contract.milestones.forEach(validateMilestone);
+    }
+    
+    if (contract.recurrence) {
+        validateRecurrence(contract.recurrence);
+    }
+}
+
+/**
+ * Check that a recurrence rule satisfies the recurrence model
+ * @param {Object} recurrence - Normalized recurrence
+ * @throws {Error} With code INVALID_RECURRENCE
+ */
+function validateRecurrence(recurrence) {
+    let message = null;
+    
+    if (!Object.prototype.hasOwnProperty.call(RECURRENCE_FREQUENCIES, recurrence.frequency)) {
+        message = `Unknown recurrence frequency: ${recurrence.frequency}`;
+    } else if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+        message = 'Recurrence interval must be a whole number of at least 1';
+    } else if (!Object.prototype.hasOwnProperty.call(ROLLOVER_POLICIES, recurrence.rollover)) {
+        message = `Unknown rollover policy: ${recurrence.rollover}`;
+    } else if (!Number.isFinite(recurrence.amount) || recurrence.amount < 0) {
+        message = 'Retainer amount must be a positive number';
+    } else if (!Number.isInteger(recurrence.paymentDueDays) || recurrence.paymentDueDays < 0) {
+        message = 'Retainer payment terms must be a whole number of days';
+    } else if (recurrence.quota.length === 0 && recurrence.amount === 0) {
+        message = 'A retainer needs a quota or an amount per period';
+    } else {
+        const invalid = recurrence.quota.find(item =>
+            !Object.prototype.hasOwnProperty.call(PLATFORMS, item.type) || !Number.isInteger(item.quantity) || item.quantity < 1);
+        if (invalid) message = `Invalid retainer quota for ${invalid.type}`;
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_RECURRENCE';
+        throw error;
+    }
+}
+
+/**
+ * Check that a milestone satisfies the milestone model
+ * @param {Object} milestone - Normalized milestone
+ * @throws {Error} With code INVALID_MILESTONE
+ */
+function validateMilestone(milestone) {
+    let message = null;
+    if (!milestone.name) {
+        message = 'Milestone name is required';
+    } else if (!Number.isFinite(milestone.amount) || milestone.amount < 0) {
+        message = 'Milestone amount must be a positive number';
+    } else {
+        const badDate = ['dueDate', 'paidDate'].find(field => milestone[field] && isNaN(new Date(milestone[field]).getTime()));
+        if (badDate) message = `Invalid date for milestone ${badDate}`;
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_MILESTONE';
+        throw error;
+    }
+}
+
+/**
+ * Check that a KPI target satisfies the KPI target model
+ * @param {Object} kpiTarget - Normalized KPI target
+ * @throws {Error} With code INVALID_KPI_TARGET
+ */
+function validateKpiTarget(kpiTarget) {
+    let message = null;
+    if (!Object.prototype.hasOwnProperty.call(KPI_METRICS, kpiTarget.metric)) {
+        message = `Unknown KPI metric: ${kpiTarget.metric}`;
+    } else if (!Number.isFinite(kpiTarget.target) || kpiTarget.target <= 0) {
+        message = 'KPI target must be a positive number';
+    } else if (!Number.isInteger(kpiTarget.windowDays) || kpiTarget.windowDays < 1) {
+        message = 'KPI window must be a whole number of days';
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_KPI_TARGET';
+        throw error;
+    }
+}
+
+/**
+ * Check that a deliverable satisfies the deliverable model
+ * @param {Object} deliverable - Normalized deliverable
+ * @throws {Error} With code INVALID_DELIVERABLE
+ */
+function validateDeliverable(deliverable) {
+    let message = null;
+    if (!Object.prototype.hasOwnProperty.call(PLATFORMS, deliverable.type)) {
+        message = `Unknown deliverable type: ${deliverable.type}`;
+    } else if (!Number.isInteger(deliverable.quantity) || deliverable.quantity < 1) {
+        message = 'Deliverable quantity must be a whole number of at least 1';
+    } else if (deliverable.dueDate && isNaN(new Date(deliverable.dueDate).getTime())) {
+        message = 'Invalid date for deliverable dueDate';
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DELIVERABLE';
+        throw error;
+    }
+}
+
 /**
  * Generate unique contract ID
  * @returns {string} Unique contract ID
  */
 function generateContractId() {
     return 'contract_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generate unique deliverable ID
+ * @returns {string} Unique deliverable ID
+ */
+function generateDeliverableId() {
+    return 'deliverable_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generate unique KPI target ID
+ * @returns {string} Unique KPI target ID
+ */
+function generateKpiTargetId() {
+    return 'kpi_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generate unique milestone ID
+ * @returns {string} Unique milestone ID
+ */
+function generateMilestoneId() {
+    return 'milestone_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 } 
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Currency module for Platform Engagement Tracker
+ * Formats money in a contract's currency and converts totals between currencies
+ * using the exchange rates the user entered for the session
+ *
+ * Exchange rates are stored as { base, rates } where rates[code] is the value of
+ * one unit of that currency in the base currency (e.g. { base: 'USD', rates: { EUR: 1.08 } }).
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+
+// Storage key
+const EXCHANGE_RATES_KEY = 'exchangeRates';
+
+// Currency of contracts created before currencies were tracked
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies offered in forms (any ISO 4217 code is accepted)
+export const CURRENCIES = {
+    USD: 'US Dollar',
+    EUR: 'Euro',
+    GBP: 'British Pound',
+    CAD: 'Canadian Dollar',
+    AUD: 'Australian Dollar',
+    CHF: 'Swiss Franc',
+    JPY: 'Japanese Yen',
+    INR: 'Indian Rupee'
+};
+
+/**
+ * Check whether a value is an ISO 4217 currency code the browser can format
+ * @param {string} code - Currency code
+ * @returns {boolean} True if valid
+ */
+export function isValidCurrency(code) {
+    if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+    try {
+        new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Format an amount of money in the user's locale
+ * @param {number} value - Amount
+ * @param {string} currency - ISO currency code (defaults to DEFAULT_CURRENCY)
+ * @returns {string} Formatted amount, or '-' when there is no amount
+ */
+export function formatCurrency(value, currency = DEFAULT_CURRENCY) {
+    if (!value && value !== 0) return '-';
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || DEFAULT_CURRENCY }).format(value);
+}
+
+/**
+ * Format amounts kept per currency, e.g. "$1,000.00 + €500.00"
+ * @param {Object} amounts - Amounts by currency code
+ * @returns {string} Formatted amounts
+ */
+export function formatCurrencyAmounts(amounts) {
+    const entries = Object.entries(amounts).filter(([, amount]) => amount !== 0);
+    if (entries.length === 0) return formatCurrency(0);
+    return entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ');
+}
+
+/**
+ * Load the session's exchange rates
+ * @returns {Promise<Object>} { base, rates }
+ */
+export async function loadExchangeRates() {
+    const exchangeRates = await loadSessionData(EXCHANGE_RATES_KEY, {});
+    return { base: exchangeRates.base || DEFAULT_CURRENCY, rates: { ...exchangeRates.rates } };
+}
+
+/**
+ * Save the session's exchange rates
+ * @param {Object} exchangeRates - { base, rates } (empty rates are removed)
+ * @returns {Promise<Object>} Saved exchange rates
+ */
+export async function saveExchangeRates({ base, rates = {} }) {
+    try {
+        if (!isValidCurrency(base)) {
+            throw new Error(`Invalid base currency: ${base}`);
+        }
+
+        const cleaned = {};
+        Object.entries(rates).forEach(([currency, rate]) => {
+            if (rate === '' || rate === null || rate === undefined || currency === base) return;
+            const value = Number(rate);
+            if (!isValidCurrency(currency) || !Number.isFinite(value) || value <= 0) {
+                throw new Error(`Invalid exchange rate for ${currency}`);
+            }
+            cleaned[currency] = value;
+        });
+
+        return await updateSessionData(EXCHANGE_RATES_KEY, () => ({ base, rates: cleaned }), {});
+    } catch (error) {
+        console.error('Error saving exchange rates:', error);
+        throw error;
+    }
+}
+
+/**
+ * Convert an amount into the base currency of a set of exchange rates
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency of the amount
+ * @param {Object} exchangeRates - { base, rates }
+ * @returns {number|null} Converted amount, or null when no rate is known
+ */
+export function convertToBase(amount, currency, exchangeRates) {
+    if (currency === exchangeRates.base) return amount;
+    const rate = exchangeRates.rates[currency];
+    return rate ? amount * rate : null;
+}
+
+/**
+ * Convert amounts kept per currency into one base currency total
+ * @param {Object} amounts - Amounts by currency code
+ * @param {Object} exchangeRates - { base, rates }
+ * @returns {Object} { amount, currency, missing } where missing lists currencies without a rate (left out of amount)
+ */
+export function convertAmounts(amounts, exchangeRates) {
+    let amount = 0;
+    const missing = [];
+
+    Object.entries(amounts).forEach(([currency, value]) => {
+        const converted = convertToBase(value, currency, exchangeRates);
+        if (converted === null) {
+            if (value !== 0) missing.push(currency);
+        } else {
+            amount += converted;
+        }
+    });
+
+    return { amount: Math.round(amount * 100) / 100, currency: exchangeRates.base, missing };
+}
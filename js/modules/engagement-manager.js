@@ -3,19 +3,31 @@
  * Handles operations for content engagement data
  */
 
-import { saveUserData, loadUserData } from './storage.js';
+import { saveSessionData, loadSessionData, updateSessionData, putSessionRecords, querySessionRecords } from './storage.js';
 import { AVG_WATCH_PERCENTAGE } from './config.js';
+import { normalizeTags } from './content-manager.js';
 
 // Storage keys
 const ENGAGEMENT_STORAGE_KEY = 'engagementData';
 
+// Default ages (in days) after which snapshots are rolled up per day and per week
+export const DAILY_ROLLUP_AFTER_DAYS = 30;
+export const WEEKLY_ROLLUP_AFTER_DAYS = 180;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 /**
- * Load all engagement data
+ * Load engagement data, optionally only the records matching a query.
+ * Queries use the record store's indexes, so loading one content item or date range
+ * does not read every snapshot.
+ * @param {Object} query - Optional { contentId, platform, from, to } (from/to are inclusive YYYY-MM-DD days)
  * @returns {Promise<Array>} Array of engagement data objects
  */
-export async function loadEngagementData() {
+export async function loadEngagementData(query = null) {
     try {
-        const engagementData = await loadUserData(ENGAGEMENT_STORAGE_KEY, []);
+        const engagementData = query
+            ? await querySessionRecords(ENGAGEMENT_STORAGE_KEY, query)
+            : await loadSessionData(ENGAGEMENT_STORAGE_KEY, []);
         console.log(`Loaded ${engagementData.length} engagement records`);
         return engagementData;
     } catch (error) {
@@ -35,7 +47,7 @@ export async function saveEngagementData(engagementData) {
             throw new Error('Engagement data must be an array');
         }
         
-        await saveUserData(ENGAGEMENT_STORAGE_KEY, engagementData);
+        await saveSessionData(ENGAGEMENT_STORAGE_KEY, engagementData);
         console.log(`Saved ${engagementData.length} engagement records`);
         return true;
     } catch (error) {
@@ -63,9 +75,6 @@ export async function addEngagementData(engagementData) {
             }
         }
         
-        // Load existing engagement data
-        const existingData = await loadEngagementData();
-        
         // Create new engagement entry with ID
         const newEngagement = {
             ...engagementData,
@@ -73,11 +82,8 @@ export async function addEngagementData(engagementData) {
             timestamp: engagementData.timestamp || new Date().toISOString()
         };
         
-        // Add to engagement array
-        existingData.push(newEngagement);
-        
-        // Save updated engagement data
-        await saveEngagementData(existingData);
+        // Write just this record so concurrent additions are not lost
+        await putSessionRecords(ENGAGEMENT_STORAGE_KEY, [newEngagement]);
         
         return newEngagement;
     } catch (error) {
@@ -86,6 +92,122 @@ export async function addEngagementData(engagementData) {
     }
 }
 
+/**
+ * Compact old engagement snapshots into daily and weekly rollups to save space.
+ * Snapshots hold cumulative counts, so each rollup keeps the latest snapshot of a
+ * content item in its day or ISO week (instead of summing) and records how many
+ * snapshots it replaced in snapshotCount. Running it again is safe.
+ * @param {Object} options - Optional { dailyAfterDays, weeklyAfterDays, now }
+ * @returns {Promise<Object>} Summary { before, after, removed }
+ */
+export async function compactEngagementData({
+    dailyAfterDays = DAILY_ROLLUP_AFTER_DAYS,
+    weeklyAfterDays = WEEKLY_ROLLUP_AFTER_DAYS,
+    now = new Date()
+} = {}) {
+    try {
+        let summary;
+        await updateSessionData(ENGAGEMENT_STORAGE_KEY, (records) => {
+            const compacted = rollupEngagementData(records, { dailyAfterDays, weeklyAfterDays, now });
+            summary = { before: records.length, after: compacted.length, removed: records.length - compacted.length };
+            return compacted;
+        }, []);
+        
+        console.log(`Compacted engagement data from ${summary.before} to ${summary.after} records`);
+        return summary;
+    } catch (error) {
+        console.error('Error compacting engagement data:', error);
+        throw error;
+    }
+}
+
+/**
+ * Replace snapshots older than the thresholds with one rollup per content item and period
+ * @param {Array} records - Engagement records
+ * @param {Object} options - { dailyAfterDays, weeklyAfterDays, now }
+ * @returns {Array} Rollups (oldest first) followed by the untouched recent records
+ */
+function rollupEngagementData(records, { dailyAfterDays, weeklyAfterDays, now }) {
+    const dailyCutoff = toDay(new Date(now.getTime() - dailyAfterDays * MS_PER_DAY));
+    const weeklyCutoff = toDay(new Date(now.getTime() - weeklyAfterDays * MS_PER_DAY));
+    const recent = [];
+    const groups = new Map();
+    
+    records.forEach(record => {
+        const day = getRecordDay(record);
+        if (!day || day >= dailyCutoff) {
+            recent.push(record);
+            return;
+        }
+        
+        const granularity = day < weeklyCutoff ? 'weekly' : 'daily';
+        const period = granularity === 'weekly' ? getWeekStart(day) : day;
+        const groupKey = `${granularity}|${record.contentId}|${period}`;
+        
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { granularity, period, records: [] });
+        }
+        groups.get(groupKey).records.push(record);
+    });
+    
+    const rollups = Array.from(groups.values()).map(({ granularity, period, records: group }) => {
+        const latest = group.reduce((a, b) => (getRecordTime(b) >= getRecordTime(a) ? b : a));
+        return {
+            ...latest,
+            id: `engagement_${granularity}_${latest.contentId}_${period}`,
+            date: period,
+            rollup: granularity,
+            snapshotCount: group.reduce((sum, record) => sum + (record.snapshotCount || 1), 0)
+        };
+    });
+    
+    rollups.sort((a, b) => a.date.localeCompare(b.date));
+    return [...rollups, ...recent];
+}
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of an engagement record
+ * @param {Object} record - Engagement record
+ * @returns {string|null} Day, or null if the record has no usable date
+ */
+function getRecordDay(record) {
+    const value = record.date || record.timestamp;
+    if (!value) return null;
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : toDay(date);
+}
+
+/**
+ * Get the time an engagement record was captured
+ * @param {Object} record - Engagement record
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+function getRecordTime(record) {
+    const time = Date.parse(record.timestamp || record.date || '');
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Format a date as a UTC calendar day
+ * @param {Date} date - Date
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+function toDay(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the Monday starting the ISO week of a day
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @returns {string} Monday of that week (YYYY-MM-DD)
+ */
+function getWeekStart(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return toDay(new Date(date.getTime() - daysSinceMonday * MS_PER_DAY));
+}
+
 /**
  * Calculate engagement metrics for content items
  * @param {Array} contentItems - Array of content items
@@ -102,6 +224,7 @@ export function calculateEngagementMetrics(contentItems, engagementData) {
             topPerformingContent: null,
             recentTrend: 'stable',
             platformPerformance: {},
+            tagPerformance: {},
             engagementOverTime: []
         };
         
@@ -109,6 +232,10 @@ export function calculateEngagementMetrics(contentItems, engagementData) {
             return metrics;
         }
         
+        // Ignore engagement left behind by deleted content
+        const contentIds = new Set(contentItems.map(item => item.id));
+        engagementData = engagementData.filter(engagement => contentIds.has(engagement.contentId));
+        
         // Calculate total views
         metrics.totalViews = engagementData.reduce((sum, item) => sum + (item.views || 0), 0);
         
@@ -173,6 +300,36 @@ export function calculateEngagementMetrics(contentItems, engagementData) {
             };
         });
         
+        // Calculate tag performance (content with several tags counts toward each of them)
+        const tagTotals = {};
+        const tagContent = {};
+        const contentTags = new Map(contentItems.map(item => [item.id, normalizeTags(item.tags)]));
+        
+        contentTags.forEach(tags => {
+            tags.forEach(tag => {
+                tagContent[tag] = (tagContent[tag] || 0) + 1;
+                tagTotals[tag] = { views: 0, likes: 0, comments: 0 };
+            });
+        });
+        
+        engagementData.forEach(engagement => {
+            (contentTags.get(engagement.contentId) || []).forEach(tag => {
+                tagTotals[tag].views += engagement.views || 0;
+                tagTotals[tag].likes += engagement.likes || 0;
+                tagTotals[tag].comments += engagement.comments || 0;
+            });
+        });
+        
+        Object.keys(tagContent).forEach(tag => {
+            metrics.tagPerformance[tag] = {
+                totalContent: tagContent[tag],
+                totalViews: tagTotals[tag].views,
+                totalLikes: tagTotals[tag].likes,
+                totalComments: tagTotals[tag].comments,
+                averageViews: tagTotals[tag].views / tagContent[tag]
+            };
+        });
+        
         // Calculate engagement over time (last 30 days)
         const now = new Date();
         const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
@@ -219,6 +376,7 @@ export function calculateEngagementMetrics(contentItems, engagementData) {
             topPerformingContent: null,
             recentTrend: 'unknown',
             platformPerformance: {},
+            tagPerformance: {},
             engagementOverTime: []
         };
     }
@@ -0,0 +1,413 @@
+/**
+ * Invoice manager module for Platform Engagement Tracker
+ * Generates numbered invoices from contract payment milestones and keeps the
+ * contract's payment schedule in step with them
+ *
+ * Invoice model:
+ *   id, number, contractId, clientName, projectName, currency, issueDate, dueDate,
+ *   lineItems [{ milestoneId, description, quantity, unitPrice, amount }],
+ *   subtotal, taxRate (percent), tax, total, status (issued, paid or void),
+ *   paidDate (optional), createdAt, updatedAt
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+import { loadContracts, updateMilestone, markMilestonePaid, changeContractStatus, claimMilestonesForInvoice } from './contract-manager.js';
+import { escapeHtml, addDays } from './utils.js';
+import { formatCurrency, DEFAULT_CURRENCY } from './currency.js';
+
+// Storage keys
+const INVOICE_STORAGE_KEY = 'invoices';
+const INVOICE_SETTINGS_KEY = 'invoiceSettings';
+
+// Numbering and defaults used until the session changes them
+export const DEFAULT_INVOICE_SETTINGS = {
+    prefix: 'INV-',
+    nextNumber: 1,
+    taxRate: 0,
+    paymentTermsDays: 30,
+    issuerName: ''
+};
+
+// Columns of the CSV export (one row per line item)
+const CSV_COLUMNS = ['number', 'status', 'issueDate', 'dueDate', 'clientName', 'projectName', 'currency', 'description',
+    'quantity', 'unitPrice', 'amount', 'subtotal', 'taxRate', 'tax', 'total'];
+
+/**
+ * Load all invoices for the current session
+ * @returns {Promise<Array>} Array of invoice objects
+ */
+export async function loadInvoices() {
+    try {
+        const invoices = await loadSessionData(INVOICE_STORAGE_KEY, []);
+        console.log(`Loaded ${invoices.length} invoices`);
+        return invoices;
+    } catch (error) {
+        console.error('Error loading invoices:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the invoice settings for the current session
+ * @returns {Promise<Object>} Settings (missing fields filled from DEFAULT_INVOICE_SETTINGS)
+ */
+export async function loadInvoiceSettings() {
+    const settings = await loadSessionData(INVOICE_SETTINGS_KEY, {});
+    return { ...DEFAULT_INVOICE_SETTINGS, ...settings };
+}
+
+/**
+ * Change the invoice settings (the number sequence itself only moves forward)
+ * @param {Object} changes - { prefix, taxRate, paymentTermsDays, issuerName }
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function saveInvoiceSettings(changes) {
+    try {
+        const { nextNumber, ...rest } = changes;
+        const taxRate = rest.taxRate === undefined ? undefined : Number(rest.taxRate);
+        const paymentTermsDays = rest.paymentTermsDays === undefined ? undefined : Number(rest.paymentTermsDays);
+
+        if (taxRate !== undefined && (!Number.isFinite(taxRate) || taxRate < 0)) {
+            throw new Error('Tax rate must be a positive number');
+        }
+        if (paymentTermsDays !== undefined && (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0)) {
+            throw new Error('Payment terms must be a whole number of days');
+        }
+
+        return await updateSessionData(INVOICE_SETTINGS_KEY, (settings) => {
+            const updated = { ...DEFAULT_INVOICE_SETTINGS, ...settings };
+            if (typeof rest.prefix === 'string') updated.prefix = rest.prefix.trim();
+            if (typeof rest.issuerName === 'string') updated.issuerName = rest.issuerName.trim();
+            if (taxRate !== undefined) updated.taxRate = taxRate;
+            if (paymentTermsDays !== undefined) updated.paymentTermsDays = paymentTermsDays;
+            return updated;
+        }, {});
+    } catch (error) {
+        console.error('Error saving invoice settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Generate an invoice for milestones of a contract. The milestones get the
+ * invoice number as their invoice reference, and a delivered contract moves to invoiced.
+ * @param {string} contractId - Contract ID
+ * @param {Array<string>} milestoneIds - Milestones to bill
+ * @param {Object} options - Optional { taxRate, issueDate, dueDate } (defaults from the settings)
+ * @returns {Promise<Object>} Newly created invoice
+ */
+export async function createInvoice(contractId, milestoneIds, options = {}) {
+    try {
+        const contract = (await loadContracts()).find(c => c.id === contractId);
+        if (!contract) {
+            throw new Error(`Contract not found with ID: ${contractId}`);
+        }
+
+        // Checked again when the milestones are claimed; checking first reports a bad
+        // selection before the invoice options
+        const milestones = milestoneIds.map(milestoneId => {
+            const milestone = (contract.milestones || []).find(m => m.id === milestoneId);
+            if (!milestone) {
+                const error = new Error(`Milestone not found with ID: ${milestoneId}`);
+                error.code = 'MILESTONE_NOT_FOUND';
+                throw error;
+            }
+            if (milestone.invoiceRef || milestone.paidDate) {
+                const error = new Error(`Milestone "${milestone.name}" is already ${milestone.paidDate ? 'paid' : `invoiced (${milestone.invoiceRef})`}`);
+                error.code = 'MILESTONE_ALREADY_INVOICED';
+                throw error;
+            }
+            return milestone;
+        });
+        if (milestones.length === 0) {
+            throw new Error('Select at least one milestone to invoice');
+        }
+
+        const settings = await loadInvoiceSettings();
+        const taxRate = options.taxRate === undefined || options.taxRate === '' ? settings.taxRate : Number(options.taxRate);
+        if (!Number.isFinite(taxRate) || taxRate < 0) {
+            throw new Error('Tax rate must be a positive number');
+        }
+
+        const issueDate = options.issueDate || new Date().toISOString().split('T')[0];
+        const dueDate = options.dueDate || addDays(issueDate, settings.paymentTermsDays);
+        if (dueDate < issueDate) {
+            throw new Error('Invoice due date must be on or after the issue date');
+        }
+
+        // Claim the milestones before saving the invoice: the claim re-checks them in the
+        // same update, so a double click or another tab cannot bill them twice, and only
+        // takes a number once they are free, so the losing side leaves no gap in the sequence
+        let number;
+        const claimed = await claimMilestonesForInvoice(contractId, milestoneIds, async () => {
+            number = await allocateInvoiceNumber();
+            return number;
+        });
+        const claimedMilestones = milestoneIds.map(milestoneId => claimed.milestones.find(m => m.id === milestoneId));
+
+        const lineItems = claimedMilestones.map(milestone => ({
+            milestoneId: milestone.id,
+            description: `${contract.projectName} - ${milestone.name}`,
+            quantity: 1,
+            unitPrice: milestone.amount,
+            amount: roundMoney(milestone.amount)
+        }));
+        const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+        const tax = roundMoney(subtotal * taxRate / 100);
+
+        const now = new Date().toISOString();
+        const invoice = {
+            id: generateInvoiceId(),
+            number,
+            contractId,
+            clientName: contract.clientName,
+            projectName: contract.projectName,
+            currency: contract.currency || DEFAULT_CURRENCY,
+            issueDate,
+            dueDate,
+            lineItems,
+            subtotal,
+            taxRate,
+            tax,
+            total: roundMoney(subtotal + tax),
+            status: 'issued',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        try {
+            await updateSessionData(INVOICE_STORAGE_KEY, (invoices) => [...invoices, invoice], []);
+        } catch (error) {
+            // Free the milestones again when the invoice could not be saved
+            for (const milestoneId of milestoneIds) {
+                await updateMilestone(contractId, milestoneId, { invoiceRef: '' });
+            }
+            throw error;
+        }
+
+        if (claimed.status === 'delivered') {
+            await changeContractStatus(contractId, 'invoiced');
+        }
+
+        return invoice;
+    } catch (error) {
+        console.error('Error creating invoice:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record an invoice as paid, marking its milestones paid and the contract paid
+ * once nothing on its schedule is left unpaid
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} paidDate - Optional payment date (YYYY-MM-DD, defaults to today)
+ * @returns {Promise<Object>} Updated invoice
+ */
+export async function markInvoicePaid(invoiceId, paidDate = new Date().toISOString().split('T')[0]) {
+    try {
+        const invoice = await changeInvoiceStatus(invoiceId, 'paid', { paidDate });
+
+        const paidMilestoneIds = [];
+        try {
+            for (const item of invoice.lineItems) {
+                await markMilestonePaid(invoice.contractId, item.milestoneId, paidDate);
+                paidMilestoneIds.push(item.milestoneId);
+            }
+        } catch (error) {
+            // Reopen the invoice when the schedule could not be updated, so the two still agree
+            for (const milestoneId of paidMilestoneIds) {
+                await updateMilestone(invoice.contractId, milestoneId, { paidDate: '' });
+            }
+            await reopenInvoice(invoiceId);
+            throw error;
+        }
+
+        const contract = (await loadContracts()).find(c => c.id === invoice.contractId);
+        if (contract && contract.status === 'invoiced' && (contract.milestones || []).every(m => m.paidDate)) {
+            await changeContractStatus(contract.id, 'paid');
+        }
+
+        return invoice;
+    } catch (error) {
+        console.error('Error marking invoice paid:', error);
+        throw error;
+    }
+}
+
+/**
+ * Void an issued invoice, freeing its milestones to be invoiced again.
+ * The number stays used so the sequence has no reused numbers.
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Updated invoice
+ */
+export async function voidInvoice(invoiceId) {
+    try {
+        const invoice = await changeInvoiceStatus(invoiceId, 'void');
+        for (const item of invoice.lineItems) {
+            await updateMilestone(invoice.contractId, item.milestoneId, { invoiceRef: '' });
+        }
+        return invoice;
+    } catch (error) {
+        console.error('Error voiding invoice:', error);
+        throw error;
+    }
+}
+
+/**
+ * Render an invoice as a standalone, printable HTML document
+ * @param {Object} invoice - Invoice
+ * @param {Object} settings - Optional invoice settings (for the issuer name)
+ * @returns {string} HTML document
+ */
+export function renderInvoiceHtml(invoice, settings = DEFAULT_INVOICE_SETTINGS) {
+    const rows = invoice.lineItems.map(item => `
+            <tr>
+                <td>${escapeHtml(item.description)}</td>
+                <td class="num">${item.quantity}</td>
+                <td class="num">${formatCurrency(item.unitPrice, invoice.currency)}</td>
+                <td class="num">${formatCurrency(item.amount, invoice.currency)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Invoice ${escapeHtml(invoice.number)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #111827; margin: 40px; }
+        h1 { margin-bottom: 0; }
+        table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+        th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        .num { text-align: right; }
+        .meta { margin-top: 16px; }
+        .totals td { border: none; }
+        .void { color: #dc2626; font-weight: bold; }
+    </style>
+</head>
+<body>
+    <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+    ${invoice.status === 'void' ? '<p class="void">VOID</p>' : ''}
+    <div class="meta">
+        ${settings.issuerName ? `<div><strong>From:</strong> ${escapeHtml(settings.issuerName)}</div>` : ''}
+        <div><strong>Bill to:</strong> ${escapeHtml(invoice.clientName)}</div>
+        <div><strong>Project:</strong> ${escapeHtml(invoice.projectName)}</div>
+        <div><strong>Issued:</strong> ${escapeHtml(invoice.issueDate)}</div>
+        <div><strong>Due:</strong> ${escapeHtml(invoice.dueDate)}</div>
+        ${invoice.paidDate ? `<div><strong>Paid:</strong> ${escapeHtml(invoice.paidDate)}</div>` : ''}
+    </div>
+    <table>
+        <thead>
+            <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot class="totals">
+            <tr><td colspan="3" class="num">Subtotal</td><td class="num">${formatCurrency(invoice.subtotal, invoice.currency)}</td></tr>
+            <tr><td colspan="3" class="num">Tax (${invoice.taxRate}%)</td><td class="num">${formatCurrency(invoice.tax, invoice.currency)}</td></tr>
+            <tr><td colspan="3" class="num"><strong>Total</strong></td><td class="num"><strong>${formatCurrency(invoice.total, invoice.currency)}</strong></td></tr>
+        </tfoot>
+    </table>
+</body>
+</html>`;
+}
+
+/**
+ * Serialize an invoice for export
+ * @param {Object} invoice - Invoice
+ * @returns {string} JSON
+ */
+export function invoiceToJson(invoice) {
+    return JSON.stringify({ type: 'platform-engagement-tracker-invoice', invoice }, null, 2);
+}
+
+/**
+ * Serialize invoices as CSV, one row per line item
+ * @param {Array} invoices - Invoices
+ * @returns {string} CSV with a header row
+ */
+export function invoicesToCsv(invoices) {
+    const rows = invoices.flatMap(invoice => invoice.lineItems.map(item => ({ ...invoice, ...item })));
+    return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+        .map(values => values.map(toCsvValue).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Take the next invoice number of the session's sequence
+ * @returns {Promise<string>} Invoice number (prefix plus zero-padded sequence number)
+ */
+async function allocateInvoiceNumber() {
+    let number;
+    await updateSessionData(INVOICE_SETTINGS_KEY, (settings) => {
+        const current = { ...DEFAULT_INVOICE_SETTINGS, ...settings };
+        number = `${current.prefix}${String(current.nextNumber).padStart(4, '0')}`;
+        return { ...current, nextNumber: current.nextNumber + 1 };
+    }, {});
+    return number;
+}
+
+/**
+ * Move an issued invoice to a final status
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} status - 'paid' or 'void'
+ * @param {Object} changes - Other fields to set
+ * @returns {Promise<Object>} Updated invoice
+ */
+async function changeInvoiceStatus(invoiceId, status, changes = {}) {
+    let updatedInvoice;
+    await updateSessionData(INVOICE_STORAGE_KEY, (invoices) => {
+        const invoice = invoices.find(item => item.id === invoiceId);
+        if (!invoice) {
+            throw new Error(`Invoice not found with ID: ${invoiceId}`);
+        }
+        if (invoice.status !== 'issued') {
+            const error = new Error(`Invoice ${invoice.number} is already ${invoice.status}`);
+            error.code = 'INVOICE_CLOSED';
+            throw error;
+        }
+
+        updatedInvoice = { ...invoice, ...changes, status, updatedAt: new Date().toISOString() };
+        return invoices.map(item => item.id === invoiceId ? updatedInvoice : item);
+    }, []);
+    return updatedInvoice;
+}
+
+/**
+ * Move a paid invoice back to issued
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} Stored invoices
+ */
+async function reopenInvoice(invoiceId) {
+    return updateSessionData(INVOICE_STORAGE_KEY, (invoices) => invoices.map(item => {
+        if (item.id !== invoiceId) return item;
+        const { paidDate, ...invoice } = item;
+        return { ...invoice, status: 'issued', updatedAt: new Date().toISOString() };
+    }), []);
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Quote a value for CSV when needed
+ * @param {any} value - Value
+ * @returns {string} CSV field
+ */
+function toCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate unique invoice ID
+ * @returns {string} Unique invoice ID
+ */
+function generateInvoiceId() {
+    return 'invoice_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
@@ -0,0 +1,143 @@
+/**
+ * Data maintenance module for Platform Engagement Tracker
+ * Finds (and optionally repairs) inconsistencies in the current session's data:
+ * engagement records whose content was deleted, duplicate IDs and unknown platforms
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+import { removeDuplicateRecords } from './record-store.js';
+import { PLATFORMS } from './config.js';
+
+// Collections checked for duplicate IDs
+const COLLECTIONS = ['contentItems', 'engagementData', 'contracts'];
+
+/**
+ * Check the current session's data and optionally repair what can be repaired.
+ *
+ * Repairs remove orphaned engagement records, keep only the most recently updated
+ * copy of a duplicated ID, and copy the platform of an engagement record from its
+ * content item. Content items with an unknown platform are only reported, since
+ * there is nothing to derive the right platform from.
+ *
+ * @param {Object} options - Optional { fix } to repair the issues found
+ * @returns {Promise<Object>} Report { checkedAt, orphanedEngagement, duplicateIds, invalidPlatforms, issueCount, fixed }
+ */
+export async function runMaintenance({ fix = false } = {}) {
+    try {
+        const data = {};
+        for (const collection of COLLECTIONS) {
+            const records = await loadSessionData(collection, []);
+            data[collection] = Array.isArray(records) ? records : [];
+        }
+
+        const report = buildReport(data);
+        report.fixed = false;
+
+        if (fix && report.issueCount > 0) {
+            await repairData(report);
+            report.fixed = true;
+        }
+
+        console.log(`Maintenance found ${report.issueCount} issues${report.fixed ? ' and repaired them' : ''}`);
+        return report;
+    } catch (error) {
+        console.error('Error running maintenance:', error);
+        throw error;
+    }
+}
+
+/**
+ * Build the maintenance report for loaded session data
+ * @param {Object} data - Records by collection
+ * @returns {Object} Report
+ */
+function buildReport(data) {
+    const contentIds = new Set(data.contentItems.map(item => item.id));
+
+    const orphanedEngagement = data.engagementData
+        .filter(record => !contentIds.has(record.contentId))
+        .map(record => record.id);
+
+    const duplicateIds = {};
+    COLLECTIONS.forEach(collection => {
+        duplicateIds[collection] = findDuplicateIds(data[collection]);
+    });
+
+    const invalidPlatforms = {
+        contentItems: data.contentItems.filter(item => !isValidPlatform(item.platform)).map(item => item.id),
+        engagementData: data.engagementData
+            .filter(record => record.platform !== undefined && !isValidPlatform(record.platform))
+            .map(record => record.id)
+    };
+
+    const issueCount = orphanedEngagement.length +
+        Object.values(duplicateIds).reduce((sum, ids) => sum + ids.length, 0) +
+        Object.values(invalidPlatforms).reduce((sum, ids) => sum + ids.length, 0);
+
+    return {
+        checkedAt: new Date().toISOString(),
+        orphanedEngagement,
+        duplicateIds,
+        invalidPlatforms,
+        issueCount
+    };
+}
+
+/**
+ * Repair the issues in a report
+ * @param {Object} report - Report from buildReport
+ * @returns {Promise} Promise resolving when all collections are repaired
+ */
+async function repairData(report) {
+    let contentItems = [];
+
+    for (const collection of COLLECTIONS) {
+        const updated = await updateSessionData(collection, (records) => {
+            let repaired = removeDuplicateRecords(records);
+
+            if (collection === 'engagementData') {
+                // Re-checked against the content saved just before, not the report's snapshot
+                const contentById = new Map(contentItems.map(item => [item.id, item]));
+                repaired = repaired
+                    .filter(record => contentById.has(record.contentId))
+                    .map(record => (isValidPlatform(record.platform) || record.platform === undefined
+                        ? record
+                        : { ...record, platform: contentById.get(record.contentId).platform }));
+            }
+
+            return repaired;
+        }, []);
+
+        if (collection === 'contentItems') {
+            contentItems = updated;
+        }
+    }
+
+    console.log(`Removed ${report.orphanedEngagement.length} orphaned engagement records`);
+}
+
+/**
+ * Find IDs used by more than one record
+ * @param {Array} records - Records
+ * @returns {Array<string>} Duplicated IDs
+ */
+function findDuplicateIds(records) {
+    const seen = new Set();
+    const duplicates = new Set();
+    records.forEach(record => {
+        if (seen.has(record.id)) {
+            duplicates.add(record.id);
+        }
+        seen.add(record.id);
+    });
+    return Array.from(duplicates);
+}
+
+/**
+ * Check whether a platform is one the app knows
+ * @param {string} platform - Platform key
+ * @returns {boolean} True if valid
+ */
+function isValidPlatform(platform) {
+    return Object.prototype.hasOwnProperty.call(PLATFORMS, platform);
+}
@@ -0,0 +1,150 @@
+/**
+ * Storage schema migrations for Platform Engagement Tracker
+ * Each migration upgrades a session's stored records by exactly one schema version
+ */
+
+/**
+ * Ordered migration registry. Never edit or reorder a released migration;
+ * append a new one with the next version number instead.
+ *
+ * Each migration receives a store with async `load(key)` and `save(key, data)`
+ * bound to the session being upgraded.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Rename content item "name" to "title"',
+        async migrate(store) {
+            const contentItems = await store.load('contentItems');
+            if (!Array.isArray(contentItems)) return;
+
+            await store.save('contentItems', contentItems.map(item => {
+                if (!item || item.title !== undefined) return item;
+                const { name, ...rest } = item;
+                return { ...rest, title: name };
+            }));
+        }
+    },
+    {
+        version: 2,
+        description: 'Unify contract fields ("name"/"client" to "projectName"/"clientName")',
+        async migrate(store) {
+            const contracts = await store.load('contracts');
+            if (!Array.isArray(contracts)) return;
+
+            await store.save('contracts', contracts.map(contract => {
+                if (!contract) return contract;
+                // userId dates from the removed account system
+                const { name, client, userId, ...rest } = contract;
+                return {
+                    ...rest,
+                    projectName: rest.projectName !== undefined ? rest.projectName : (name || ''),
+                    clientName: rest.clientName !== undefined ? rest.clientName : (client || ''),
+                    value: Number(rest.value) || 0,
+                    updatedAt: rest.updatedAt || rest.createdAt
+                };
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Move contracts onto the lifecycle states and record a status history',
+        async migrate(store) {
+            const contracts = await store.load('contracts');
+            if (!Array.isArray(contracts)) return;
+
+            const statuses = ['draft', 'negotiating', 'active', 'delivered', 'invoiced', 'paid', 'cancelled', 'disputed'];
+            const legacyStatuses = { pending: 'draft', completed: 'delivered' };
+
+            await store.save('contracts', contracts.map(contract => {
+                if (!contract || contract.statusHistory) return contract;
+                const status = legacyStatuses[contract.status] ||
+                    (statuses.includes(contract.status) ? contract.status : 'draft');
+                return {
+                    ...contract,
+                    status,
+                    statusHistory: [{ from: null, to: status, at: contract.updatedAt || contract.createdAt || null }]
+                };
+            }));
+        }
+    },
+    {
+        version: 4,
+        description: 'Turn free-text contract deliverables into deliverable records',
+        async migrate(store) {
+            const contracts = await store.load('contracts');
+            if (!Array.isArray(contracts)) return;
+
+            await store.save('contracts', contracts.map((contract, index) => {
+                if (!contract || Array.isArray(contract.deliverables)) return contract;
+                const text = typeof contract.deliverables === 'string' ? contract.deliverables.trim() : '';
+                // The old text has no structure, so it becomes a single "other" deliverable
+                return {
+                    ...contract,
+                    deliverables: text
+                        ? [{ id: `deliverable_${contract.id || index}_1`, type: 'other', quantity: 1, description: text, contentIds: [] }]
+                        : []
+                };
+            }));
+        }
+    },
+    {
+        version: 5,
+        description: 'Record the currency of contracts and invoices (all earlier amounts were USD)',
+        async migrate(store) {
+            for (const key of ['contracts', 'invoices']) {
+                const records = await store.load(key);
+                if (!Array.isArray(records)) continue;
+
+                await store.save(key, records.map(record => (
+                    !record || record.currency ? record : { ...record, currency: 'USD' }
+                )));
+            }
+        }
+    }
+];
+
+// Current schema version (the version of the last registered migration)
+export const SCHEMA_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+/**
+ * Run all migrations newer than the given version
+ * @param {Object} store - Store with async load(key) and save(key, data)
+ * @param {number} fromVersion - Schema version the data is currently at
+ * @param {Function} onStep - Optional callback invoked with each version once applied
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export async function runMigrations(store, fromVersion, onStep = null) {
+    let version = fromVersion;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+
+        console.log(`Migrating session data to schema v${migration.version}: ${migration.description}`);
+        await migration.migrate(store);
+        version = migration.version;
+
+        if (onStep) {
+            await onStep(version);
+        }
+    }
+
+    return version;
+}
+
+/**
+ * Migrate a plain data snapshot (e.g. an imported export file) in memory
+ * @param {Object} data - Object keyed by storage key (contentItems, engagementData, ...)
+ * @param {number} fromVersion - Schema version the snapshot was written with
+ * @returns {Promise<Object>} Migrated copy of the snapshot
+ */
+export async function migrateSnapshot(data, fromVersion = 0) {
+    const snapshot = { ...data };
+    const store = {
+        load: async (key) => (snapshot[key] === undefined ? null : snapshot[key]),
+        save: async (key, value) => { snapshot[key] = value; }
+    };
+
+    await runMigrations(store, fromVersion);
+    return snapshot;
+}
@@ -0,0 +1,312 @@
+/**
+ * Record stores for Platform Engagement Tracker
+ * Keeps large collections (content items, engagement snapshots) as individual records
+ * instead of one serialized array, so single records can be written and subsets read
+ * through secondary indexes. Every record store implements the same async contract:
+ *
+ *   query(sessionId, collection, query)   -> Promise<Array<row>>  (sorted by insertion order)
+ *   write(sessionId, collection, changes) -> Promise              ({ put, remove, replace }, atomic)
+ *   count(sessionId, collection)          -> Promise<number>
+ *   clearSession(sessionId)               -> Promise
+ *
+ * A row is { sessionId, id, order, contentId, date, platform, value } where value is the
+ * serialized (possibly encrypted) record. Protected sessions store contentId and platform
+ * as keyed hashes and leave date out (see storage.js), so rows reveal nothing either.
+ */
+
+// IndexedDB database holding one object store per collection
+const RECORD_DB_NAME = 'platform-engagement-tracker-records';
+const RECORD_DB_VERSION = 1;
+
+// Fields every collection is indexed by (together with the session ID)
+const INDEX_FIELDS = ['contentId', 'date', 'platform'];
+
+// Collections stored as records, with how each one derives its index fields
+export const RECORD_COLLECTIONS = {
+    contentItems: (record) => ({ contentId: record.id, date: record.publishedDate, platform: record.platform }),
+    engagementData: (record) => ({ contentId: record.contentId, date: record.date, platform: record.platform })
+};
+
+// Orders rows written in the same millisecond
+let orderCounter = 0;
+
+/**
+ * Get the index fields of a record, dropping values IndexedDB cannot index
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record
+ * @returns {Object} { contentId, date, platform } (missing fields omitted)
+ */
+export function getIndexFields(collection, record) {
+    const fields = RECORD_COLLECTIONS[collection](record);
+    const indexable = {};
+    INDEX_FIELDS.forEach(field => {
+        if (typeof fields[field] === 'string' || typeof fields[field] === 'number') {
+            indexable[field] = fields[field];
+        }
+    });
+    return indexable;
+}
+
+/**
+ * Check whether index fields satisfy a query
+ * @param {Object} fields - Index fields of a record
+ * @param {Object} query - Optional { contentId, platform, from, to } (from/to are inclusive YYYY-MM-DD days)
+ * @returns {boolean} True if the record matches
+ */
+export function matchesQuery(fields, query = {}) {
+    if (query.contentId !== undefined && fields.contentId !== query.contentId) return false;
+    if (query.platform !== undefined && fields.platform !== query.platform) return false;
+
+    if (query.from || query.to) {
+        const day = fields.date ? String(fields.date).slice(0, 10) : null;
+        if (!day) return false;
+        if (query.from && day < query.from) return false;
+        if (query.to && day > query.to) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Keep only the most recently updated record for each ID, at the position of its first copy.
+ * A record store holds one row per ID, so this is how duplicates are resolved before writing,
+ * and how data maintenance repairs them in arrays.
+ * @param {Array} records - Records
+ * @returns {Array} Records with unique IDs
+ */
+export function removeDuplicateRecords(records) {
+    const newest = new Map();
+    records.forEach(record => {
+        const current = newest.get(record.id);
+        if (!current || getRecordTime(record) > getRecordTime(current)) {
+            newest.set(record.id, record);
+        }
+    });
+
+    const emitted = new Set();
+    return records
+        .filter(record => !emitted.has(record.id) && emitted.add(record.id))
+        .map(record => newest.get(record.id));
+}
+
+/**
+ * Get a record's last modification time
+ * @param {Object} record - Record
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+function getRecordTime(record) {
+    const time = Date.parse(record.updatedAt || record.timestamp || record.createdAt || '');
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Build a row for a serialized record
+ * @param {string} sessionId - Session ID
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record (used for its ID and index fields)
+ * @param {string} value - Serialized record
+ * @param {number} order - Optional position; new rows are appended and existing rows keep theirs
+ * @returns {Object} Row
+ */
+export function createRow(sessionId, collection, record, value, order) {
+    const row = { sessionId, id: record.id, ...getIndexFields(collection, record), value };
+    if (order !== undefined) {
+        row.order = order;
+    }
+    return row;
+}
+
+/**
+ * Get an order number that sorts after every existing row
+ * @returns {number} Order number
+ */
+function nextOrder() {
+    orderCounter = (orderCounter + 1) % 1000;
+    return Date.now() * 1000 + orderCounter;
+}
+
+/**
+ * Sort rows into insertion order
+ * @param {Array} rows - Rows
+ * @returns {Array} The same rows, sorted
+ */
+function sortRows(rows) {
+    return rows.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Create a record store backed by IndexedDB
+ * @param {IDBFactory} indexedDB - IndexedDB factory (defaults to window.indexedDB)
+ * @returns {Object} Record store
+ */
+export function createIndexedDBRecordStore(indexedDB = window.indexedDB) {
+    let dbPromise = null;
+
+    /**
+     * Open (and create or upgrade) the database on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(RECORD_DB_NAME, RECORD_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.keys(RECORD_COLLECTIONS).forEach(collection => {
+                        if (db.objectStoreNames.contains(collection)) return;
+                        const store = db.createObjectStore(collection, { keyPath: ['sessionId', 'id'] });
+                        store.createIndex('sessionId', 'sessionId');
+                        INDEX_FIELDS.forEach(field => store.createIndex(field, ['sessionId', field]));
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry after a failed open
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Pick the most selective index for a query
+     * @param {string} sessionId - Session ID
+     * @param {Object} query - Query
+     * @returns {Object} { index, range }
+     */
+    function selectIndex(sessionId, query) {
+        if (query.contentId !== undefined) {
+            return { index: 'contentId', range: IDBKeyRange.only([sessionId, query.contentId]) };
+        }
+        if (query.from || query.to) {
+            // '\uffff' makes the upper bound include full timestamps on the last day
+            const upper = query.to ? `${query.to}\uffff` : '\uffff';
+            return { index: 'date', range: IDBKeyRange.bound([sessionId, query.from || ''], [sessionId, upper]) };
+        }
+        if (query.platform !== undefined) {
+            return { index: 'platform', range: IDBKeyRange.only([sessionId, query.platform]) };
+        }
+        return { index: 'sessionId', range: IDBKeyRange.only(sessionId) };
+    }
+
+    return {
+        name: 'indexedDB',
+        query: async (sessionId, collection, query = {}) => {
+            const db = await openDatabase();
+            const store = db.transaction(collection, 'readonly').objectStore(collection);
+            const { index, range } = selectIndex(sessionId, query);
+            const rows = await requestResult(store.index(index).getAll(range));
+            return sortRows(rows.filter(row => matchesQuery(row, query)));
+        },
+        write: async (sessionId, collection, { put = [], remove = [], replace = false } = {}) => {
+            const db = await openDatabase();
+            const tx = db.transaction(collection, 'readwrite');
+            const done = transactionResult(tx);
+            const store = tx.objectStore(collection);
+
+            if (replace) {
+                const keys = await requestResult(store.index('sessionId').getAllKeys(IDBKeyRange.only(sessionId)));
+                keys.forEach(key => store.delete(key));
+            }
+
+            for (const row of put) {
+                if (row.order === undefined) {
+                    const existing = replace ? null : await requestResult(store.get([sessionId, row.id]));
+                    row.order = existing ? existing.order : nextOrder();
+                }
+                store.put(row);
+            }
+            remove.forEach(id => store.delete([sessionId, id]));
+
+            await done;
+        },
+        count: async (sessionId, collection) => {
+            const db = await openDatabase();
+            const store = db.transaction(collection, 'readonly').objectStore(collection);
+            return requestResult(store.index('sessionId').count(IDBKeyRange.only(sessionId)));
+        },
+        clearSession: async (sessionId) => {
+            const db = await openDatabase();
+            const collections = Object.keys(RECORD_COLLECTIONS);
+            const tx = db.transaction(collections, 'readwrite');
+            const done = transactionResult(tx);
+
+            for (const collection of collections) {
+                const store = tx.objectStore(collection);
+                const keys = await requestResult(store.index('sessionId').getAllKeys(IDBKeyRange.only(sessionId)));
+                keys.forEach(key => store.delete(key));
+            }
+
+            await done;
+        }
+    };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise} Resolves on commit, rejects on error or abort
+ */
+function transactionResult(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Create an in-memory record store (used by tests)
+ * @returns {Object} Record store
+ */
+export function createMemoryRecordStore() {
+    const collections = new Map(Object.keys(RECORD_COLLECTIONS).map(collection => [collection, new Map()]));
+    const rowKey = (sessionId, id) => `${sessionId}\u0000${id}`;
+    const copy = (row) => JSON.parse(JSON.stringify(row));
+
+    return {
+        name: 'memory',
+        query: async (sessionId, collection, query = {}) => {
+            const rows = Array.from(collections.get(collection).values())
+                .filter(row => row.sessionId === sessionId && matchesQuery(row, query));
+            return sortRows(rows.map(copy));
+        },
+        write: async (sessionId, collection, { put = [], remove = [], replace = false } = {}) => {
+            const rows = collections.get(collection);
+
+            if (replace) {
+                Array.from(rows.entries())
+                    .filter(([, row]) => row.sessionId === sessionId)
+                    .forEach(([key]) => rows.delete(key));
+            }
+
+            put.forEach(row => {
+                const existing = rows.get(rowKey(sessionId, row.id));
+                const order = row.order !== undefined ? row.order : (existing ? existing.order : nextOrder());
+                rows.set(rowKey(sessionId, row.id), { ...copy(row), order });
+            });
+            remove.forEach(id => rows.delete(rowKey(sessionId, id)));
+        },
+        count: async (sessionId, collection) => Array.from(collections.get(collection).values())
+            .filter(row => row.sessionId === sessionId).length,
+        clearSession: async (sessionId) => {
+            collections.forEach(rows => {
+                Array.from(rows.entries())
+                    .filter(([, row]) => row.sessionId === sessionId)
+                    .forEach(([key]) => rows.delete(key));
+            });
+        }
+    };
+}
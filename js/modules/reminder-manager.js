@@ -0,0 +1,210 @@
+/**
+ * Reminder manager module for Platform Engagement Tracker
+ * Finds contract deliverables, payments and dates that are coming up or overdue
+ * and keeps the alerts shown in the notification center
+ *
+ * Alert model:
+ *   id (stable for the same reminder, see findDueReminders), contractId, kind,
+ *   itemId (deliverable or milestone, when the reminder is about one), date,
+ *   level (upcoming or overdue), title, message, createdAt, read
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+import { loadContracts, getDeliverableProgress, getPaymentSchedule } from './contract-manager.js';
+import { PLATFORMS } from './config.js';
+
+// Storage keys
+const REMINDER_SETTINGS_KEY = 'reminderSettings';
+const ALERT_STORAGE_KEY = 'reminderAlerts';
+const CONTENT_STORAGE_KEY = 'contentItems';
+
+// Lead times in days before a date becomes an alert, and how often an open dashboard checks
+export const DEFAULT_REMINDER_SETTINGS = {
+    leadDays: {
+        deliverable: 3,
+        payment: 3,
+        contractDue: 3,
+        contractEnd: 7
+    },
+    intervalMinutes: 15,
+    browserNotifications: false
+};
+
+// Contract statuses that still have work or money outstanding
+const OPEN_WORK_STATUSES = ['draft', 'negotiating', 'active', 'disputed'];
+const UNPAID_STATUSES = ['active', 'delivered', 'invoiced', 'disputed'];
+
+// Milliseconds in a day
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the session's reminder settings
+ * @returns {Promise<Object>} Settings (defaults filled in)
+ */
+export async function loadReminderSettings() {
+    const settings = await loadSessionData(REMINDER_SETTINGS_KEY, {});
+    return {
+        ...DEFAULT_REMINDER_SETTINGS,
+        ...settings,
+        leadDays: { ...DEFAULT_REMINDER_SETTINGS.leadDays, ...settings.leadDays }
+    };
+}
+
+/**
+ * Save the session's reminder settings
+ * @param {Object} settingsData - Settings to change
+ * @returns {Promise<Object>} Saved settings
+ */
+export async function saveReminderSettings(settingsData) {
+    try {
+        const current = await loadReminderSettings();
+        const settings = {
+            ...current,
+            ...settingsData,
+            leadDays: { ...current.leadDays, ...settingsData.leadDays },
+            browserNotifications: settingsData.browserNotifications === undefined
+                ? current.browserNotifications
+                : !!settingsData.browserNotifications
+        };
+
+        Object.keys(settings.leadDays).forEach(kind => {
+            settings.leadDays[kind] = Number(settings.leadDays[kind]);
+            if (!Number.isInteger(settings.leadDays[kind]) || settings.leadDays[kind] < 0) {
+                throw new Error(`Reminder lead time for ${kind} must be a whole number of days`);
+            }
+        });
+        settings.intervalMinutes = Number(settings.intervalMinutes);
+        if (!Number.isInteger(settings.intervalMinutes) || settings.intervalMinutes < 1) {
+            throw new Error('Reminder check interval must be at least one minute');
+        }
+
+        return await updateSessionData(REMINDER_SETTINGS_KEY, () => settings, {});
+    } catch (error) {
+        console.error('Error saving reminder settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find the deliverables, payments and contract dates that are within their lead
+ * time or overdue. A reminder's id stays the same while its date and level do, so
+ * the same reminder is only alerted once, and again when it becomes overdue.
+ * @param {Array} contracts - Contracts
+ * @param {Array} contentItems - Content library
+ * @param {Object} settings - Reminder settings
+ * @param {Date} now - Optional current time
+ * @returns {Array<Object>} Reminders { id, contractId, kind, itemId, date, level, title, message }
+ */
+export function findDueReminders(contracts, contentItems, settings, now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    const reminders = [];
+
+    const remind = (contract, kind, date, title, subject, itemId = null) => {
+        if (!date) return;
+        const days = Math.round((new Date(date) - new Date(today)) / MS_PER_DAY);
+        if (days > settings.leadDays[kind]) return;
+
+        const level = days < 0 ? 'overdue' : 'upcoming';
+        let when;
+        if (days < 0) when = `overdue since ${date}`;
+        else if (days === 0) when = 'today';
+        else when = `in ${days} ${days === 1 ? 'day' : 'days'} (${date})`;
+
+        reminders.push({
+            id: [kind, contract.id, itemId || '', date, level].join(':'),
+            contractId: contract.id,
+            kind,
+            itemId,
+            date,
+            level,
+            title: `${title} ${level === 'overdue' ? 'overdue' : 'due soon'}`,
+            message: `${contract.projectName} - ${subject}, ${when}`
+        });
+    };
+
+    contracts.forEach(contract => {
+        if (OPEN_WORK_STATUSES.includes(contract.status)) {
+            getDeliverableProgress(contract, contentItems, now).deliverables
+                .filter(deliverable => deliverable.outstanding > 0)
+                .forEach(deliverable => remind(contract, 'deliverable', deliverable.dueDate, 'Deliverable',
+                    `${deliverable.outstanding} of ${deliverable.quantity} ${deliverable.description || PLATFORMS[deliverable.type] || deliverable.type} outstanding`,
+                    deliverable.id));
+            remind(contract, 'contractDue', contract.dueDate, 'Contract', 'contract due date');
+        }
+
+        if (UNPAID_STATUSES.includes(contract.status)) {
+            getPaymentSchedule(contract, now).milestones
+                .filter(milestone => milestone.status !== 'paid')
+                .forEach(milestone => remind(contract, 'payment', milestone.dueDate, 'Payment',
+                    `payment "${milestone.name}"`, milestone.id));
+        }
+
+        if (contract.status === 'active') {
+            remind(contract, 'contractEnd', contract.endDate, 'Contract end', 'contract end date');
+        }
+    });
+
+    return reminders;
+}
+
+/**
+ * Evaluate the reminders and add alerts for the ones not alerted yet. Alerts whose
+ * reminder no longer applies (e.g. a paid milestone) or has been superseded (an
+ * upcoming reminder that became overdue) are dropped, read or not, so neither the
+ * list nor the unread count grows with stale items.
+ * @param {Date} now - Optional current time
+ * @returns {Promise<Array>} Newly added alerts (only this call's, even with several tabs open)
+ */
+export async function evaluateReminders(now = new Date()) {
+    try {
+        const contracts = await loadContracts();
+        const contentItems = await loadSessionData(CONTENT_STORAGE_KEY, []);
+        const settings = await loadReminderSettings();
+        const reminders = findDueReminders(contracts, contentItems, settings, now);
+        const current = new Set(reminders.map(reminder => reminder.id));
+
+        // Only write when something changes, so open tabs do not keep rewriting alerts
+        const alerts = await loadAlerts();
+        const known = new Set(alerts.map(alert => alert.id));
+        if (reminders.every(reminder => known.has(reminder.id)) && alerts.every(alert => current.has(alert.id))) {
+            return [];
+        }
+
+        let added = [];
+        await updateSessionData(ALERT_STORAGE_KEY, (stored) => {
+            const storedIds = new Set(stored.map(alert => alert.id));
+            added = reminders
+                .filter(reminder => !storedIds.has(reminder.id))
+                .map(reminder => ({ ...reminder, createdAt: now.toISOString(), read: false }));
+            return [...stored.filter(alert => current.has(alert.id)), ...added];
+        }, []);
+
+        return added;
+    } catch (error) {
+        console.error('Error evaluating reminders:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the alerts of the notification center
+ * @returns {Promise<Array>} Alerts, oldest first
+ */
+export async function loadAlerts() {
+    return loadSessionData(ALERT_STORAGE_KEY, []);
+}
+
+/**
+ * Mark alerts as read
+ * @param {Array<string>} alertIds - Alert IDs (all alerts when omitted)
+ * @returns {Promise<Array>} Stored alerts
+ */
+export async function markAlertsRead(alertIds = null) {
+    try {
+        return await updateSessionData(ALERT_STORAGE_KEY, (alerts) => alerts.map(alert =>
+            !alertIds || alertIds.includes(alert.id) ? { ...alert, read: true } : alert), []);
+    } catch (error) {
+        console.error('Error marking alerts read:', error);
+        throw error;
+    }
+}
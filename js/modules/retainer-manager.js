@@ -0,0 +1,231 @@
+/**
+ * Retainer manager module for Platform Engagement Tracker
+ * Turns a contract's recurrence rule into per-period deliverable quotas and
+ * payment milestones, rolls unfulfilled quota over and reports each period's fulfilment
+ *
+ * Periods are anchored to the contract's start date and keyed by their first day.
+ * Generated deliverables and milestones carry that key in their period field, which
+ * is how a period is known to be generated already.
+ */
+
+import { loadSessionData } from './storage.js';
+import { loadContracts, updateContracts, validateContract, getDeliverableProgress, getPaymentSchedule } from './contract-manager.js';
+import { addDays } from './utils.js';
+
+// Storage key
+const CONTENT_STORAGE_KEY = 'contentItems';
+
+// Author of the revisions recorded for generated periods
+const REVISION_AUTHOR = 'Retainer schedule';
+
+// Upper bound on periods per contract, so a bad end date cannot run away
+const MAX_PERIODS = 520;
+
+/**
+ * List the periods a retainer contract covers
+ * @param {Object} contract - Contract with a recurrence rule
+ * @returns {Array<Object>} Periods [{ key, start, end, label }] in order (empty when the contract does not recur)
+ */
+export function getRetainerPeriods(contract) {
+    const recurrence = contract && contract.recurrence;
+    if (!recurrence || !contract.startDate || !contract.endDate) return [];
+
+    const periods = [];
+    let start = contract.startDate;
+    for (let index = 1; start <= contract.endDate && periods.length < MAX_PERIODS; index++) {
+        const next = addPeriods(contract.startDate, recurrence, index);
+        const lastDay = addDays(next, -1);
+        const end = lastDay < contract.endDate ? lastDay : contract.endDate;
+        periods.push({ key: start, start, end, label: `${start} to ${end}` });
+        start = next;
+    }
+    return periods;
+}
+
+/**
+ * Generate the deliverables and milestones of every retainer period that has started.
+ * Only active contracts generate periods; running this again generates nothing new.
+ * @param {Date} now - Optional current time
+ * @returns {Promise<number>} Number of periods generated
+ */
+export async function generateRetainerPeriods(now = new Date()) {
+    try {
+        const today = now.toISOString().split('T')[0];
+        const contentItems = await loadSessionData(CONTENT_STORAGE_KEY, []);
+
+        // Only write when something is due, so open tabs do not keep rewriting contracts
+        const contracts = await loadContracts();
+        if (!contracts.some(contract => planRetainerPeriods(contract, today, contentItems).length > 0)) {
+            return 0;
+        }
+
+        let generated = 0;
+        await updateContracts((stored) => stored.map(contract => {
+            const planned = planRetainerPeriods(contract, today, contentItems);
+            if (planned.length === 0) return contract;
+
+            generated += planned.length;
+            const updatedContract = {
+                ...contract,
+                deliverables: [...(contract.deliverables || []), ...planned.flatMap(period => period.deliverables)],
+                milestones: [...(contract.milestones || []), ...planned.flatMap(period => period.milestones)],
+                updatedAt: new Date().toISOString()
+            };
+            validateContract(updatedContract);
+            return updatedContract;
+        }), { author: REVISION_AUTHOR });
+
+        if (generated > 0) {
+            console.log(`Generated ${generated} retainer periods`);
+        }
+        return generated;
+    } catch (error) {
+        console.error('Error generating retainer periods:', error);
+        throw error;
+    }
+}
+
+/**
+ * Report the fulfilment and payment of each generated period of a retainer
+ * @param {Object} contract - Contract
+ * @param {Array} contentItems - Content library
+ * @param {Date} now - Optional current time
+ * @returns {Array<Object>} Periods, newest first, each with required, fulfilled, outstanding,
+ *   carriedOver, overdue, current and payment (the period's milestone with its status, or null)
+ */
+export function getRetainerHistory(contract, contentItems, now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    const schedule = getPaymentSchedule(contract, now);
+
+    return getRetainerPeriods(contract)
+        .filter(period => isGenerated(contract, period.key))
+        .map(period => {
+            const deliverables = (contract.deliverables || []).filter(d => d.period === period.key);
+            const progress = getDeliverableProgress({ deliverables }, contentItems, now);
+            return {
+                ...period,
+                required: progress.required,
+                fulfilled: progress.fulfilled,
+                outstanding: progress.outstanding,
+                carriedOver: deliverables.reduce((sum, d) => sum + (d.carriedOver || 0), 0),
+                overdue: progress.overdue > 0,
+                current: period.start <= today && today <= period.end,
+                payment: schedule.milestones.find(m => m.period === period.key) || null
+            };
+        })
+        .reverse();
+}
+
+/**
+ * Work out the periods of a contract that are due to be generated
+ * @param {Object} contract - Contract
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @param {Array} contentItems - Content library (for the previous period's shortfall)
+ * @returns {Array<Object>} Periods with the deliverables and milestones to add
+ */
+function planRetainerPeriods(contract, today, contentItems) {
+    if (contract.status !== 'active' || !contract.recurrence) return [];
+
+    const { recurrence } = contract;
+    const planned = [];
+    // Periods generated in this pass count as the previous period of the next one
+    let deliverables = contract.deliverables || [];
+    let previous = null;
+
+    getRetainerPeriods(contract).forEach(period => {
+        if (period.start <= today && !isGenerated(contract, period.key)) {
+            const periodDeliverables = recurrence.quota.map((item, index) => {
+                const carriedOver = previous
+                    ? getCarryOver(deliverables, getPeriodDeliverableId(contract.id, previous.key, index), item.type, recurrence.rollover, contentItems)
+                    : 0;
+                return {
+                    id: getPeriodDeliverableId(contract.id, period.key, index),
+                    type: item.type,
+                    quantity: item.quantity + carriedOver,
+                    description: item.description,
+                    contentIds: [],
+                    dueDate: period.end,
+                    period: period.key,
+                    carriedOver
+                };
+            });
+            const periodMilestones = recurrence.amount > 0 ? [{
+                id: `milestone_${contract.id}_${period.key}`,
+                name: `Retainer ${period.label}`,
+                amount: recurrence.amount,
+                dueDate: addDays(period.end, recurrence.paymentDueDays),
+                period: period.key
+            }] : [];
+
+            deliverables = [...deliverables, ...periodDeliverables];
+            planned.push({ ...period, deliverables: periodDeliverables, milestones: periodMilestones });
+        }
+        previous = period;
+    });
+
+    return planned;
+}
+
+/**
+ * Build the ID of the deliverable generated for a quota item in a period
+ * @param {string} contractId - Contract ID
+ * @param {string} periodKey - Period key
+ * @param {number} index - Index of the item in the recurrence quota
+ * @returns {string} Deliverable ID
+ */
+function getPeriodDeliverableId(contractId, periodKey, index) {
+    return `deliverable_${contractId}_${periodKey}_${index + 1}`;
+}
+
+/**
+ * Work out how much of a quota item carries over into the next period
+ * @param {Array} deliverables - Contract deliverables
+ * @param {string} deliverableId - ID of the item's deliverable in the period that ended
+ * @param {string} type - Deliverable type (an edited quota may have moved another platform to the index)
+ * @param {string} rollover - Rollover policy
+ * @param {Array} contentItems - Content library
+ * @returns {number} Quantity to add to the next period's quota
+ */
+function getCarryOver(deliverables, deliverableId, type, rollover, contentItems) {
+    const deliverable = deliverables.find(d => d.id === deliverableId && d.type === type);
+    if (!deliverable || rollover === 'none') return 0;
+
+    const [progress] = getDeliverableProgress({ deliverables: [deliverable] }, contentItems).deliverables;
+    if (rollover === 'accumulate') return progress.outstanding;
+
+    // Content fulfils the oldest quota first, so whatever was carried into the period
+    // is used up before the period's own quota and is not carried again
+    return Math.min(progress.outstanding, deliverable.quantity - (deliverable.carriedOver || 0));
+}
+
+/**
+ * Check whether a period has been generated for a contract
+ * @param {Object} contract - Contract
+ * @param {string} periodKey - Period key
+ * @returns {boolean} True if generated
+ */
+function isGenerated(contract, periodKey) {
+    return (contract.deliverables || []).some(d => d.period === periodKey) ||
+        (contract.milestones || []).some(m => m.period === periodKey);
+}
+
+/**
+ * Find the start of a later period, clamping to the end of shorter months
+ * (a retainer starting on the 31st renews on the 30th in 30-day months)
+ * @param {string} startDate - Start of the first period (YYYY-MM-DD)
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} count - Number of periods after the first
+ * @returns {string} Start date of that period (YYYY-MM-DD)
+ */
+function addPeriods(startDate, recurrence, count) {
+    if (recurrence.frequency === 'weekly') {
+        return addDays(startDate, 7 * recurrence.interval * count);
+    }
+
+    const months = (recurrence.frequency === 'quarterly' ? 3 : 1) * recurrence.interval * count;
+    const [year, month, day] = startDate.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+}
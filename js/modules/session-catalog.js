@@ -0,0 +1,167 @@
+/**
+ * Session catalog module for Platform Engagement Tracker
+ * Discovers every session stored on this device and manages its label and lifecycle
+ */
+
+import { getStorageDriver, getRecordStore, getSessionKeyPrefix, clearSessionCache, updateSessionMeta, SESSION_META_KEY, ENCRYPTION_KEY } from './storage.js';
+import { RECORD_COLLECTIONS } from './record-store.js';
+
+// Matches keys written by storage.js: session_<ID>_<key>
+const SESSION_KEY_PATTERN = /^session_([A-Z0-9*~$=]+)_(.+)$/;
+
+// Keys counted as items in the catalog summary
+const COUNTED_KEYS = {
+    contentItems: 'contentCount',
+    engagementData: 'engagementCount',
+    contracts: 'contractCount'
+};
+
+/**
+ * Read and parse a raw key through the active driver
+ * @param {string} key - Full storage key
+ * @returns {Promise<any>} Parsed value or null
+ */
+async function readKey(key) {
+    const value = await getStorageDriver().get(key);
+    if (value === null) return null;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List all sessions that have data on this device
+ * @returns {Promise<Array>} Session summaries, most recently modified first
+ */
+export async function listSessions() {
+    try {
+        const keys = await getStorageDriver().keys();
+        const sessions = new Map();
+
+        keys.forEach(key => {
+            const match = key.match(SESSION_KEY_PATTERN);
+            if (!match) return;
+
+            const [, sessionId, dataKey] = match;
+            if (!sessions.has(sessionId)) {
+                sessions.set(sessionId, []);
+            }
+            sessions.get(sessionId).push(dataKey);
+        });
+
+        const summaries = await Promise.all(
+            Array.from(sessions.entries()).map(([sessionId, dataKeys]) => summarizeSession(sessionId, dataKeys))
+        );
+
+        return summaries.sort((a, b) => (b.lastModified || '').localeCompare(a.lastModified || ''));
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        return [];
+    }
+}
+
+/**
+ * Check whether any data is stored for a session on this device
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session has stored keys
+ */
+export async function sessionExists(sessionId) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    const keys = await getStorageDriver().keys();
+    return keys.some(key => key.startsWith(prefix));
+}
+
+/**
+ * Build the catalog summary for one session
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} dataKeys - Keys stored for the session (without prefix)
+ * @returns {Promise<Object>} Session summary
+ */
+async function summarizeSession(sessionId, dataKeys) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    const meta = await readKey(prefix + SESSION_META_KEY) || {};
+
+    const summary = {
+        id: sessionId,
+        label: meta.label || '',
+        description: meta.description || '',
+        lastModified: meta.lastModified || null,
+        keyCount: dataKeys.length,
+        isProtected: dataKeys.includes(ENCRYPTION_KEY),
+        contentCount: 0,
+        engagementCount: 0,
+        contractCount: 0
+    };
+
+    // Item counts of protected sessions are not readable without the passphrase
+    if (summary.isProtected) {
+        Object.values(COUNTED_KEYS).forEach(countField => { summary[countField] = null; });
+        return summary;
+    }
+
+    const recordStore = getRecordStore();
+    for (const [dataKey, countField] of Object.entries(COUNTED_KEYS)) {
+        if (recordStore && RECORD_COLLECTIONS[dataKey]) {
+            summary[countField] = await recordStore.count(sessionId, dataKey);
+            continue;
+        }
+        if (!dataKeys.includes(dataKey)) continue;
+        const value = await readKey(prefix + dataKey);
+        summary[countField] = Array.isArray(value) ? value.length : 0;
+    }
+
+    return summary;
+}
+
+/**
+ * Attach a human-readable label and description to a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} details - Label and optional description
+ * @returns {Promise<Object>} Updated session metadata
+ */
+export async function describeSession(sessionId, { label = '', description = '' } = {}) {
+    if (!sessionId) {
+        throw new Error('Session ID is required');
+    }
+
+    const updatedMeta = await updateSessionMeta(sessionId, (meta) => ({
+        ...meta,
+        label: label.trim(),
+        description: description.trim()
+    }));
+    console.log(`Updated label for session ${sessionId}`);
+    return updatedMeta;
+}
+
+/**
+ * Delete every stored key belonging to a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Number of keys removed
+ */
+export async function deleteSession(sessionId) {
+    if (!sessionId) {
+        throw new Error('Session ID is required');
+    }
+
+    const driver = getStorageDriver();
+    const prefix = getSessionKeyPrefix(sessionId);
+    const keys = (await driver.keys()).filter(key => key.startsWith(prefix));
+
+    await driver.transaction(async (tx) => {
+        for (const key of keys) {
+            await tx.remove(key);
+        }
+    });
+
+    const recordStore = getRecordStore();
+    if (recordStore) {
+        await recordStore.clearSession(sessionId);
+    }
+    clearSessionCache(sessionId);
+
+    console.log(`Deleted session ${sessionId} (${keys.length} keys)`);
+    return keys.length;
+}
@@ -0,0 +1,173 @@
+/**
+ * Session encryption helpers for Platform Engagement Tracker
+ * Values are encrypted with AES-256-CBC and authenticated with HMAC-SHA256;
+ * both keys are derived from the session passphrase with PBKDF2
+ */
+
+// Marker prepended to every encrypted value
+const ENCRYPTED_VALUE_PREFIX = 'enc1:';
+
+// PBKDF2 work factor for new passphrases (stored per session so it can be raised later)
+export const PBKDF2_ITERATIONS = 20000;
+
+// Known plaintext used to check a passphrase without decrypting any data
+const VERIFIER_TEXT = 'platform-engagement-tracker';
+
+/**
+ * Get the CryptoJS library loaded by loader.js
+ * @returns {Object} CryptoJS
+ */
+function getCryptoJS() {
+    if (typeof window === 'undefined' || !window.CryptoJS || !window.CryptoJS.PBKDF2) {
+        throw new Error('CryptoJS is not available, session encryption cannot be used');
+    }
+    return window.CryptoJS;
+}
+
+/**
+ * Compare two MACs in time that does not depend on where they differ
+ * @param {string} a - Hex-encoded MAC
+ * @param {string} b - Hex-encoded MAC
+ * @returns {boolean} True if equal
+ */
+function constantTimeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Derive the encryption and MAC keys for a passphrase
+ * @param {string} passphrase - Session passphrase
+ * @param {string} salt - Hex-encoded salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Object} Derived keys { encKey, macKey }
+ */
+function deriveKeys(passphrase, salt, iterations) {
+    const CryptoJS = getCryptoJS();
+    const derived = CryptoJS.PBKDF2(passphrase, CryptoJS.enc.Hex.parse(salt), {
+        keySize: 512 / 32,
+        iterations,
+        hasher: CryptoJS.algo.SHA256
+    });
+
+    return {
+        encKey: CryptoJS.lib.WordArray.create(derived.words.slice(0, 8)),
+        macKey: CryptoJS.lib.WordArray.create(derived.words.slice(8, 16))
+    };
+}
+
+/**
+ * Compute the passphrase verifier for a set of keys
+ * @param {Object} keys - Derived keys
+ * @returns {string} Hex-encoded verifier
+ */
+function computeVerifier(keys) {
+    return getCryptoJS().HmacSHA256(VERIFIER_TEXT, keys.macKey).toString();
+}
+
+/**
+ * Create the encryption header for a new passphrase
+ * @param {string} passphrase - Session passphrase
+ * @param {Object} options - Optional { iterations }
+ * @returns {Object} { header, keys } where header is safe to store in plaintext
+ */
+export function createEncryptionHeader(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    if (!passphrase) {
+        throw new Error('Passphrase is required');
+    }
+
+    const salt = getCryptoJS().lib.WordArray.random(16).toString();
+    const keys = deriveKeys(passphrase, salt, iterations);
+
+    return {
+        header: {
+            version: 1,
+            salt,
+            iterations,
+            verifier: computeVerifier(keys)
+        },
+        keys
+    };
+}
+
+/**
+ * Derive the keys for a stored header, checking the passphrase
+ * @param {string} passphrase - Passphrase to check
+ * @param {Object} header - Stored encryption header
+ * @returns {Object|null} Derived keys, or null if the passphrase is wrong
+ */
+export function unlockEncryptionHeader(passphrase, header) {
+    if (!passphrase || !header) return null;
+
+    const keys = deriveKeys(passphrase, header.salt, header.iterations);
+    return constantTimeEqual(computeVerifier(keys), header.verifier) ? keys : null;
+}
+
+/**
+ * Hash an index value with the session's MAC key, so records can still be looked
+ * up by it without the value being readable
+ * @param {string|number} value - Index value
+ * @param {Object} keys - Derived keys
+ * @returns {string} Hex-encoded keyed hash
+ */
+export function hashIndexValue(value, keys) {
+    return getCryptoJS().HmacSHA256(`index:${value}`, keys.macKey).toString();
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean} True if encrypted
+ */
+export function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Text to encrypt
+ * @param {Object} keys - Derived keys
+ * @returns {string} Encrypted value (enc1:<iv>:<ciphertext>:<mac>)
+ */
+export function encryptValue(plaintext, keys) {
+    const CryptoJS = getCryptoJS();
+    const iv = CryptoJS.lib.WordArray.random(16);
+    const encrypted = CryptoJS.AES.encrypt(plaintext, keys.encKey, { iv });
+
+    const ivHex = iv.toString();
+    const ciphertext = encrypted.ciphertext.toString(CryptoJS.enc.Base64);
+    const mac = CryptoJS.HmacSHA256(`${ivHex}:${ciphertext}`, keys.macKey).toString();
+
+    return `${ENCRYPTED_VALUE_PREFIX}${ivHex}:${ciphertext}:${mac}`;
+}
+
+/**
+ * Decrypt a value produced by encryptValue
+ * @param {string} value - Encrypted value
+ * @param {Object} keys - Derived keys
+ * @returns {string} Decrypted text
+ */
+export function decryptValue(value, keys) {
+    const CryptoJS = getCryptoJS();
+    const [ivHex, ciphertext, mac] = value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':');
+
+    const expectedMac = CryptoJS.HmacSHA256(`${ivHex}:${ciphertext}`, keys.macKey).toString();
+    if (!constantTimeEqual(mac, expectedMac)) {
+        throw new Error('Encrypted value failed integrity check');
+    }
+
+    const decrypted = CryptoJS.AES.decrypt(
+        { ciphertext: CryptoJS.enc.Base64.parse(ciphertext) },
+        keys.encKey,
+        { iv: CryptoJS.enc.Hex.parse(ivHex) }
+    );
+
+    return decrypted.toString(CryptoJS.enc.Utf8);
+}
@@ -3,20 +3,84 @@
  * Replaces authentication with simple session ID system
  */
 
+import { isSessionProtected, unlockSession, lockSession } from './storage.js';
+import { sessionExists } from './session-catalog.js';
+
+// Crockford base32 alphabet (no I, L, O or U)
+const SESSION_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Crockford check symbols: the alphabet plus five extra symbols for values 32-36
+const CHECK_SYMBOLS = SESSION_ID_ALPHABET + '*~$=U';
+
+// Random characters per ID; one check character follows them
+const SESSION_ID_BODY_LENGTH = 7;
+
+// IDs generated before check characters were introduced
+const LEGACY_SESSION_ID_PATTERN = /^[A-Z0-9]{8}$/;
+
 // Current session ID
 let currentSessionId = null;
 
 /**
- * Generate a unique session ID (8 characters, alphanumeric)
+ * Generate a unique session ID (7 random Crockford base32 characters plus a check character)
  * @returns {string} Unique session ID
  */
 export function generateSessionId() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 8; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    const bytes = new Uint8Array(SESSION_ID_BODY_LENGTH);
+    
+    // Resample until the check character is a plain alphabet character, so IDs
+    // never contain the extra check symbols and stay easy to read out and type
+    for (;;) {
+        crypto.getRandomValues(bytes);
+        const body = Array.from(bytes, byte => SESSION_ID_ALPHABET[byte & 31]).join('');
+        const check = computeCheckSymbol(body);
+        if (SESSION_ID_ALPHABET.includes(check)) {
+            return body + check;
+        }
     }
-    return result;
+}
+
+/**
+ * Compute the Crockford mod-37 check symbol for an ID body
+ * @param {string} body - Normalized ID body
+ * @returns {string} Check symbol
+ */
+function computeCheckSymbol(body) {
+    const value = Array.from(body).reduce((sum, char) => sum * 32 + SESSION_ID_ALPHABET.indexOf(char), 0);
+    return CHECK_SYMBOLS[value % 37];
+}
+
+/**
+ * Normalize a typed session ID: uppercase, drop separators, and map the
+ * look-alike letters I/L to 1 and O to 0 as Crockford base32 specifies
+ * @param {string} sessionId - Session ID as entered
+ * @returns {string} Normalized session ID
+ */
+export function normalizeSessionId(sessionId) {
+    return (sessionId || '')
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/[IL]/g, '1')
+        .replace(/O/g, '0');
+}
+
+/**
+ * Check that a session ID is well-formed and its check character matches
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True if valid
+ */
+export function isValidSessionId(sessionId) {
+    const normalized = normalizeSessionId(sessionId);
+    if (normalized.length !== SESSION_ID_BODY_LENGTH + 1) {
+        return false;
+    }
+    
+    const body = normalized.slice(0, SESSION_ID_BODY_LENGTH);
+    if (!Array.from(body).every(char => SESSION_ID_ALPHABET.includes(char))) {
+        return false;
+    }
+    
+    return computeCheckSymbol(body) === normalized[SESSION_ID_BODY_LENGTH];
 }
 
 /**
@@ -51,28 +115,82 @@ export function getCurrentSessionId() {
 
 /**
  * Load a different session by ID
+ * Rejects with an error whose code explains why the session cannot be opened:
+ * MALFORMED_SESSION_ID, UNKNOWN_SESSION, PASSPHRASE_REQUIRED or BAD_PASSPHRASE.
  * @param {string} sessionId - Session ID to load
- * @returns {boolean} True if session was loaded successfully
+ * @param {Object} options - Optional { passphrase } for protected sessions
+ * @returns {Promise<boolean>} True once the session is loaded
  */
-export function loadSession(sessionId) {
-    if (!sessionId || sessionId.length !== 8) {
-        console.error('Invalid session ID format');
-        return false;
+export async function loadSession(sessionId, { passphrase = null } = {}) {
+    const normalizedId = await resolveSessionId(sessionId);
+    
+    if (!(await sessionExists(normalizedId))) {
+        throw createSessionError("That ID doesn't exist on this device", 'UNKNOWN_SESSION');
+    }
+    
+    if (await isSessionProtected(normalizedId)) {
+        if (!passphrase) {
+            throw createSessionError('This session is protected by a passphrase', 'PASSPHRASE_REQUIRED');
+        }
+        if (!(await unlockSession(normalizedId, passphrase))) {
+            throw createSessionError('Incorrect passphrase', 'BAD_PASSPHRASE');
+        }
+    }
+    
+    // Forget the keys of the session we are leaving
+    if (currentSessionId && currentSessionId !== normalizedId) {
+        lockSession(currentSessionId);
     }
     
     // Update current session
-    currentSessionId = sessionId.toUpperCase();
+    currentSessionId = normalizedId;
     localStorage.setItem('currentSessionId', currentSessionId);
     console.log(`Switched to session: ${currentSessionId}`);
     
     return true;
 }
 
+/**
+ * Turn an entered ID into the ID its data is stored under
+ * @param {string} sessionId - Session ID as entered
+ * @returns {Promise<string>} Normalized session ID
+ */
+async function resolveSessionId(sessionId) {
+    const rawId = (sessionId || '').trim().toUpperCase();
+    
+    // Legacy IDs have no check character, so they are only accepted when their data is here
+    if (LEGACY_SESSION_ID_PATTERN.test(rawId) && await sessionExists(rawId)) {
+        return rawId;
+    }
+    
+    if (!isValidSessionId(rawId)) {
+        console.error('Invalid session ID format');
+        throw createSessionError('That ID is malformed, check it for typos', 'MALFORMED_SESSION_ID');
+    }
+    
+    return normalizeSessionId(rawId);
+}
+
+/**
+ * Create an error for a session that cannot be loaded
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createSessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
 /**
  * Create a new session (clears current session reference but keeps data)
  * @returns {string} New session ID
  */
 export function createNewSession() {
+    if (currentSessionId) {
+        lockSession(currentSessionId);
+    }
     currentSessionId = generateSessionId();
     localStorage.setItem('currentSessionId', currentSessionId);
     console.log(`Created new session: ${currentSessionId}`);
@@ -0,0 +1,169 @@
+/**
+ * Storage drivers for Platform Engagement Tracker
+ * Every driver implements the same async contract over serialized string values:
+ *
+ *   get(key)          -> Promise<string|null>
+ *   set(key, value)   -> Promise
+ *   remove(key)       -> Promise
+ *   keys()            -> Promise<Array<string>>
+ *   transaction(fn)   -> Promise<any>  (fn receives { get, set, remove })
+ *
+ * Drivers with a known fixed capacity also expose `quota` in bytes.
+ */
+
+// Typical per-origin localStorage limit (browsers allow about 5MB of UTF-16 text)
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Add a transaction method to a driver.
+ * Transactions on the same driver run one at a time. Writes are buffered and only
+ * applied once the callback resolves, so a callback that throws leaves storage untouched.
+ * @param {Object} driver - Driver with get/set/remove
+ * @returns {Object} The same driver with transaction() attached
+ */
+function withTransactions(driver) {
+    let queue = Promise.resolve();
+
+    driver.transaction = (fn) => {
+        const run = queue.then(async () => {
+            const pending = new Map();
+            const tx = {
+                get: async (key) => (pending.has(key) ? pending.get(key) : driver.get(key)),
+                set: async (key, value) => { pending.set(key, value); },
+                remove: async (key) => { pending.set(key, null); }
+            };
+
+            const result = await fn(tx);
+
+            for (const [key, value] of pending) {
+                if (value === null) {
+                    await driver.remove(key);
+                } else {
+                    await driver.set(key, value);
+                }
+            }
+
+            return result;
+        });
+
+        // Keep the queue alive after a failed transaction
+        queue = run.catch(() => { });
+        return run;
+    };
+
+    return driver;
+}
+
+/**
+ * Create an in-memory driver (used by tests and as a last resort)
+ * @param {Object} initialData - Optional initial key/value pairs
+ * @returns {Object} Storage driver
+ */
+export function createMemoryDriver(initialData = {}) {
+    const data = new Map(Object.entries(initialData));
+
+    return withTransactions({
+        name: 'memory',
+        get: async (key) => (data.has(key) ? data.get(key) : null),
+        set: async (key, value) => { data.set(key, value); },
+        remove: async (key) => { data.delete(key); },
+        keys: async () => Array.from(data.keys())
+    });
+}
+
+/**
+ * Create a driver backed by window.localStorage
+ * @param {Storage} storage - Storage implementation (defaults to localStorage)
+ * @returns {Object} Storage driver
+ */
+export function createLocalStorageDriver(storage = localStorage) {
+    return withTransactions({
+        name: 'localStorage',
+        quota: LOCAL_STORAGE_QUOTA,
+        get: async (key) => {
+            const value = storage.getItem(key);
+            return value === undefined ? null : value;
+        },
+        set: async (key, value) => { storage.setItem(key, value); },
+        remove: async (key) => { storage.removeItem(key); },
+        keys: async () => {
+            const keys = [];
+            for (let i = 0; i < storage.length; i++) {
+                keys.push(storage.key(i));
+            }
+            return keys;
+        }
+    });
+}
+
+/**
+ * Create a driver backed by localforage (IndexedDB where available).
+ * When a fallback driver is given, failed writes go to it and reads fall through to it,
+ * which keeps data written during earlier localforage outages reachable.
+ * @param {Object} localforage - localforage instance (defaults to window.localforage)
+ * @param {Object} fallback - Optional driver to fall back to
+ * @returns {Object} Storage driver
+ */
+export function createLocalforageDriver(localforage = window.localforage, fallback = null) {
+    return withTransactions({
+        name: 'localforage',
+        get: async (key) => {
+            try {
+                const value = await localforage.getItem(key);
+                if (value !== null) return value;
+            } catch (error) {
+                console.warn(`Error loading from localforage: ${error.message}`);
+            }
+            return fallback ? fallback.get(key) : null;
+        },
+        set: async (key, value) => {
+            try {
+                await localforage.setItem(key, value);
+            } catch (error) {
+                if (!fallback) throw error;
+                console.warn(`Error saving with localforage: ${error.message}`);
+                await fallback.set(key, value);
+            }
+        },
+        remove: async (key) => {
+            await localforage.removeItem(key);
+            if (fallback) await fallback.remove(key);
+        },
+        keys: async () => {
+            const keys = await localforage.keys();
+            if (!fallback) return keys;
+            const fallbackKeys = await fallback.keys();
+            return Array.from(new Set([...keys, ...fallbackKeys]));
+        }
+    });
+}
+
+// Driver factories by name, used for startup selection
+export const STORAGE_DRIVERS = {
+    memory: () => createMemoryDriver(),
+    localStorage: () => createLocalStorageDriver(),
+    localforage: () => createLocalforageDriver(window.localforage, createLocalStorageDriver())
+};
+
+/**
+ * Create a driver by name, or pick the best available one for 'auto'
+ * @param {string} name - Driver name (memory, localStorage, localforage or auto)
+ * @returns {Object} Storage driver
+ */
+export function createStorageDriver(name = 'auto') {
+    if (name !== 'auto') {
+        const factory = STORAGE_DRIVERS[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        return factory();
+    }
+
+    if (typeof window !== 'undefined' && window.localforage) {
+        return STORAGE_DRIVERS.localforage();
+    }
+    if (typeof localStorage !== 'undefined') {
+        return STORAGE_DRIVERS.localStorage();
+    }
+    return STORAGE_DRIVERS.memory();
+}
@@ -5,6 +5,72 @@
 
 import { DEFAULT_API_CONFIG } from './config.js';
 import { getCurrentSessionId } from './session.js';
+import { SCHEMA_VERSION, runMigrations } from './migrations.js';
+import { createStorageDriver } from './storage-drivers.js';
+import { RECORD_COLLECTIONS, createIndexedDBRecordStore, createRow, getIndexFields, matchesQuery, removeDuplicateRecords } from './record-store.js';
+import { broadcastChange, onChange, mergeConcurrentChanges } from './sync.js';
+import { createEncryptionHeader, unlockEncryptionHeader, isEncryptedValue, encryptValue, decryptValue, hashIndexValue } from './session-crypto.js';
+
+// Key holding each session's schema version stamp
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Key holding each session's catalog metadata (label, description, lastModified)
+export const SESSION_META_KEY = 'sessionMeta';
+
+// Key holding a protected session's encryption header (salt, iterations, verifier)
+export const ENCRYPTION_KEY = 'encryption';
+
+// Keys that stay readable without the passphrase (the catalog and schema check need them)
+const PLAINTEXT_KEYS = [SCHEMA_VERSION_KEY, SESSION_META_KEY, ENCRYPTION_KEY];
+
+// Record index fields kept as keyed hashes in protected sessions (exact matches still work)
+const HASHED_INDEX_FIELDS = ['contentId', 'platform'];
+
+// Keys whose presence marks a session as holding pre-versioning data
+const VERSIONED_KEYS = ['contentItems', 'engagementData', 'contracts'];
+
+// Pending or completed schema checks, keyed by session prefix
+const schemaChecks = new Map();
+
+// Active storage driver, see setStorageDriver
+let activeDriver = null;
+
+// Record store for RECORD_COLLECTIONS, or null to keep them as arrays in the driver
+let activeRecordStore = null;
+
+// Encryption headers (or null for unprotected sessions), keyed by session prefix
+const encryptionHeaders = new Map();
+
+// Keys of unlocked sessions, keyed by session prefix. Never persisted.
+const sessionKeys = new Map();
+
+// Revision and serialized value of each key as this tab last read or wrote it,
+// keyed by full storage key; used to detect and merge concurrent writes from other tabs
+const knownRevisions = new Map();
+
+// Tail of the pending write queue for each key, used when the Web Locks API is unavailable
+const keyLockQueues = new Map();
+
+// Share of the quota at which usage is reported as 'warning' and 'critical'
+export const QUOTA_WARNING_RATIO = 0.8;
+export const QUOTA_CRITICAL_RATIO = 0.95;
+
+// Minimum time between automatic quota checks after saves
+const QUOTA_CHECK_INTERVAL_MS = 30000;
+
+// Quota warning listeners and the state of the last automatic check
+const quotaListeners = new Set();
+let lastQuotaCheck = 0;
+let lastQuotaLevel = 'ok';
+
+/**
+ * Get storage key prefix for a session
+ * @param {string} sessionId - Session ID
+ * @returns {string} Storage key prefix
+ */
+export function getSessionKeyPrefix(sessionId) {
+    return `session_${sessionId}_`;
+}
 
 /**
  * Get storage key prefix for current session
@@ -16,40 +82,830 @@ function getSessionPrefix() {
         console.warn('No session ID available');
         return 'session_unknown_';
     }
-    return `session_${sessionId}_`;
+    return getSessionKeyPrefix(sessionId);
+}
+
+/**
+ * Get the session ID a key prefix belongs to
+ * @param {string} prefix - Session key prefix
+ * @returns {string} Session ID
+ */
+function getSessionIdFromPrefix(prefix) {
+    return prefix.slice('session_'.length, -1);
+}
+
+/**
+ * Select the storage driver used for all session data.
+ * Call once at startup, before any data is read.
+ * Content items and engagement data go to a separate record store: IndexedDB when the
+ * localforage driver is active and IndexedDB exists, otherwise they stay arrays in the driver.
+ * @param {Object|string} driver - Driver instance, or driver name (memory, localStorage, localforage, auto)
+ * @param {Object} options - Optional { recordStore } to override the record store (null disables it)
+ * @returns {Object} The active driver
+ */
+export function setStorageDriver(driver, { recordStore } = {}) {
+    activeDriver = typeof driver === 'string' ? createStorageDriver(driver) : driver;
+    activeRecordStore = recordStore !== undefined ? recordStore : getDefaultRecordStore(activeDriver);
+    schemaChecks.clear();
+    encryptionHeaders.clear();
+    sessionKeys.clear();
+    knownRevisions.clear();
+    console.log(`Using ${activeDriver.name} storage driver` +
+        (activeRecordStore ? ` with ${activeRecordStore.name} record store` : ''));
+    return activeDriver;
+}
+
+/**
+ * Choose the record store that suits a driver
+ * @param {Object} driver - Storage driver
+ * @returns {Object|null} Record store, or null to keep collections in the driver
+ */
+function getDefaultRecordStore(driver) {
+    if (driver.name === 'localforage' && typeof indexedDB !== 'undefined') {
+        return createIndexedDBRecordStore(indexedDB);
+    }
+    return null;
+}
+
+/**
+ * Get the active record store
+ * @returns {Object|null} Record store, or null if collections are stored in the driver
+ */
+export function getRecordStore() {
+    getStorageDriver();
+    return activeRecordStore;
+}
+
+/**
+ * Check whether a key is kept in the record store
+ * @param {string} key - Storage key
+ * @returns {boolean} True for record collections while a record store is active
+ */
+function isRecordKey(key) {
+    return !!activeRecordStore && Object.prototype.hasOwnProperty.call(RECORD_COLLECTIONS, key);
+}
+
+/**
+ * Get the active storage driver, selecting the best available one on first use
+ * @returns {Object} Storage driver
+ */
+export function getStorageDriver() {
+    if (!activeDriver) {
+        setStorageDriver('auto');
+    }
+    return activeDriver;
+}
+
+/**
+ * Write a raw value under a session prefix
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Storage key
+ * @param {any} data - Data to store
+ * @returns {Promise} Promise resolving when data is written
+ */
+async function writeRaw(prefix, key, data) {
+    const driver = getStorageDriver();
+    try {
+        if (isRecordKey(key)) {
+            await writeRecords(prefix, key, data);
+        } else {
+            await driver.set(prefix + key, await serializeValue(prefix, key, data));
+        }
+    } catch (error) {
+        if (!isQuotaError(error)) throw error;
+
+        const quotaError = new Error('Storage is full. Compact old engagement data or delete unused sessions to free space.');
+        quotaError.code = 'STORAGE_QUOTA_EXCEEDED';
+        notifyQuotaListeners({ level: 'exceeded', ratio: 1 });
+        throw quotaError;
+    }
+    console.log(`Data saved with ${driver.name} for key: ${key}`);
+}
+
+/**
+ * Check whether a storage error means the quota was exceeded
+ * @param {Error} error - Error thrown by a driver
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+    return !!error && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Read a raw value under a session prefix
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Storage key
+ * @returns {Promise<any>} Parsed value or null if not found
+ */
+async function readRaw(prefix, key) {
+    if (isRecordKey(key)) {
+        const records = await readRecords(prefix, key);
+        return records.length > 0 ? records : null;
+    }
+
+    const driver = getStorageDriver();
+    const data = await driver.get(prefix + key);
+    if (data === null) {
+        return null;
+    }
+
+    console.log(`Data loaded from ${driver.name} for key: ${key}`);
+    return deserializeValue(prefix, data);
+}
+
+/**
+ * Replace a whole collection in the record store
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Collection name
+ * @param {Array} records - Records
+ * @returns {Promise} Promise resolving when the records are written
+ */
+async function writeRecords(prefix, key, records) {
+    if (!Array.isArray(records)) {
+        throw new Error(`${key} must be an array`);
+    }
+
+    const sessionId = getSessionIdFromPrefix(prefix);
+    const rows = [];
+    for (const [index, record] of resolveDuplicateRecords(key, records).entries()) {
+        rows.push(await createRecordRow(prefix, key, record, index));
+    }
+
+    await activeRecordStore.write(sessionId, key, { put: rows, replace: true });
+    console.log(`Saved ${rows.length} ${key} records with ${activeRecordStore.name} record store`);
+}
+
+/**
+ * Write individual records to the record store
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Collection name
+ * @param {Object} changes - { put: records to add or replace, remove: IDs to delete }
+ * @returns {Promise} Promise resolving when the changes are written
+ */
+async function writeRecordChanges(prefix, key, { put = [], remove = [] }) {
+    const sessionId = getSessionIdFromPrefix(prefix);
+    const rows = [];
+    for (const record of resolveDuplicateRecords(key, put)) {
+        rows.push(await createRecordRow(prefix, key, record));
+    }
+
+    await activeRecordStore.write(sessionId, key, { put: rows, remove });
+}
+
+/**
+ * Resolve records sharing an ID before they reach the record store, which holds one
+ * row per ID: the most recently updated copy wins, as in data maintenance
+ * @param {string} key - Collection name
+ * @param {Array} records - Records
+ * @returns {Array} Records with unique IDs
+ */
+function resolveDuplicateRecords(key, records) {
+    const unique = removeDuplicateRecords(records);
+    if (unique.length < records.length) {
+        console.warn(`Dropped ${records.length - unique.length} ${key} records whose ID is used by a more recently updated record`);
+    }
+    return unique;
+}
+
+/**
+ * Read records from the record store
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Collection name
+ * @param {Object} query - Optional index query (see matchesQuery)
+ * @returns {Promise<Array>} Records in insertion order
+ */
+async function readRecords(prefix, key, query = {}) {
+    const sessionId = getSessionIdFromPrefix(prefix);
+    const keys = await getIndexKeys(prefix);
+    if (!keys) {
+        const rows = await activeRecordStore.query(sessionId, key, query);
+        return rows.map(row => deserializeValue(prefix, row.value));
+    }
+
+    // Protected rows only hold hashed index values, so look up by hash and check
+    // the rest of the query (such as date ranges) on the decrypted records
+    const indexQuery = {};
+    HASHED_INDEX_FIELDS.forEach(field => {
+        if (query[field] !== undefined) indexQuery[field] = hashIndexValue(query[field], keys);
+    });
+    const rows = await activeRecordStore.query(sessionId, key, indexQuery);
+    return rows
+        .map(row => deserializeValue(prefix, row.value))
+        .filter(record => matchesQuery(getIndexFields(key, record), query));
+}
+
+/**
+ * Build the record store row of a record. In protected sessions the index fields
+ * would give away what the encrypted value holds, so contentId and platform are
+ * stored as keyed hashes and the date is left out.
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Collection name
+ * @param {Object} record - Record
+ * @param {number} order - Optional position (see createRow)
+ * @returns {Promise<Object>} Row
+ */
+async function createRecordRow(prefix, key, record, order) {
+    const row = createRow(getSessionIdFromPrefix(prefix), key, record, await serializeValue(prefix, key, record), order);
+    const keys = await getIndexKeys(prefix);
+    if (keys) {
+        delete row.date;
+        HASHED_INDEX_FIELDS.forEach(field => {
+            if (row[field] !== undefined) row[field] = hashIndexValue(row[field], keys);
+        });
+    }
+    return row;
+}
+
+/**
+ * Get the keys that hash a session's index fields
+ * @param {string} prefix - Session key prefix
+ * @returns {Promise<Object|null>} Keys of a protected, unlocked session, otherwise null
+ */
+async function getIndexKeys(prefix) {
+    if (!(await getEncryptionHeader(prefix))) {
+        return null;
+    }
+    return sessionKeys.get(prefix) || null;
+}
+
+/**
+ * Work out which records an update added, changed or removed.
+ * Returns null when the update reordered records, which needs a full rewrite.
+ * @param {Map} before - Serialized records by ID before the update
+ * @param {Array} after - Records after the update
+ * @returns {Object|null} { put, remove } or null
+ */
+function diffRecords(before, after) {
+    const afterIds = new Set(after.map(record => record.id));
+    const keptIds = Array.from(before.keys()).filter(id => afterIds.has(id));
+
+    // Kept records must come first and in their old order, so new ones are only appended
+    if (!keptIds.every((id, index) => after[index].id === id)) {
+        return null;
+    }
+
+    return {
+        put: after.filter(record => before.get(record.id) !== JSON.stringify(record)),
+        remove: Array.from(before.keys()).filter(id => !afterIds.has(id))
+    };
+}
+
+/**
+ * Serialize a value for storage, encrypting it when the session is protected
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Storage key
+ * @param {any} data - Data to serialize
+ * @returns {Promise<string>} Stored representation
+ */
+async function serializeValue(prefix, key, data) {
+    const json = JSON.stringify(data);
+    if (PLAINTEXT_KEYS.includes(key) || !(await getEncryptionHeader(prefix))) {
+        return json;
+    }
+
+    const keys = sessionKeys.get(prefix);
+    if (!keys) {
+        throw createLockedError();
+    }
+    return encryptValue(json, keys);
+}
+
+/**
+ * Parse a stored value, decrypting it if needed
+ * @param {string} prefix - Session key prefix
+ * @param {string} stored - Stored representation
+ * @returns {any} Parsed value
+ */
+function deserializeValue(prefix, stored) {
+    if (!isEncryptedValue(stored)) {
+        return JSON.parse(stored);
+    }
+
+    const keys = sessionKeys.get(prefix);
+    if (!keys) {
+        throw createLockedError();
+    }
+    return JSON.parse(decryptValue(stored, keys));
+}
+
+/**
+ * Create the error thrown when a protected session is accessed without its passphrase
+ * @returns {Error} Error with code SESSION_LOCKED
+ */
+function createLockedError() {
+    const error = new Error('Session is locked, enter its passphrase to unlock it');
+    error.code = 'SESSION_LOCKED';
+    return error;
+}
+
+/**
+ * Get (and cache) a session's encryption header
+ * @param {string} prefix - Session key prefix
+ * @returns {Promise<Object|null>} Header, or null if the session is not protected
+ */
+async function getEncryptionHeader(prefix) {
+    if (!encryptionHeaders.has(prefix)) {
+        const stored = await getStorageDriver().get(prefix + ENCRYPTION_KEY);
+        encryptionHeaders.set(prefix, stored === null ? null : JSON.parse(stored));
+    }
+    return encryptionHeaders.get(prefix);
+}
+
+/**
+ * Re-read a session's encryption header before a write, in case another tab
+ * protected the session or changed its passphrase since this tab cached it.
+ * Keys derived for a replaced header are dropped, so the write fails as locked
+ * instead of storing plaintext or data under the old passphrase.
+ * Callers must hold the write lock of the key they are about to write.
+ * @param {string} prefix - Session key prefix
+ * @returns {Promise<Object|null>} Header, or null if the session is not protected
+ */
+async function refreshEncryptionHeader(prefix) {
+    const stored = await getStorageDriver().get(prefix + ENCRYPTION_KEY);
+    const header = stored === null ? null : JSON.parse(stored);
+    if (encryptionHeaders.has(prefix) && JSON.stringify(encryptionHeaders.get(prefix)) !== JSON.stringify(header)) {
+        sessionKeys.delete(prefix);
+    }
+    encryptionHeaders.set(prefix, header);
+    return header;
+}
+
+/**
+ * Check whether a session is protected by a passphrase
+ * @param {string} sessionId - Session ID (defaults to the current session)
+ * @returns {Promise<boolean>} True if protected
+ */
+export async function isSessionProtected(sessionId = getCurrentSessionId()) {
+    return !!(await getEncryptionHeader(getSessionKeyPrefix(sessionId)));
+}
+
+/**
+ * Check whether a session's data can currently be read
+ * @param {string} sessionId - Session ID (defaults to the current session)
+ * @returns {Promise<boolean>} True if unprotected or unlocked
+ */
+export async function isSessionUnlocked(sessionId = getCurrentSessionId()) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    return !(await getEncryptionHeader(prefix)) || sessionKeys.has(prefix);
+}
+
+/**
+ * Unlock a protected session for the rest of the page lifetime
+ * @param {string} sessionId - Session ID
+ * @param {string} passphrase - Session passphrase
+ * @returns {Promise<boolean>} True if the passphrase is correct (or the session is unprotected)
+ */
+export async function unlockSession(sessionId, passphrase) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    const header = await getEncryptionHeader(prefix);
+    if (!header) {
+        return true;
+    }
+
+    const keys = unlockEncryptionHeader(passphrase, header);
+    if (!keys) {
+        console.warn(`Incorrect passphrase for session ${sessionId}`);
+        return false;
+    }
+
+    sessionKeys.set(prefix, keys);
+    console.log(`Unlocked session ${sessionId}`);
+    return true;
+}
+
+/**
+ * Forget the keys of an unlocked session
+ * @param {string} sessionId - Session ID
+ */
+export function lockSession(sessionId) {
+    sessionKeys.delete(getSessionKeyPrefix(sessionId));
+}
+
+/**
+ * Set, change or remove the current session's passphrase.
+ * Every stored value is re-encrypted (or decrypted) in a single transaction.
+ * @param {string} passphrase - New passphrase, or empty to remove protection
+ * @param {Object} options - Optional { iterations } for the key derivation
+ * @returns {Promise} Promise resolving when all data is rewritten
+ */
+export async function setSessionPassphrase(passphrase, options = {}) {
+    const prefix = getSessionPrefix();
+    const driver = getStorageDriver();
+
+    if (!(await isSessionUnlocked(getCurrentSessionId()))) {
+        throw createLockedError();
+    }
+
+    const keys = (await driver.keys()).filter(key => key.startsWith(prefix));
+    const { header, keys: newKeys } = passphrase ? createEncryptionHeader(passphrase, options) : { header: null, keys: null };
+
+    // Records are read with the old keys now and rewritten once the new keys are active
+    const records = {};
+    if (activeRecordStore) {
+        for (const collection of Object.keys(RECORD_COLLECTIONS)) {
+            records[collection] = await readRecords(prefix, collection);
+        }
+    }
+
+    await driver.transaction(async (tx) => {
+        for (const fullKey of keys) {
+            const key = fullKey.slice(prefix.length);
+            if (PLAINTEXT_KEYS.includes(key)) continue;
+
+            const stored = await tx.get(fullKey);
+            if (stored === null) continue;
+
+            const json = JSON.stringify(deserializeValue(prefix, stored));
+            await tx.set(fullKey, newKeys ? encryptValue(json, newKeys) : json);
+        }
+
+        if (header) {
+            await tx.set(prefix + ENCRYPTION_KEY, JSON.stringify(header));
+        } else {
+            await tx.remove(prefix + ENCRYPTION_KEY);
+        }
+    });
+
+    encryptionHeaders.set(prefix, header);
+    if (newKeys) {
+        sessionKeys.set(prefix, newKeys);
+    } else {
+        sessionKeys.delete(prefix);
+    }
+
+    for (const [collection, collectionRecords] of Object.entries(records)) {
+        await writeRecords(prefix, collection, collectionRecords);
+    }
+
+    console.log(passphrase ? 'Session passphrase set' : 'Session passphrase removed');
+}
+
+/**
+ * Bring the current session's stored data up to the current schema version.
+ * Runs at most once per session per page load; every read and write waits for it.
+ * @returns {Promise<number>} Schema version of the session after migrating
+ */
+export function ensureSessionSchema() {
+    const prefix = getSessionPrefix();
+
+    if (!schemaChecks.has(prefix)) {
+        const check = migrateSession(prefix).catch(error => {
+            // Allow a retry on the next read instead of caching the failure
+            schemaChecks.delete(prefix);
+            throw error;
+        });
+        schemaChecks.set(prefix, check);
+    }
+
+    return schemaChecks.get(prefix);
+}
+
+/**
+ * Drop in-memory state cached for a session (e.g. after its data was deleted)
+ * @param {string} sessionId - Session ID
+ */
+export function clearSessionCache(sessionId) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    schemaChecks.delete(prefix);
+    encryptionHeaders.delete(prefix);
+    sessionKeys.delete(prefix);
+    Array.from(knownRevisions.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => knownRevisions.delete(key));
+}
+
+/**
+ * Run pending migrations for a session
+ * @param {string} prefix - Session key prefix
+ * @returns {Promise<number>} Schema version after migrating
+ */
+async function migrateSession(prefix) {
+    await moveCollectionsToRecordStore(prefix);
+
+    let version = await readRaw(prefix, SCHEMA_VERSION_KEY);
+
+    if (version === null) {
+        // Unversioned sessions either predate schema stamps or are brand new
+        const existing = await Promise.all(VERSIONED_KEYS.map(key => readRaw(prefix, key)));
+        version = existing.some(value => value !== null) ? 0 : SCHEMA_VERSION;
+        if (version === SCHEMA_VERSION) {
+            await writeRaw(prefix, SCHEMA_VERSION_KEY, version);
+            return version;
+        }
+    }
+
+    if (version > SCHEMA_VERSION) {
+        console.warn(`Session data uses schema v${version}, newer than supported v${SCHEMA_VERSION}`);
+        return version;
+    }
+
+    const store = {
+        load: (key) => readRaw(prefix, key),
+        save: (key, data) => writeRaw(prefix, key, data)
+    };
+
+    // Stamp after every step so an interrupted upgrade resumes where it stopped
+    return runMigrations(store, version, (step) => writeRaw(prefix, SCHEMA_VERSION_KEY, step));
+}
+
+/**
+ * Move collections saved as arrays in the driver (before the record store was
+ * available) into the record store, keeping any records already there
+ * @param {string} prefix - Session key prefix
+ * @returns {Promise} Promise resolving when every collection is moved
+ */
+async function moveCollectionsToRecordStore(prefix) {
+    if (!activeRecordStore) return;
+
+    const driver = getStorageDriver();
+    for (const key of Object.keys(RECORD_COLLECTIONS)) {
+        const stored = await driver.get(prefix + key);
+        if (stored === null) continue;
+
+        const existing = await readRecords(prefix, key);
+        const existingIds = new Set(existing.map(record => record.id));
+        const legacy = deserializeValue(prefix, stored);
+        const records = Array.isArray(legacy) ? legacy.filter(record => !existingIds.has(record.id)) : [];
+
+        await writeRecords(prefix, key, [...existing, ...records]);
+        await driver.remove(prefix + key);
+        console.log(`Moved ${records.length} ${key} records into the ${activeRecordStore.name} record store`);
+    }
 }
 
 /**
  * Save data for current session
+ * If another tab saved the same key since this tab read it, the two versions are
+ * merged (see mergeConcurrentChanges) instead of silently overwriting the other tab.
  * @param {string} key - Storage key
  * @param {any} data - Data to store
- * @returns {Promise} Promise resolving when data is saved
+ * @returns {Promise<any>} Promise resolving with the value actually stored
  */
 export async function saveSessionData(key, data) {
     try {
+        await ensureSessionSchema();
+        const prefix = getSessionPrefix();
+        return await withKeyLock(prefix + key, () => writeSessionValue(prefix, key, data));
+    } catch (error) {
+        console.error(`Error saving session data for key ${key}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Atomically read, modify and write one key of the current session.
+ * Writers of the same key are serialized (across tabs when the Web Locks API is
+ * available), so concurrent updates never lose each other's changes. If the
+ * updater throws, nothing is written. The updater must not save the same key itself.
+ * @param {string} key - Storage key
+ * @param {Function} updater - Receives the current value (or defaultValue) and returns the new value
+ * @param {any} defaultValue - Value passed to the updater when the key is unset
+ * @returns {Promise<any>} Promise resolving with the value actually stored
+ */
+export async function updateSessionData(key, updater, defaultValue = null) {
+    try {
+        await ensureSessionSchema();
         const prefix = getSessionPrefix();
-        const dataStr = JSON.stringify(data);
-
-        // Try to use localforage first (preferred)
-        if (typeof window !== 'undefined' && window.localforage) {
-            try {
-                await window.localforage.setItem(prefix + key, dataStr);
-                console.log(`Data saved with localforage for key: ${key}`);
-                return;
-            } catch (localforageError) {
-                console.warn(`Error saving with localforage: ${localforageError.message}`);
+
+        return await withKeyLock(prefix + key, async () => {
+            const meta = await readRaw(prefix, SESSION_META_KEY) || {};
+            const current = await readRaw(prefix, key);
+            rememberRevision(prefix + key, (meta.revisions && meta.revisions[key]) || 0, current);
+
+            // Record collections only rewrite the records the updater touched
+            const before = isRecordKey(key) && current !== null
+                ? new Map(current.map(record => [record.id, JSON.stringify(record)]))
+                : null;
+
+            let updated = await updater(current !== null ? current : defaultValue);
+            if (before && Array.isArray(updated)) {
+                updated = resolveDuplicateRecords(key, updated);
             }
+            const changes = before && Array.isArray(updated) ? diffRecords(before, updated) : null;
+            return writeSessionValue(prefix, key, updated, changes);
+        });
+    } catch (error) {
+        console.error(`Error updating session data for key ${key}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Run a function while holding the write lock for a key
+ * @param {string} fullKey - Full storage key
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Promise resolving with the function's result
+ */
+function withKeyLock(fullKey, fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+        return navigator.locks.request(`platform-engagement-tracker:${fullKey}`, fn);
+    }
+
+    const previous = keyLockQueues.get(fullKey) || Promise.resolve();
+    const result = previous.then(fn);
+    const tail = result.catch(() => {});
+    keyLockQueues.set(fullKey, tail);
+    tail.then(() => {
+        if (keyLockQueues.get(fullKey) === tail) {
+            keyLockQueues.delete(fullKey);
         }
+    });
+    return result;
+}
 
-        // Fallback to localStorage
-        localStorage.setItem(prefix + key, dataStr);
-        console.log(`Data saved with localStorage for key: ${key}`);
+/**
+ * Write a value and bump its revision; caller must hold the key's write lock
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Storage key
+ * @param {any} data - Data to store
+ * @param {Object} changes - Optional record changes ({ put, remove }) equivalent to data, written instead of it
+ * @returns {Promise<any>} Promise resolving with the value actually stored
+ */
+async function writeSessionValue(prefix, key, data, changes = null) {
+    if (isRecordKey(key) && Array.isArray(data)) {
+        data = resolveDuplicateRecords(key, data);
+    }
+    await refreshEncryptionHeader(prefix);
+    const meta = await readRaw(prefix, SESSION_META_KEY) || {};
+    const currentRevision = (meta.revisions && meta.revisions[key]) || 0;
+    const known = knownRevisions.get(prefix + key);
+
+    let value = data;
+    let merged = false;
+    if (known && known.revision !== currentRevision) {
+        const remote = await readRaw(prefix, key);
+        value = mergeConcurrentChanges(JSON.parse(known.value), data, remote);
+        merged = true;
+        console.warn(`Merged concurrent changes from another tab for key: ${key}`);
+    }
+
+    const revision = currentRevision + 1;
+    if (changes && !merged) {
+        await writeRecordChanges(prefix, key, changes);
+    } else {
+        await writeRaw(prefix, key, value);
+    }
+
+    await commitRevision(prefix, key, revision, merged);
+    rememberRevision(prefix + key, revision, value);
+    return value;
+}
+
+/**
+ * Record a key's new revision in the session metadata and announce the change
+ * @param {string} prefix - Session key prefix
+ * @param {string} key - Storage key
+ * @param {number} revision - New revision
+ * @param {boolean} merged - Whether the written value was merged with another tab's
+ * @returns {Promise} Promise resolving when the metadata is saved
+ */
+async function commitRevision(prefix, key, revision, merged = false) {
+    // Metadata is shared by every key, so re-read it under its own lock
+    await withKeyLock(prefix + SESSION_META_KEY, async () => {
+        const latestMeta = await readRaw(prefix, SESSION_META_KEY) || {};
+        await writeRaw(prefix, SESSION_META_KEY, {
+            ...latestMeta,
+            lastModified: new Date().toISOString(),
+            revisions: { ...latestMeta.revisions, [key]: revision }
+        });
+    });
+
+    broadcastChange({ sessionId: getCurrentSessionId(), key, revision, merged });
+    checkStorageQuota().catch(error => console.error('Error checking storage quota:', error));
+}
+
+/**
+ * Atomically change a session's metadata (e.g. its label), under the same lock
+ * commitRevision takes, so neither loses the other's changes
+ * @param {string} sessionId - Session ID (need not be the current session)
+ * @param {Function} updater - Receives the metadata ({} when unset) and returns the new metadata
+ * @returns {Promise<Object>} Stored metadata
+ */
+export async function updateSessionMeta(sessionId, updater) {
+    const prefix = getSessionKeyPrefix(sessionId);
+    return withKeyLock(prefix + SESSION_META_KEY, async () => {
+        const meta = await readRaw(prefix, SESSION_META_KEY) || {};
+        const updatedMeta = await updater(meta);
+        await writeRaw(prefix, SESSION_META_KEY, updatedMeta);
+        return updatedMeta;
+    });
+}
+
+/**
+ * Add or replace individual records of a collection without rewriting the rest.
+ * Records are matched by id; new ones are appended.
+ * @param {string} key - Collection name (e.g. engagementData)
+ * @param {Array} records - Records to write
+ * @returns {Promise} Promise resolving when the records are saved
+ */
+export async function putSessionRecords(key, records) {
+    return changeSessionRecords(key, { put: records });
+}
+
+/**
+ * Delete individual records of a collection by ID
+ * @param {string} key - Collection name (e.g. engagementData)
+ * @param {Array<string>} ids - IDs of records to delete
+ * @returns {Promise} Promise resolving when the records are deleted
+ */
+export async function deleteSessionRecords(key, ids) {
+    return changeSessionRecords(key, { remove: ids });
+}
+
+/**
+ * Apply record changes through the record store, or to the stored array without one
+ * @param {string} key - Collection name
+ * @param {Object} changes - { put, remove }
+ * @returns {Promise} Promise resolving when the changes are saved
+ */
+async function changeSessionRecords(key, { put = [], remove = [] }) {
+    try {
+        if (!isRecordKey(key)) {
+            await updateSessionData(key, (records) => {
+                const replacements = new Map(put.map(record => [record.id, record]));
+                const kept = records
+                    .filter(record => !remove.includes(record.id))
+                    .map(record => replacements.get(record.id) || record);
+                const existingIds = new Set(records.map(record => record.id));
+                return [...kept, ...put.filter(record => !existingIds.has(record.id))];
+            }, []);
+            return;
+        }
+
+        await ensureSessionSchema();
+        const prefix = getSessionPrefix();
+        await withKeyLock(prefix + key, async () => {
+            const meta = await readRaw(prefix, SESSION_META_KEY) || {};
+            const revision = ((meta.revisions && meta.revisions[key]) || 0) + 1;
+
+            // The remembered revision is left alone: a later whole-array save from this
+            // tab then merges with these records instead of overwriting them
+            await refreshEncryptionHeader(prefix);
+            await writeRecordChanges(prefix, key, { put, remove });
+            await commitRevision(prefix, key, revision);
+        });
     } catch (error) {
-        console.error(`Error saving session data for key ${key}:`, error);
+        console.error(`Error changing records for key ${key}:`, error);
         throw error;
     }
 }
 
+/**
+ * Load the records of a collection that match a query, using the record store's
+ * indexes when available instead of reading the whole collection
+ * @param {string} key - Collection name (contentItems or engagementData)
+ * @param {Object} query - Optional { contentId, platform, from, to } (from/to are inclusive YYYY-MM-DD days)
+ * @returns {Promise<Array>} Matching records
+ */
+export async function querySessionRecords(key, query = {}) {
+    if (!Object.prototype.hasOwnProperty.call(RECORD_COLLECTIONS, key)) {
+        throw new Error(`Not a record collection: ${key}`);
+    }
+
+    try {
+        await ensureSessionSchema();
+        if (isRecordKey(key)) {
+            return await readRecords(getSessionPrefix(), key, query);
+        }
+
+        const records = await loadSessionData(key, []);
+        return records.filter(record => matchesQuery(getIndexFields(key, record), query));
+    } catch (error) {
+        console.error(`Error querying records for key ${key}:`, error);
+        if (error.code === 'SESSION_LOCKED') {
+            throw error;
+        }
+        return [];
+    }
+}
+
+/**
+ * Remember the revision of a key as this tab last saw it
+ * @param {string} fullKey - Full storage key
+ * @param {number} revision - Revision number
+ * @param {any} value - Value at that revision
+ */
+function rememberRevision(fullKey, revision, value) {
+    // Serialized, because callers mutate the arrays they load
+    knownRevisions.set(fullKey, { revision, value: JSON.stringify(value === undefined ? null : value) });
+}
+
+/**
+ * Listen for changes to the current session's data made in other tabs,
+ * or merges this tab performed while saving
+ * @param {Function} listener - Called with { sessionId, key, revision, remote, merged }
+ * @returns {Function} Unsubscribe function
+ */
+export function onSessionDataChange(listener) {
+    return onChange(change => {
+        if (change.sessionId === getCurrentSessionId()) {
+            listener(change);
+        }
+    });
+}
+
 /**
  * Load data for current session
  * @param {string} key - Storage key
@@ -58,52 +914,159 @@ export async function saveSessionData(key, data) {
  */
 export async function loadSessionData(key, defaultValue = null) {
     try {
+        await ensureSessionSchema();
         const prefix = getSessionPrefix();
-        let data = null;
-
-        // Try localforage first (preferred)
-        if (typeof window !== 'undefined' && window.localforage) {
-            try {
-                data = await window.localforage.getItem(prefix + key);
-                if (data !== null) {
-                    console.log(`Data loaded from localforage for key: ${key}`);
-                    return JSON.parse(data);
-                }
-            } catch (localforageError) {
-                console.warn(`Error loading from localforage: ${localforageError.message}`);
-            }
-        }
-
-        // Try localStorage as fallback
-        data = localStorage.getItem(prefix + key);
-        if (data !== null) {
-            console.log(`Data loaded from localStorage for key: ${key}`);
-            return JSON.parse(data);
-        }
-
-        return defaultValue;
+        const meta = await readRaw(prefix, SESSION_META_KEY) || {};
+        const data = await readRaw(prefix, key);
+        rememberRevision(prefix + key, (meta.revisions && meta.revisions[key]) || 0, data);
+        return data !== null ? data : defaultValue;
     } catch (error) {
         console.error(`Error loading session data for key ${key}:`, error);
+        // A locked session must not look like an empty one
+        if (error.code === 'SESSION_LOCKED') {
+            throw error;
+        }
         return defaultValue;
     }
 }
 
 /**
- * Load all session data (content, engagement, config)
+ * Load all session data (config, content, engagement, contracts)
  * @returns {Promise<Object>} Promise resolving with all session data
  */
 export async function loadAllSessionData() {
     const apiConfig = await loadSessionData('apiConfig', DEFAULT_API_CONFIG);
     const contentItems = await loadSessionData('contentItems', []);
     const engagementData = await loadSessionData('engagementData', []);
+    const contracts = await loadSessionData('contracts', []);
+    const invoices = await loadSessionData('invoices', []);
+    const invoiceSettings = await loadSessionData('invoiceSettings', {});
+    const exchangeRates = await loadSessionData('exchangeRates', {});
+    const contractTemplates = await loadSessionData('contractTemplates', []);
+    const contractRevisions = await loadSessionData('contractRevisions', []);
+    const reminderSettings = await loadSessionData('reminderSettings', {});
+    const reminderAlerts = await loadSessionData('reminderAlerts', []);
 
     return {
         apiConfig,
         contentItems,
-        engagementData
+        engagementData,
+        contracts,
+        invoices,
+        invoiceSettings,
+        exchangeRates,
+        contractTemplates,
+        contractRevisions,
+        reminderSettings,
+        reminderAlerts
+    };
+}
+
+/**
+ * Estimate how much storage is used and how much is available.
+ * Uses navigator.storage.estimate() for origin-wide backends (IndexedDB), and measures
+ * the stored strings directly for drivers with a fixed quota such as localStorage.
+ * @returns {Promise<Object>} { driver, usage, quota, ratio, level, source, sessionUsage, keys }
+ */
+export async function estimateStorageUsage() {
+    const driver = getStorageDriver();
+    const prefix = getSessionPrefix();
+    const keys = {};
+    let measured = 0;
+    let sessionUsage = 0;
+
+    for (const fullKey of await driver.keys()) {
+        const value = await driver.get(fullKey);
+        // Browsers store strings as UTF-16, two bytes per character
+        const bytes = (fullKey.length + (value ? value.length : 0)) * 2;
+        measured += bytes;
+        if (fullKey.startsWith(prefix)) {
+            keys[fullKey.slice(prefix.length)] = bytes;
+            sessionUsage += bytes;
+        }
+    }
+
+    let usage = measured;
+    let quota = driver.quota || null;
+    let source = 'measured';
+
+    if (!quota && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        usage = estimate.usage;
+        quota = estimate.quota || null;
+        source = 'estimate';
+    }
+
+    const ratio = quota ? usage / quota : 0;
+    return {
+        driver: driver.name,
+        usage,
+        quota,
+        ratio,
+        level: getQuotaLevel(ratio),
+        source,
+        sessionUsage,
+        keys
     };
 }
 
+/**
+ * Classify a usage ratio
+ * @param {number} ratio - Used share of the quota (0-1)
+ * @returns {string} 'ok', 'warning' or 'critical'
+ */
+function getQuotaLevel(ratio) {
+    if (ratio >= QUOTA_CRITICAL_RATIO) return 'critical';
+    if (ratio >= QUOTA_WARNING_RATIO) return 'warning';
+    return 'ok';
+}
+
+/**
+ * Re-estimate usage and notify quota listeners when it crosses a threshold.
+ * Runs after saves, at most once per QUOTA_CHECK_INTERVAL_MS unless forced.
+ * @param {Object} options - Optional { force }
+ * @returns {Promise<Object|null>} Usage estimate, or null if the check was skipped
+ */
+export async function checkStorageQuota({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - lastQuotaCheck < QUOTA_CHECK_INTERVAL_MS) {
+        return null;
+    }
+    lastQuotaCheck = now;
+
+    const usage = await estimateStorageUsage();
+    if (usage.level !== 'ok' && usage.level !== lastQuotaLevel) {
+        console.warn(`Storage usage at ${Math.round(usage.ratio * 100)}% of quota`);
+        notifyQuotaListeners(usage);
+    }
+    lastQuotaLevel = usage.level;
+    return usage;
+}
+
+/**
+ * Listen for storage quota warnings
+ * @param {Function} listener - Called with the usage estimate ({ level: 'warning'|'critical'|'exceeded', ratio, ... })
+ * @returns {Function} Unsubscribe function
+ */
+export function onStorageQuotaWarning(listener) {
+    quotaListeners.add(listener);
+    return () => quotaListeners.delete(listener);
+}
+
+/**
+ * Call every quota listener, isolating listener errors
+ * @param {Object} usage - Usage estimate
+ */
+function notifyQuotaListeners(usage) {
+    quotaListeners.forEach(listener => {
+        try {
+            listener(usage);
+        } catch (error) {
+            console.error('Error in storage quota listener:', error);
+        }
+    });
+}
+
 /**
  * Save user preference (global, not session-specific)
  * @param {string} key - Preference key
@@ -0,0 +1,162 @@
+/**
+ * Cross-tab synchronization for Platform Engagement Tracker
+ * Broadcasts storage changes to other open tabs and merges concurrent edits
+ */
+
+// Channel shared by every tab of the app on this origin
+const CHANNEL_NAME = 'platform-engagement-tracker';
+
+// Identifies this tab so it can ignore its own messages
+export const TAB_ID = Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+
+// Lazily opened channel (null when BroadcastChannel is unavailable)
+let channel;
+
+// Registered change listeners
+const listeners = new Set();
+
+/**
+ * Open the broadcast channel on first use
+ * @returns {BroadcastChannel|null} Channel, or null if unsupported
+ */
+function getChannel() {
+    if (channel !== undefined) {
+        return channel;
+    }
+
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn('BroadcastChannel not supported, cross-tab sync disabled');
+        channel = null;
+        return channel;
+    }
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+        const message = event.data;
+        if (!message || message.tabId === TAB_ID) return;
+        notifyListeners({ ...message, remote: true });
+    };
+    return channel;
+}
+
+/**
+ * Call every listener with a change, isolating listener errors
+ * @param {Object} change - Change description
+ */
+function notifyListeners(change) {
+    listeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (error) {
+            console.error('Error in storage change listener:', error);
+        }
+    });
+}
+
+/**
+ * Announce a storage change to other tabs (and to local listeners when it
+ * differs from what the caller saved, e.g. after a merge)
+ * @param {Object} change - { sessionId, key, revision, merged }
+ */
+export function broadcastChange(change) {
+    const message = { ...change, tabId: TAB_ID, timestamp: new Date().toISOString() };
+
+    const activeChannel = getChannel();
+    if (activeChannel) {
+        activeChannel.postMessage(message);
+    }
+
+    if (change.merged) {
+        notifyListeners({ ...message, remote: false });
+    }
+}
+
+/**
+ * Listen for storage changes made by other tabs
+ * @param {Function} listener - Called with { sessionId, key, revision, tabId, remote, merged }
+ * @returns {Function} Unsubscribe function
+ */
+export function onChange(listener) {
+    getChannel();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Merge two concurrent edits of the same stored value.
+ *
+ * Arrays of records with an `id` get a three-way merge against the value both
+ * edits started from: additions from either side are kept, a deletion wins over
+ * an untouched record, an edit wins over a deletion, and when both sides edited
+ * the same record the one with the newer updatedAt/timestamp wins. Anything else
+ * falls back to last writer wins (the local value).
+ *
+ * @param {any} base - Value both edits started from (null if unknown)
+ * @param {any} local - Value this tab is saving
+ * @param {any} remote - Value another tab saved in the meantime
+ * @returns {any} Merged value
+ */
+export function mergeConcurrentChanges(base, local, remote) {
+    if (!isRecordArray(local) || !isRecordArray(remote) || (base !== null && !isRecordArray(base))) {
+        return local;
+    }
+
+    const baseMap = new Map((base || []).map(item => [item.id, item]));
+    const localMap = new Map(local.map(item => [item.id, item]));
+    const remoteMap = new Map(remote.map(item => [item.id, item]));
+
+    // Keep the remote order, then append records only this tab has
+    const ids = [...remoteMap.keys(), ...[...localMap.keys()].filter(id => !remoteMap.has(id))];
+    const merged = [];
+
+    ids.forEach(id => {
+        const baseItem = baseMap.get(id);
+        const localItem = localMap.get(id);
+        const remoteItem = remoteMap.get(id);
+        const localChanged = !sameRecord(baseItem, localItem);
+        const remoteChanged = !sameRecord(baseItem, remoteItem);
+
+        if (localItem && remoteItem) {
+            if (!localChanged) merged.push(remoteItem);
+            else if (!remoteChanged) merged.push(localItem);
+            else merged.push(recordTime(remoteItem) > recordTime(localItem) ? remoteItem : localItem);
+        } else if (localItem) {
+            // Missing remotely: new here, or deleted there (an edit here overrides the delete)
+            if (!baseItem || localChanged) merged.push(localItem);
+        } else if (remoteItem) {
+            // Missing locally: new there, or deleted here (an edit there overrides the delete)
+            if (!baseItem || remoteChanged) merged.push(remoteItem);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Check whether a value is an array of records with IDs
+ * @param {any} value - Value to check
+ * @returns {boolean} True for arrays whose items all have an id
+ */
+function isRecordArray(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id !== undefined);
+}
+
+/**
+ * Compare two records by content
+ * @param {Object} a - First record (may be undefined)
+ * @param {Object} b - Second record (may be undefined)
+ * @returns {boolean} True if both are missing or serialize identically
+ */
+function sameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get a record's last modification time for conflict resolution
+ * @param {Object} record - Record
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+function recordTime(record) {
+    const time = Date.parse(record.updatedAt || record.timestamp || record.createdAt || '');
+    return isNaN(time) ? 0 : time;
+}
@@ -0,0 +1,262 @@
+/**
+ * Template manager module for Platform Engagement Tracker
+ * Stores reusable contract templates per session and creates contracts from
+ * templates or from existing contracts (cloning)
+ *
+ * Template model:
+ *   id, name, clientName, projectName, value, currency, durationDays,
+ *   dueDays (optional), description,
+ *   deliverables [{ type, quantity, description, dueDays (optional) }],
+ *   kpiTargets [{ metric, target, windowDays }],
+ *   milestones [{ name, amount, dueDays (optional) }],
+ *   recurrence (optional, see contract-manager.js), createdAt, updatedAt
+ *
+ * Dates are kept as days after the contract start, so a template or clone can be
+ * started on any date.
+ */
+
+import { loadSessionData, updateSessionData } from './storage.js';
+import { loadContracts, addContract, normalizeContractData, validateContract } from './contract-manager.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+import { addDays } from './utils.js';
+
+// Storage key
+const TEMPLATE_STORAGE_KEY = 'contractTemplates';
+
+// Milliseconds in a day
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load all contract templates for the current session
+ * @returns {Promise<Array>} Array of template objects
+ */
+export async function loadTemplates() {
+    try {
+        return await loadSessionData(TEMPLATE_STORAGE_KEY, []);
+    } catch (error) {
+        console.error('Error loading contract templates:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save a contract as a template
+ * @param {string} contractId - Contract ID
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} Newly created template with ID
+ */
+export async function saveContractAsTemplate(contractId, name) {
+    try {
+        const contract = await findContract(contractId);
+        return await addTemplate({ ...templateFromContract(contract), name });
+    } catch (error) {
+        console.error('Error saving contract as template:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a contract template
+ * @param {Object} templateData - Template data (see the template model)
+ * @returns {Promise<Object>} Newly created template with ID
+ */
+export async function addTemplate(templateData) {
+    try {
+        const name = typeof templateData.name === 'string' ? templateData.name.trim() : '';
+        if (!name) {
+            const error = new Error('Template name is required');
+            error.code = 'INVALID_TEMPLATE';
+            throw error;
+        }
+
+        // A template must produce a valid contract once given a project and client
+        const sample = normalizeContractData(contractDataFromTemplate(templateData, new Date().toISOString().split('T')[0]));
+        validateContract({ ...sample, projectName: sample.projectName || name, clientName: sample.clientName || name });
+
+        const now = new Date().toISOString();
+        const template = {
+            ...templateFromContract(sample),
+            name,
+            id: generateTemplateId(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await updateSessionData(TEMPLATE_STORAGE_KEY, (templates) => [...templates, template], []);
+        return template;
+    } catch (error) {
+        console.error('Error adding contract template:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a contract template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} Success flag
+ */
+export async function deleteTemplate(templateId) {
+    try {
+        await updateSessionData(TEMPLATE_STORAGE_KEY, (templates) => {
+            if (!templates.some(template => template.id === templateId)) {
+                const error = new Error(`Template not found with ID: ${templateId}`);
+                error.code = 'TEMPLATE_NOT_FOUND';
+                throw error;
+            }
+            return templates.filter(template => template.id !== templateId);
+        }, []);
+        return true;
+    } catch (error) {
+        console.error('Error deleting contract template:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create a contract from a template
+ * @param {string} templateId - Template ID
+ * @param {Object} overrides - Contract fields to use instead of the template's (startDate is required)
+ * @returns {Promise<Object>} Newly created contract
+ */
+export async function createContractFromTemplate(templateId, overrides) {
+    try {
+        const templates = await loadTemplates();
+        const template = templates.find(item => item.id === templateId);
+        if (!template) {
+            const error = new Error(`Template not found with ID: ${templateId}`);
+            error.code = 'TEMPLATE_NOT_FOUND';
+            throw error;
+        }
+
+        return await addContract({ ...contractDataFromTemplate(template, overrides.startDate), ...overrides });
+    } catch (error) {
+        console.error('Error creating contract from template:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create a draft copy of a contract. Attached content, payments, invoices and
+ * generated retainer periods stay with the original; dates move with the start date.
+ * @param {string} contractId - Contract ID
+ * @param {string} startDate - Start date of the copy (defaults to the original's)
+ * @returns {Promise<Object>} Newly created contract
+ */
+export async function cloneContract(contractId, startDate) {
+    try {
+        const contract = await findContract(contractId);
+        const data = contractDataFromTemplate(templateFromContract(contract), startDate || contract.startDate);
+        return await addContract({ ...data, projectName: `${contract.projectName} (copy)`, status: 'draft' });
+    } catch (error) {
+        console.error('Error cloning contract:', error);
+        throw error;
+    }
+}
+
+/**
+ * Turn a contract into template data, keeping terms and dropping progress
+ * @param {Object} contract - Contract (or contract data)
+ * @returns {Object} Template data without id, name or timestamps
+ */
+export function templateFromContract(contract) {
+    const start = contract.startDate;
+    const template = withDueDays({
+        clientName: contract.clientName || '',
+        projectName: contract.projectName || '',
+        value: Number(contract.value) || 0,
+        currency: contract.currency || DEFAULT_CURRENCY,
+        durationDays: start && contract.endDate ? daysBetween(start, contract.endDate) : 0,
+        description: contract.description || '',
+        // Retainer periods are generated again from the recurrence rule
+        deliverables: (contract.deliverables || []).filter(d => !d.period).map(d => withDueDays({
+            type: d.type,
+            quantity: d.quantity,
+            description: d.description || ''
+        }, start, d.dueDate)),
+        kpiTargets: (contract.kpiTargets || []).map(k => ({ metric: k.metric, target: k.target, windowDays: k.windowDays })),
+        milestones: (contract.milestones || []).filter(m => !m.period).map(m => withDueDays({
+            name: m.name,
+            amount: m.amount
+        }, start, m.dueDate))
+    }, start, contract.dueDate);
+    if (contract.recurrence) {
+        template.recurrence = { ...contract.recurrence, quota: contract.recurrence.quota.map(item => ({ ...item })) };
+    }
+    return template;
+}
+
+/**
+ * Turn a template into contract data starting on a given date
+ * @param {Object} template - Template
+ * @param {string} startDate - Contract start date (YYYY-MM-DD)
+ * @returns {Object} Contract data for addContract
+ */
+export function contractDataFromTemplate(template, startDate) {
+    // Without a valid start date the relative dates stay unset and validation reports the start date
+    const hasStart = !!startDate && !isNaN(new Date(startDate).getTime());
+    const afterStart = (days) => (hasStart && days !== undefined ? addDays(startDate, days) : undefined);
+    const data = {
+        clientName: template.clientName || '',
+        projectName: template.projectName || '',
+        value: template.value || 0,
+        currency: template.currency || DEFAULT_CURRENCY,
+        startDate,
+        endDate: afterStart(template.durationDays || 0),
+        description: template.description || '',
+        deliverables: (template.deliverables || []).map(({ dueDays, ...deliverable }) =>
+            ({ ...deliverable, dueDate: afterStart(dueDays) })),
+        kpiTargets: (template.kpiTargets || []).map(kpiTarget => ({ ...kpiTarget })),
+        milestones: (template.milestones || []).map(({ dueDays, ...milestone }) =>
+            ({ ...milestone, dueDate: afterStart(dueDays) }))
+    };
+    if (template.dueDays !== undefined) {
+        data.dueDate = afterStart(template.dueDays);
+    }
+    if (template.recurrence) {
+        data.recurrence = template.recurrence;
+    }
+    return data;
+}
+
+/**
+ * Find a contract by ID
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Contract
+ */
+async function findContract(contractId) {
+    const contracts = await loadContracts();
+    const contract = contracts.find(item => item.id === contractId);
+    if (!contract) {
+        throw new Error(`Contract not found with ID: ${contractId}`);
+    }
+    return contract;
+}
+
+/**
+ * Add a due date to template data as days after the start, when it has one
+ * @param {Object} item - Template deliverable or milestone
+ * @param {string} startDate - Contract start date
+ * @param {string} dueDate - Optional due date
+ * @returns {Object} Item
+ */
+function withDueDays(item, startDate, dueDate) {
+    return dueDate && startDate ? { ...item, dueDays: daysBetween(startDate, dueDate) } : item;
+}
+
+/**
+ * Count the days from one date to another
+ * @param {string} from - Date (YYYY-MM-DD)
+ * @param {string} to - Date (YYYY-MM-DD)
+ * @returns {number} Days (negative when to is earlier)
+ */
+function daysBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / MS_PER_DAY);
+}
+
+/**
+ * Generate a unique ID for a contract template
+ * @returns {string} Unique ID
+ */
+function generateTemplateId() {
+    return 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
@@ -24,6 +24,18 @@ export function formatDateTime(dateTimeString) {
     return date.toLocaleString();
 }
 
+/**
+ * Add days to a date, in UTC so daylight saving changes do not shift the day
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
 /**
  * Truncate text with ellipsis
  * @param {string} text - Text to truncate
@@ -36,6 +48,21 @@ export function truncateText(text, maxLength) {
     return text.substring(0, maxLength) + '...';
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Parse YouTube ISO 8601 duration format to readable string
  * @param {string} isoDuration - ISO duration string (e.g., PT1H20M15S)
@@ -237,6 +264,28 @@ export function hashCode(str) {
     return Math.abs(hash);
 }
 
+/**
+ * Offer text content to the user as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
 /**
  * Show notification message
  * @param {string} message - Message text
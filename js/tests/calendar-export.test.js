@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the calendar export
+ */
+
+import { buildCalendarEvents, eventsToIcs, exportCalendar } from '../modules/calendar-export.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const contracts = [
+    {
+        id: 'c1',
+        clientName: 'Acme, Inc.',
+        projectName: 'Launch video',
+        currency: 'USD',
+        status: 'active',
+        startDate: '2024-01-01',
+        endDate: '2024-03-31',
+        deliverables: [
+            { id: 'd1', type: 'youtube', quantity: 2, description: 'Launch videos', dueDate: '2024-03-15', contentIds: [] },
+            { id: 'd2', type: 'youtube', quantity: 1, description: 'Teaser', contentIds: [] }
+        ],
+        milestones: [{ id: 'm1', name: 'Deposit', amount: 500, dueDate: '2024-02-29', paidDate: '2024-02-28' }],
+        updatedAt: '2024-02-28T09:30:00.000Z'
+    },
+    { id: 'c2', clientName: 'Globex', projectName: 'Podcast', status: 'cancelled', startDate: '2024-01-01', endDate: '2024-06-30' }
+];
+
+const contentItems = [
+    { id: 'v1', title: 'Launch; part 1', platform: 'youtube', url: 'https://youtu.be/abc', publishedDate: '2024-03-20' },
+    { id: 'v2', title: 'Old post', platform: 'youtube', url: 'https://youtu.be/def', publishedDate: '2024-01-05' }
+];
+
+describe('Calendar export', () => {
+    it('should build an event per dated record with a stable UID', () => {
+        const events = buildCalendarEvents(contracts, contentItems, now);
+
+        expect(events.map(e => [e.uid, e.date, e.cancelled])).toEqual([
+            ['milestone-c1-m1@platform-engagement-tracker', '2024-02-29', false],
+            ['deliverable-c1-d1@platform-engagement-tracker', '2024-03-15', false],
+            ['content-v1@platform-engagement-tracker', '2024-03-20', false],
+            ['contract-end-c1@platform-engagement-tracker', '2024-03-31', false],
+            ['contract-end-c2@platform-engagement-tracker', '2024-06-30', true]
+        ]);
+        expect(events[0].summary).toBe('Payment due: Deposit (paid) - Launch video');
+        expect(buildCalendarEvents(contracts, contentItems, now)).toEqual(events);
+    });
+
+    it('should write RFC 5545 all-day events with escaped and folded text', () => {
+        const event = {
+            uid: 'content-v1@platform-engagement-tracker',
+            date: '2024-02-29',
+            summary: 'Publish: Launch; part 1, take 2',
+            description: 'YouTube\n' + 'é'.repeat(50),
+            url: 'https://youtu.be/abc',
+            cancelled: true,
+            updatedAt: '2024-02-28T09:30:00.000Z'
+        };
+
+        const ics = eventsToIcs([event], { now });
+        const lines = ics.split('\r\n');
+
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toEqual(expect.arrayContaining([
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'UID:content-v1@platform-engagement-tracker',
+            'DTSTAMP:20240310T120000Z',
+            'DTSTART;VALUE=DATE:20240229',
+            'DTEND;VALUE=DATE:20240301',
+            'SUMMARY:Publish: Launch\\; part 1\\, take 2',
+            'LAST-MODIFIED:20240228T093000Z',
+            'STATUS:CANCELLED'
+        ]));
+        lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        const description = lines.slice(lines.findIndex(line => line.startsWith('DESCRIPTION:')))
+            .filter((line, index) => index === 0 || line.startsWith(' '));
+        expect(description.map((line, index) => index === 0 ? line : line.slice(1)).join(''))
+            .toBe('DESCRIPTION:YouTube\\n' + 'é'.repeat(50));
+    });
+
+    it('should skip invalid dates and keep control characters out of the file', () => {
+        const imported = [{
+            ...contracts[0],
+            deliverables: [{ id: 'd1', type: 'youtube', quantity: 1, dueDate: '2024-13-45', contentIds: [] }],
+            milestones: [],
+            updatedAt: 'yesterday'
+        }];
+        const events = buildCalendarEvents(imported, [
+            { id: 'v1', title: 'Launch\rBEGIN:VALARM', platform: 'youtube', url: 'https://youtu.be/abc\r\nATTACH:evil', publishedDate: '2024-03-20' }
+        ], now);
+
+        expect(events.map(e => [e.uid, e.updatedAt])).toEqual([
+            ['content-v1@platform-engagement-tracker', null],
+            ['contract-end-c1@platform-engagement-tracker', null]
+        ]);
+
+        const lines = eventsToIcs([...events, { ...events[0], uid: 'bad', date: '2024-02-30', updatedAt: 'not a date' }], { now }).split('\r\n');
+        expect(lines).toContain('SUMMARY:Publish: Launch\\nBEGIN:VALARM');
+        expect(lines).toContain('URL:https://youtu.be/abcATTACH:evil');
+        expect(lines.filter(line => /^(BEGIN:VALARM|ATTACH|UID:bad|LAST-MODIFIED)/.test(line))).toEqual([]);
+    });
+
+    it('should export the session contracts and scheduled content', async () => {
+        setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contracts: JSON.stringify(contracts),
+            session_TESTSESS_contentItems: JSON.stringify(contentItems)
+        }));
+
+        const ics = await exportCalendar(now);
+
+        expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(5);
+        expect(ics).toContain('URL:https://youtu.be/abc');
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for content and engagement manager mutations
+ */
+
+import {
+    addContentItem,
+    updateContentItem,
+    deleteContentItem,
+    loadContentItems,
+    filterContentItems,
+    getContentTags
+} from '../modules/content-manager.js';
+import { addEngagementData, loadEngagementData, saveEngagementData, compactEngagementData, calculateEngagementMetrics } from '../modules/engagement-manager.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+describe('Content manager', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should keep every item when additions run concurrently', async () => {
+        await Promise.all([
+            addContentItem({ title: 'One', url: 'https://example.com/1', platform: 'youtube' }),
+            addContentItem({ title: 'Two', url: 'https://example.com/2', platform: 'youtube' }),
+            addEngagementData({ contentId: 'x', date: '2024-01-01', views: 5 }),
+            addEngagementData({ contentId: 'y', date: '2024-01-01', views: 7 })
+        ]);
+
+        expect((await loadContentItems()).map(item => item.title).sort()).toEqual(['One', 'Two']);
+        expect(await loadEngagementData()).toHaveLength(2);
+    });
+
+    it('should reject concurrent duplicate URLs', async () => {
+        const results = await Promise.allSettled([
+            addContentItem({ title: 'One', url: 'https://example.com/1', platform: 'youtube' }),
+            addContentItem({ title: 'Copy', url: 'example.com/1/', platform: 'youtube' })
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+        expect(await loadContentItems()).toHaveLength(1);
+    });
+
+    it('should update and delete items by ID', async () => {
+        const item = await addContentItem({ title: 'One', url: 'https://example.com/1', platform: 'youtube' });
+
+        const updated = await updateContentItem(item.id, { title: 'Renamed' });
+        expect(updated.title).toBe('Renamed');
+        expect((await loadContentItems())[0].title).toBe('Renamed');
+
+        await addEngagementData({ contentId: item.id, date: '2024-01-01', views: 5 });
+        await addEngagementData({ contentId: 'other', date: '2024-01-01', views: 7 });
+
+        await deleteContentItem(item.id);
+        expect(await loadContentItems()).toEqual([]);
+        expect((await loadEngagementData()).map(record => record.contentId)).toEqual(['other']);
+        await expect(deleteContentItem(item.id)).rejects.toThrow('Content item not found');
+    });
+});
+
+describe('Content editing', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should validate edited fields and reject another item\'s URL', async () => {
+        const item = await addContentItem({ title: 'One', url: 'https://example.com/1', platform: 'youtube' });
+        await addContentItem({ title: 'Two', url: 'https://example.com/2', platform: 'youtube' });
+
+        await expect(updateContentItem(item.id, { title: '  ' })).rejects.toThrow('Missing required field: title');
+        await expect(updateContentItem(item.id, { platform: 'myspace' })).rejects.toThrow('Invalid platform');
+        await expect(updateContentItem(item.id, { duration: '5 minutes' })).rejects.toThrow('Invalid duration');
+        await expect(updateContentItem(item.id, { url: 'www.example.com/2/' })).rejects.toThrow('already exists');
+
+        const updated = await updateContentItem(item.id, {
+            id: 'other',
+            url: 'https://example.com/1',
+            platform: 'linkedin',
+            publishedDate: '2024-02-01',
+            duration: '1:05:00'
+        });
+        expect(updated).toMatchObject({ id: item.id, createdAt: item.createdAt, platform: 'linkedin', duration: '1:05:00' });
+    });
+});
+
+describe('Content tags', () => {
+    const items = [
+        { id: 'c1', title: 'Intro', platform: 'youtube', tags: ['tutorial', 'launch'], createdAt: '2024-01-10T10:00:00Z' },
+        { id: 'c2', title: 'Deep dive', platform: 'youtube', tags: ['tutorial'], createdAt: '2024-02-10T10:00:00Z' },
+        { id: 'c3', title: 'Announcement', platform: 'linkedin', tags: ['launch'], createdAt: '2024-01-20T10:00:00Z' },
+        { id: 'c4', title: 'Untagged', platform: 'youtube', createdAt: '2024-01-15T10:00:00Z' }
+    ];
+
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should store tags trimmed, lower case and without duplicates', async () => {
+        const item = await addContentItem({ title: 'One', url: 'https://example.com/1', platform: 'youtube', tags: [' Launch', 'launch', '', 'Q1'] });
+        expect(item.tags).toEqual(['launch', 'q1']);
+
+        expect((await updateContentItem(item.id, { title: 'Renamed' })).tags).toEqual(['launch', 'q1']);
+        expect((await updateContentItem(item.id, { tags: 'Tutorial, q1' })).tags).toEqual(['tutorial', 'q1']);
+    });
+
+    it('should combine tag filters with the platform and date filters', () => {
+        const ids = (filters) => filterContentItems(items, '', filters).map(item => item.id);
+
+        expect(ids({ tags: ['tutorial'] })).toEqual(['c1', 'c2']);
+        expect(ids({ tags: ['tutorial', 'Launch'] })).toEqual(['c1']);
+        expect(ids({ tags: ['launch'], platform: 'linkedin' })).toEqual(['c3']);
+        expect(ids({ tags: ['tutorial'], startDate: '2024-02-01' })).toEqual(['c2']);
+        expect(filterContentItems(items, 'launch', {}).map(item => item.id)).toEqual(['c1', 'c3']);
+    });
+
+    it('should suggest the most used tags first and total engagement per tag', () => {
+        expect(getContentTags(items)).toEqual(['launch', 'tutorial']);
+
+        const metrics = calculateEngagementMetrics(items, [
+            { contentId: 'c1', date: '2024-03-01', views: 100, likes: 10, comments: 1 },
+            { contentId: 'c2', date: '2024-03-01', views: 50, likes: 5 },
+            { contentId: 'c4', date: '2024-03-01', views: 900 }
+        ]);
+
+        expect(metrics.tagPerformance).toEqual({
+            tutorial: { totalContent: 2, totalViews: 150, totalLikes: 15, totalComments: 1, averageViews: 75 },
+            launch: { totalContent: 2, totalViews: 100, totalLikes: 10, totalComments: 1, averageViews: 50 }
+        });
+    });
+});
+
+describe('Engagement metrics', () => {
+    it('should not count views of deleted content', () => {
+        const metrics = calculateEngagementMetrics(
+            [{ id: 'c1', platform: 'youtube' }],
+            [{ contentId: 'c1', date: '2024-01-01', views: 10 }, { contentId: 'gone', date: '2024-01-01', views: 90 }]
+        );
+
+        expect(metrics.totalViews).toBe(10);
+    });
+});
+
+describe('Engagement compaction', () => {
+    const now = new Date('2024-12-31T12:00:00Z');
+    const snapshot = (id, timestamp, views) => ({
+        id, contentId: 'c1', date: timestamp.split('T')[0], timestamp, views
+    });
+
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should roll old snapshots up per day and per week, keeping the latest counts', async () => {
+        await saveEngagementData([
+            snapshot('w1', '2024-03-04T08:00:00Z', 10),
+            snapshot('w2', '2024-03-06T08:00:00Z', 20),
+            snapshot('d1', '2024-11-01T08:00:00Z', 30),
+            snapshot('d2', '2024-11-01T20:00:00Z', 40),
+            snapshot('r1', '2024-12-30T08:00:00Z', 50)
+        ]);
+
+        const summary = await compactEngagementData({ now });
+        const records = await loadEngagementData();
+
+        expect(summary).toEqual({ before: 5, after: 3, removed: 2 });
+        expect(records.map(r => [r.rollup, r.date, r.views, r.snapshotCount])).toEqual([
+            ['weekly', '2024-03-04', 20, 2],
+            ['daily', '2024-11-01', 40, 2],
+            [undefined, '2024-12-30', 50, undefined]
+        ]);
+
+        expect(await compactEngagementData({ now })).toMatchObject({ removed: 0 });
+    });
+});
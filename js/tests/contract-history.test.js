@@ -0,0 +1,122 @@
+/**
+ * Unit tests for contract revisions
+ */
+
+import { loadContractRevisions, setRevisionAuthor, diffContracts } from '../modules/contract-history.js';
+import {
+    addContract,
+    updateContract,
+    addMilestone,
+    updateMilestone,
+    changeContractStatus,
+    deleteContract,
+    restoreContractRevision,
+    loadContracts
+} from '../modules/contract-manager.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+const contractInput = {
+    projectName: 'Launch video',
+    clientName: 'Acme',
+    value: 1000,
+    startDate: '2024-01-01',
+    endDate: '2024-03-31'
+};
+
+describe('Contract history', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+        setRevisionAuthor('Sam');
+    });
+
+    afterEach(() => {
+        setRevisionAuthor(null);
+    });
+
+    it('should record each change with its author and differences', async () => {
+        const contract = await addContract(contractInput);
+        await updateContract(contract.id, { value: 1500, dueDate: '2024-03-01' });
+        const milestone = await addMilestone(contract.id, { name: 'Deposit', amount: 500 });
+        await updateMilestone(contract.id, milestone.id, { amount: 750 });
+        await updateContract(contract.id, { value: 1500 });
+
+        const revisions = await loadContractRevisions(contract.id);
+
+        expect(revisions.map(r => [r.number, r.action, r.author])).toEqual([
+            [1, 'created', 'Sam'],
+            [2, 'updated', 'Sam'],
+            [3, 'updated', 'Sam'],
+            [4, 'updated', 'Sam']
+        ]);
+        expect(revisions[1].changes).toEqual([
+            { path: 'value', label: 'Value', from: 1000, to: 1500 },
+            { path: 'dueDate', label: 'Due date', from: null, to: '2024-03-01' }
+        ]);
+        expect(revisions[2].changes).toEqual([
+            expect.objectContaining({ label: 'Milestone "Deposit"', from: null, to: expect.objectContaining({ amount: 500 }) })
+        ]);
+        expect(revisions[3].changes).toEqual([
+            { path: `milestones.${milestone.id}.amount`, label: 'Milestone "Deposit" amount', from: 500, to: 750 }
+        ]);
+        expect(revisions[3].snapshot.milestones[0].amount).toBe(750);
+    });
+
+    it('should restore terms but keep the status and billing of the contract', async () => {
+        const contract = await addContract({ ...contractInput, status: 'active' });
+        const milestone = await addMilestone(contract.id, { name: 'Deposit', amount: 500 });
+        await updateContract(contract.id, { value: 2000 });
+        await updateMilestone(contract.id, milestone.id, { amount: 800, invoiceRef: 'INV-0001' });
+        await changeContractStatus(contract.id, 'delivered');
+
+        const restored = await restoreContractRevision(contract.id, 2);
+
+        expect(restored).toMatchObject({ value: 1000, status: 'delivered' });
+        expect(restored.milestones).toEqual([{ id: milestone.id, name: 'Deposit', amount: 500, invoiceRef: 'INV-0001' }]);
+        const revisions = await loadContractRevisions(contract.id);
+        expect(revisions[revisions.length - 1]).toMatchObject({ number: 6, action: 'restored', restoredFrom: 2 });
+        expect(revisions[revisions.length - 1].changes.map(change => change.label)).toEqual(['Value', 'Milestone "Deposit" amount']);
+    });
+
+    it('should bring back a deleted contract', async () => {
+        const contract = await addContract(contractInput);
+        await deleteContract(contract.id);
+
+        const revisions = await loadContractRevisions(contract.id);
+        expect(revisions[1]).toMatchObject({ action: 'deleted', snapshot: null });
+        await expect(restoreContractRevision(contract.id, 2)).rejects.toMatchObject({ code: 'REVISION_NOT_FOUND' });
+
+        await restoreContractRevision(contract.id, 1);
+        expect((await loadContracts()).map(c => c.id)).toEqual([contract.id]);
+    });
+
+    it('should not store a change whose revision could not be recorded', async () => {
+        const driver = createMemoryDriver();
+        setStorageDriver(driver);
+        const contract = await addContract(contractInput);
+
+        const set = driver.set;
+        driver.set = jest.fn((key, value) => key.endsWith('contractRevisions')
+            ? Promise.reject(new Error('Quota exceeded'))
+            : set.call(driver, key, value));
+
+        await expect(updateContract(contract.id, { value: 2000 })).rejects.toThrow('Quota exceeded');
+        driver.set = set;
+        expect((await loadContracts())[0].value).toBe(1000);
+        expect(await loadContractRevisions(contract.id)).toHaveLength(1);
+    });
+
+    it('should match list records by ID when diffing', () => {
+        const before = { id: 'c1', kpiTargets: [{ id: 'k1', metric: 'views', target: 100, windowDays: 30 }], updatedAt: 'a' };
+        const after = { id: 'c1', kpiTargets: [{ id: 'k1', metric: 'views', target: 200, windowDays: 30 }], updatedAt: 'b' };
+
+        expect(diffContracts(before, after)).toEqual([
+            { path: 'kpiTargets.k1.target', label: 'KPI target "views" target', from: 100, to: 200 }
+        ]);
+        expect(diffContracts(before, { ...before, updatedAt: 'c' })).toEqual([]);
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * Unit tests for contract management
+ */
+
+import {
+    addContract,
+    updateContract,
+    loadContracts,
+    normalizeContractData,
+    changeContractStatus,
+    getStatusTimestamp,
+    addDeliverable,
+    attachContent,
+    getDeliverableProgress,
+    parseDeliverables,
+    addKpiTarget,
+    getKpiProgress,
+    addMilestone,
+    markMilestonePaid,
+    getPaymentSchedule,
+    getPaymentTotals
+} from '../modules/contract-manager.js';
+import { deleteContentItem, loadContentItems } from '../modules/content-manager.js';
+import { setStorageDriver, loadAllSessionData } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+const contractInput = {
+    projectName: ' Launch video ',
+    clientName: 'Acme',
+    value: '1500.50',
+    startDate: '2024-01-01',
+    endDate: '2024-03-31',
+    dueDate: ''
+};
+
+describe('Contracts', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should store contracts in the unified model', async () => {
+        const contract = await addContract(contractInput);
+
+        expect(contract).toMatchObject({ projectName: 'Launch video', clientName: 'Acme', value: 1500.5, currency: 'USD' });
+        await expect(addContract({ ...contractInput, currency: 'gbp' })).resolves.toMatchObject({ currency: 'GBP' });
+        expect(contract).not.toHaveProperty('dueDate');
+        expect(contract.updatedAt).toBe(contract.createdAt);
+        expect((await loadContracts())[0]).toEqual(contract);
+    });
+
+    it('should reject invalid contracts', async () => {
+        await expect(addContract({ ...contractInput, clientName: '' })).rejects.toThrow('clientName');
+        await expect(addContract({ ...contractInput, currency: 'EURO' })).rejects.toThrow('currency');
+        await expect(addContract({ ...contractInput, value: 'abc' })).rejects.toThrow('value');
+        await expect(addContract({ ...contractInput, endDate: '2023-12-31' })).rejects.toThrow('End date');
+        expect(await loadContracts()).toEqual([]);
+    });
+
+    it('should validate updates against the merged contract', async () => {
+        const contract = await addContract(contractInput);
+
+        await expect(updateContract(contract.id, { startDate: '2024-06-01' })).rejects.toThrow('End date');
+        const updated = await updateContract(contract.id, { value: '2000' });
+        expect(updated.value).toBe(2000);
+    });
+
+    it('should start contracts as drafts with a status history', async () => {
+        const contract = await addContract(contractInput);
+
+        expect(contract.status).toBe('draft');
+        expect(contract.statusHistory).toEqual([{ from: null, to: 'draft', at: contract.createdAt }]);
+        await expect(addContract({ ...contractInput, status: 'paid' })).rejects.toMatchObject({ code: 'INVALID_CONTRACT_STATUS' });
+    });
+
+    it('should enforce the transition table and record each transition', async () => {
+        const contract = await addContract(contractInput);
+
+        await expect(changeContractStatus(contract.id, 'paid')).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        await expect(changeContractStatus(contract.id, 'done')).rejects.toMatchObject({ code: 'INVALID_CONTRACT_STATUS' });
+
+        await changeContractStatus(contract.id, 'active');
+        const delivered = await changeContractStatus(contract.id, 'delivered');
+
+        expect(delivered.statusHistory.map(entry => [entry.from, entry.to])).toEqual([
+            [null, 'draft'], ['draft', 'active'], ['active', 'delivered']
+        ]);
+        expect(getStatusTimestamp(delivered, 'delivered')).toBe(delivered.updatedAt);
+        expect(getStatusTimestamp(delivered, 'paid')).toBeNull();
+    });
+
+    it('should not let updates overwrite the status history', async () => {
+        const contract = await addContract(contractInput);
+
+        const updated = await updateContract(contract.id, { statusHistory: [], description: 'Edited' });
+        expect(updated.statusHistory).toEqual(contract.statusHistory);
+    });
+
+    it('should map the legacy name and client fields', () => {
+        expect(normalizeContractData({ name: 'Old project', client: 'Old client' }))
+            .toEqual({ projectName: 'Old project', clientName: 'Old client' });
+    });
+
+    it('should include contracts in the full session data', async () => {
+        const contract = await addContract(contractInput);
+
+        const data = await loadAllSessionData();
+        expect(data.contracts).toEqual([contract]);
+    });
+});
+
+describe('Deliverables', () => {
+    let contract;
+
+    beforeEach(async () => {
+        setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contentItems: JSON.stringify([
+                { id: 'v1', platform: 'youtube', title: 'Video 1' },
+                { id: 'v2', platform: 'youtube', title: 'Video 2' },
+                { id: 'b1', platform: 'servicenow', title: 'Blog' }
+            ])
+        }));
+        contract = await addContract({ ...contractInput, deliverables: '2 YouTube videos, 1 ServiceNow blog' });
+    });
+
+    it('should parse free-text deliverables into records', () => {
+        expect(contract.deliverables.map(d => [d.type, d.quantity, d.description])).toEqual([
+            ['youtube', 2, 'YouTube videos'],
+            ['servicenow', 1, 'ServiceNow blog']
+        ]);
+        expect(parseDeliverables('Podcast episode')[0]).toMatchObject({ type: 'other', quantity: 1 });
+    });
+
+    it('should show fulfilled and outstanding work from attached content', async () => {
+        const [videos, blog] = contract.deliverables;
+        await attachContent(contract.id, videos.id, 'v1');
+        await attachContent(contract.id, blog.id, 'b1');
+
+        const [stored] = await loadContracts();
+        const progress = getDeliverableProgress(stored, await loadContentItems());
+        expect(progress).toMatchObject({ required: 3, fulfilled: 2, outstanding: 1 });
+        expect(progress.deliverables[0].contentItems.map(item => item.id)).toEqual(['v1']);
+    });
+
+    it('should reject content that does not match the deliverable', async () => {
+        const [videos] = contract.deliverables;
+
+        await expect(attachContent(contract.id, videos.id, 'b1')).rejects.toMatchObject({ code: 'DELIVERABLE_TYPE_MISMATCH' });
+        await expect(attachContent(contract.id, videos.id, 'missing')).rejects.toMatchObject({ code: 'CONTENT_NOT_FOUND' });
+        await expect(addDeliverable(contract.id, { type: 'youtube', quantity: 0 })).rejects.toMatchObject({ code: 'INVALID_DELIVERABLE' });
+    });
+
+    it('should flag outstanding deliverables past their due date', async () => {
+        await addDeliverable(contract.id, { type: 'linkedin', quantity: 1, dueDate: '2024-02-01' });
+
+        const [stored] = await loadContracts();
+        const progress = getDeliverableProgress(stored, [], new Date('2024-03-01T00:00:00Z'));
+        expect(progress.overdue).toBe(1);
+    });
+
+    it('should detach deleted content so the work is outstanding again', async () => {
+        const [videos] = contract.deliverables;
+        await attachContent(contract.id, videos.id, 'v1');
+
+        await deleteContentItem('v1');
+
+        const [stored] = await loadContracts();
+        expect(stored.deliverables[0].contentIds).toEqual([]);
+    });
+});
+
+describe('KPI targets', () => {
+    const contentItems = [
+        { id: 'v1', platform: 'youtube', duration: '10:00' },
+        { id: 'v2', platform: 'youtube' }
+    ];
+    const engagementData = [
+        { id: 'e1', contentId: 'v1', date: '2023-12-31T00:00:00Z', views: 1000, likes: 10 },
+        { id: 'e2', contentId: 'v1', date: '2024-01-15T00:00:00Z', views: 6000, likes: 60 },
+        { id: 'e3', contentId: 'v2', date: '2024-01-20T00:00:00Z', views: 5000, likes: 20 },
+        { id: 'e4', contentId: 'v2', date: '2024-03-15T00:00:00Z', views: 90000, likes: 900 }
+    ];
+    const contract = {
+        startDate: '2024-01-01',
+        deliverables: [{ id: 'd1', type: 'youtube', quantity: 2, contentIds: ['v1', 'v2'] }],
+        kpiTargets: [
+            { id: 'k1', metric: 'views', target: 10000, windowDays: 60 },
+            { id: 'k2', metric: 'likes', target: 1000, windowDays: 60 }
+        ]
+    };
+
+    it('should count engagement earned inside the window on linked content', () => {
+        const progress = getKpiProgress(contract, contentItems, engagementData, new Date('2024-01-31T00:00:00Z'));
+
+        // 5000 gained on v1 (6000 - baseline 1000) plus 5000 on v2
+        expect(progress.targets[0]).toMatchObject({ actual: 10000, status: 'met' });
+        expect(progress.targets[1]).toMatchObject({ actual: 70, status: 'at-risk' });
+        expect(progress.health).toBe('at-risk');
+    });
+
+    it('should ignore snapshots after the window and flag missed targets', () => {
+        const progress = getKpiProgress(contract, contentItems, engagementData, new Date('2024-04-01T00:00:00Z'));
+
+        expect(progress.targets[1]).toMatchObject({ actual: 70, status: 'missed' });
+        expect(progress.health).toBe('missed');
+    });
+
+    it('should derive watch hours from video views', () => {
+        const watchContract = { ...contract, kpiTargets: [{ id: 'k3', metric: 'watchHours', target: 100, windowDays: 60 }] };
+        const progress = getKpiProgress(watchContract, [contentItems[0]], engagementData, new Date('2024-01-10T00:00:00Z'));
+
+        // Nothing after the baseline yet, with a third of the window gone
+        expect(progress.targets[0]).toMatchObject({ actual: 0, status: 'at-risk' });
+        const later = getKpiProgress(watchContract, [contentItems[0]], engagementData, new Date('2024-01-16T00:00:00Z'));
+        expect(later.targets[0].actual).toBeCloseTo(5000 * (10 / 60) * 0.4);
+    });
+
+    it('should validate and store targets on contracts', async () => {
+        setStorageDriver(createMemoryDriver());
+        const stored = await addContract(contractInput);
+
+        await expect(addKpiTarget(stored.id, { metric: 'shares', target: 10, windowDays: 30 })).rejects.toMatchObject({ code: 'INVALID_KPI_TARGET' });
+        const kpiTarget = await addKpiTarget(stored.id, { metric: 'views', target: '50000', windowDays: '60' });
+
+        expect(kpiTarget).toMatchObject({ metric: 'views', target: 50000, windowDays: 60 });
+        expect((await loadContracts())[0].kpiTargets).toEqual([kpiTarget]);
+    });
+});
+
+describe('Payment schedule', () => {
+    const now = new Date('2024-03-01T00:00:00Z');
+    const contract = {
+        value: 3000,
+        status: 'delivered',
+        milestones: [
+            { id: 'm1', name: 'Deposit', amount: 1000, dueDate: '2024-01-01', paidDate: '2024-01-03', invoiceRef: 'INV-1' },
+            { id: 'm2', name: 'On delivery', amount: 1000, dueDate: '2024-02-15' },
+            { id: 'm3', name: 'Net 30 after publish', amount: 500 }
+        ]
+    };
+
+    it('should total received, outstanding and overdue money', () => {
+        const schedule = getPaymentSchedule(contract, now);
+
+        expect(schedule.milestones.map(m => m.status)).toEqual(['paid', 'overdue', 'unscheduled']);
+        expect(schedule).toMatchObject({ scheduled: 2500, received: 1000, outstanding: 1500, overdue: 1000, unscheduledValue: 500 });
+    });
+
+    it('should not count money owed on cancelled contracts', () => {
+        const totals = getPaymentTotals([contract, { ...contract, status: 'cancelled' }], now);
+
+        expect(totals).toEqual({ received: { USD: 2000 }, outstanding: { USD: 1500 }, overdue: { USD: 1000 } });
+    });
+
+    it('should keep totals per currency', () => {
+        const totals = getPaymentTotals([{ ...contract, currency: 'USD' }, { ...contract, currency: 'EUR' }], now);
+
+        expect(totals.outstanding).toEqual({ USD: 1500, EUR: 1500 });
+    });
+
+    it('should store milestones and record payments', async () => {
+        setStorageDriver(createMemoryDriver());
+        const stored = await addContract(contractInput);
+
+        await expect(addMilestone(stored.id, { name: '', amount: 10 })).rejects.toMatchObject({ code: 'INVALID_MILESTONE' });
+        const milestone = await addMilestone(stored.id, { name: 'Deposit', amount: '750', dueDate: '2024-01-15', invoiceRef: '' });
+        expect(milestone).toEqual({ id: milestone.id, name: 'Deposit', amount: 750, dueDate: '2024-01-15' });
+
+        const paid = await markMilestonePaid(stored.id, milestone.id, '2024-01-20');
+        expect(paid.paidDate).toBe('2024-01-20');
+        expect((await loadContracts())[0].milestones).toEqual([paid]);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for currency formatting and conversion
+ */
+
+import {
+    formatCurrency,
+    formatCurrencyAmounts,
+    isValidCurrency,
+    convertAmounts,
+    saveExchangeRates,
+    loadExchangeRates
+} from '../modules/currency.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+describe('Currency', () => {
+    it('should format amounts in their own currency', () => {
+        expect(formatCurrency(1234.5, 'USD')).toContain('1,234.50');
+        expect(formatCurrency(10, 'EUR')).toContain('€');
+        expect(formatCurrency(10, 'GBP')).toContain('£');
+        expect(formatCurrency(null)).toBe('-');
+        expect(formatCurrencyAmounts({ USD: 5, EUR: 0, GBP: 2 })).toMatch(/\$5\.00 \+ £2\.00/);
+    });
+
+    it('should only accept ISO currency codes', () => {
+        expect(isValidCurrency('EUR')).toBe(true);
+        expect(isValidCurrency('eur')).toBe(false);
+        expect(isValidCurrency('EURO')).toBe(false);
+    });
+
+    it('should convert per-currency totals and report missing rates', () => {
+        const exchangeRates = { base: 'USD', rates: { EUR: 1.1 } };
+
+        expect(convertAmounts({ USD: 100, EUR: 100 }, exchangeRates)).toEqual({ amount: 210, currency: 'USD', missing: [] });
+        expect(convertAmounts({ USD: 100, GBP: 50 }, exchangeRates)).toEqual({ amount: 100, currency: 'USD', missing: ['GBP'] });
+    });
+
+    it('should store validated exchange rates in the session', async () => {
+        setStorageDriver(createMemoryDriver());
+
+        await expect(saveExchangeRates({ base: 'USD', rates: { EUR: '-1' } })).rejects.toThrow('EUR');
+        await saveExchangeRates({ base: 'GBP', rates: { EUR: '0.86', USD: '', GBP: '1' } });
+
+        expect(await loadExchangeRates()).toEqual({ base: 'GBP', rates: { EUR: 0.86 } });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for invoice generation
+ */
+
+import {
+    createInvoice,
+    markInvoicePaid,
+    voidInvoice,
+    loadInvoices,
+    saveInvoiceSettings,
+    renderInvoiceHtml,
+    invoicesToCsv
+} from '../modules/invoice-manager.js';
+import { addContract, addMilestone, changeContractStatus, loadContracts, removeMilestone } from '../modules/contract-manager.js';
+import { setStorageDriver, getStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+describe('Invoices', () => {
+    let contract;
+    let deposit;
+    let final;
+
+    beforeEach(async () => {
+        setStorageDriver(createMemoryDriver());
+        contract = await addContract({
+            projectName: 'Launch video',
+            clientName: 'Acme <Media>',
+            value: 3000,
+            startDate: '2024-01-01',
+            endDate: '2024-03-31',
+            status: 'active'
+        });
+        deposit = await addMilestone(contract.id, { name: 'Deposit', amount: 1000 });
+        final = await addMilestone(contract.id, { name: 'On delivery', amount: 2000 });
+    });
+
+    it('should number invoices sequentially with the configured prefix', async () => {
+        await saveInvoiceSettings({ prefix: 'ACME-', taxRate: 20 });
+
+        const first = await createInvoice(contract.id, [deposit.id], { issueDate: '2024-01-05' });
+        const second = await createInvoice(contract.id, [final.id], { issueDate: '2024-01-06', taxRate: 0 });
+
+        expect(first).toMatchObject({ number: 'ACME-0001', subtotal: 1000, taxRate: 20, tax: 200, total: 1200, dueDate: '2024-02-04' });
+        expect(first.lineItems).toEqual([
+            { milestoneId: deposit.id, description: 'Launch video - Deposit', quantity: 1, unitPrice: 1000, amount: 1000 }
+        ]);
+        expect(second).toMatchObject({ number: 'ACME-0002', total: 2000 });
+        expect(await loadInvoices()).toHaveLength(2);
+    });
+
+    it('should track invoices on the payment schedule and refuse double billing', async () => {
+        await changeContractStatus(contract.id, 'delivered');
+        const invoice = await createInvoice(contract.id, [deposit.id, final.id]);
+
+        let [stored] = await loadContracts();
+        expect(stored.status).toBe('invoiced');
+        expect(stored.milestones.map(m => m.invoiceRef)).toEqual([invoice.number, invoice.number]);
+        await expect(createInvoice(contract.id, [deposit.id])).rejects.toMatchObject({ code: 'MILESTONE_ALREADY_INVOICED' });
+
+        await markInvoicePaid(invoice.id, '2024-02-01');
+
+        [stored] = await loadContracts();
+        expect(stored.status).toBe('paid');
+        expect(stored.milestones.map(m => m.paidDate)).toEqual(['2024-02-01', '2024-02-01']);
+        await expect(voidInvoice(invoice.id)).rejects.toMatchObject({ code: 'INVOICE_CLOSED' });
+    });
+
+    it('should bill a milestone once when invoices are created concurrently', async () => {
+        const results = await Promise.allSettled([
+            createInvoice(contract.id, [deposit.id]),
+            createInvoice(contract.id, [deposit.id])
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.code).toBe('MILESTONE_ALREADY_INVOICED');
+        const invoices = await loadInvoices();
+        expect(invoices).toHaveLength(1);
+        expect(invoices[0].number).toBe('INV-0001');
+        // The refused invoice did not use up a number
+        expect((await createInvoice(contract.id, [final.id])).number).toBe('INV-0002');
+        const [stored] = await loadContracts();
+        expect(stored.milestones.find(m => m.id === deposit.id).invoiceRef).toBe(invoices[0].number);
+
+        await expect(removeMilestone(contract.id, deposit.id)).rejects.toMatchObject({ code: 'MILESTONE_INVOICED' });
+        await voidInvoice(invoices[0].id);
+        await expect(removeMilestone(contract.id, deposit.id)).resolves.toBe(true);
+    });
+
+    it('should reopen an invoice when its milestones cannot be marked paid', async () => {
+        const invoice = await createInvoice(contract.id, [deposit.id, final.id]);
+        const driver = getStorageDriver();
+        const set = driver.set;
+        let contractWrites = 0;
+        driver.set = jest.fn((key, value) => key.endsWith('_contracts') && ++contractWrites === 2
+            ? Promise.reject(new Error('Quota exceeded'))
+            : set.call(driver, key, value));
+
+        await expect(markInvoicePaid(invoice.id, '2024-02-01')).rejects.toThrow('Quota exceeded');
+        driver.set = set;
+
+        const [stored] = await loadInvoices();
+        expect(stored.status).toBe('issued');
+        expect(stored.paidDate).toBeUndefined();
+        expect((await loadContracts())[0].milestones.map(m => m.paidDate)).toEqual([undefined, undefined]);
+        await expect(markInvoicePaid(invoice.id, '2024-02-01')).resolves.toMatchObject({ status: 'paid' });
+    });
+
+    it('should free milestones of voided invoices without reusing the number', async () => {
+        const invoice = await createInvoice(contract.id, [deposit.id]);
+        await voidInvoice(invoice.id);
+
+        const [stored] = await loadContracts();
+        expect(stored.milestones[0].invoiceRef).toBeUndefined();
+        const replacement = await createInvoice(contract.id, [deposit.id]);
+        expect(replacement.number).toBe('INV-0002');
+    });
+
+    it('should render escaped HTML and CSV line items', async () => {
+        const invoice = await createInvoice(contract.id, [deposit.id, final.id], { issueDate: '2024-01-05' });
+
+        const html = renderInvoiceHtml(invoice);
+        expect(html).toContain('Invoice INV-0001');
+        expect(html).toContain('Acme &lt;Media&gt;');
+        expect(html).toContain('$3,000.00');
+
+        const lines = invoicesToCsv([invoice]).split('\r\n');
+        expect(lines).toHaveLength(3);
+        expect(lines[0]).toBe('number,status,issueDate,dueDate,clientName,projectName,currency,description,quantity,unitPrice,amount,subtotal,taxRate,tax,total');
+        expect(lines[1]).toBe('INV-0001,issued,2024-01-05,2024-02-04,Acme <Media>,Launch video,USD,Launch video - Deposit,1,1000,1000,3000,0,0,3000');
+    });
+
+    it('should bill in the contract currency', async () => {
+        const euroContract = await addContract({
+            projectName: 'Blog series',
+            clientName: 'Euro GmbH',
+            value: 500,
+            currency: 'EUR',
+            startDate: '2024-01-01',
+            endDate: '2024-03-31'
+        });
+        const milestone = await addMilestone(euroContract.id, { name: 'Deposit', amount: 500 });
+
+        const invoice = await createInvoice(euroContract.id, [milestone.id]);
+        expect(invoice.currency).toBe('EUR');
+        expect(renderInvoiceHtml(invoice)).toContain('€500.00');
+    });
+});
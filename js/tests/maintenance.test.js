@@ -0,0 +1,56 @@
+/**
+ * Unit tests for data maintenance
+ */
+
+import { runMaintenance } from '../modules/maintenance.js';
+import { setStorageDriver, loadSessionData } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+describe('runMaintenance', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contentItems: JSON.stringify([
+                { id: 'c1', platform: 'youtube', updatedAt: '2024-01-01T00:00:00Z' },
+                { id: 'c1', platform: 'youtube', title: 'Newer', updatedAt: '2024-02-01T00:00:00Z' },
+                { id: 'c2', platform: 'myspace' }
+            ]),
+            session_TESTSESS_engagementData: JSON.stringify([
+                { id: 'e1', contentId: 'c1', platform: 'youtube', views: 1 },
+                { id: 'e2', contentId: 'gone', platform: 'youtube', views: 2 },
+                { id: 'e3', contentId: 'c1', platform: 'tiktok', views: 3 }
+            ])
+        }));
+    });
+
+    it('should report orphans, duplicate IDs and invalid platforms without changing data', async () => {
+        const report = await runMaintenance();
+
+        expect(report).toMatchObject({
+            orphanedEngagement: ['e2'],
+            duplicateIds: { contentItems: ['c1'], engagementData: [], contracts: [] },
+            invalidPlatforms: { contentItems: ['c2'], engagementData: ['e3'] },
+            issueCount: 4,
+            fixed: false
+        });
+        expect(await loadSessionData('engagementData', [])).toHaveLength(3);
+    });
+
+    it('should repair what it can when asked to fix', async () => {
+        const report = await runMaintenance({ fix: true });
+
+        expect(report.fixed).toBe(true);
+        expect(await loadSessionData('contentItems', [])).toEqual([
+            { id: 'c1', platform: 'youtube', title: 'Newer', updatedAt: '2024-02-01T00:00:00Z' },
+            { id: 'c2', platform: 'myspace' }
+        ]);
+        expect((await loadSessionData('engagementData', [])).map(r => [r.id, r.platform])).toEqual([
+            ['e1', 'youtube'],
+            ['e3', 'youtube']
+        ]);
+        expect((await runMaintenance()).issueCount).toBe(1);
+    });
+});
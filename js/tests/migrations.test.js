@@ -0,0 +1,101 @@
+/**
+ * Unit tests for storage schema migrations
+ */
+
+import { MIGRATIONS, SCHEMA_VERSION, runMigrations, migrateSnapshot } from '../modules/migrations.js';
+
+describe('Schema migrations', () => {
+    it('should register migrations in strictly increasing version order', () => {
+        const versions = MIGRATIONS.map(migration => migration.version);
+        versions.forEach((version, index) => {
+            expect(version).toBe(index + 1);
+        });
+        expect(SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+    });
+
+    it('should rename legacy content "name" fields to "title"', async () => {
+        const migrated = await migrateSnapshot({
+            contentItems: [
+                { id: 'a', name: 'Legacy video', platform: 'youtube' },
+                { id: 'b', title: 'Current post', platform: 'linkedin' }
+            ]
+        }, 0);
+
+        expect(migrated.contentItems[0]).toEqual({ id: 'a', title: 'Legacy video', platform: 'youtube' });
+        expect(migrated.contentItems[1].title).toBe('Current post');
+    });
+
+    it('should map dashboard-era contract fields to the unified model', async () => {
+        const migrated = await migrateSnapshot({
+            contracts: [{ id: 'c', name: 'Launch video', client: 'Acme', value: '1500', userId: 'u1', createdAt: '2024-01-01T00:00:00Z' }]
+        }, 1);
+
+        expect(migrated.contracts[0]).toEqual({
+            id: 'c',
+            projectName: 'Launch video',
+            clientName: 'Acme',
+            value: 1500,
+            createdAt: '2024-01-01T00:00:00Z',
+            updatedAt: '2024-01-01T00:00:00Z',
+            status: 'draft',
+            statusHistory: [{ from: null, to: 'draft', at: '2024-01-01T00:00:00Z' }],
+            deliverables: [],
+            currency: 'USD'
+        });
+    });
+
+    it('should map legacy contract statuses onto the lifecycle', async () => {
+        const migrated = await migrateSnapshot({
+            contracts: [
+                { id: 'a', status: 'pending', updatedAt: '2024-01-01T00:00:00Z' },
+                { id: 'b', status: 'completed', updatedAt: '2024-01-02T00:00:00Z' },
+                { id: 'c', status: 'active', updatedAt: '2024-01-03T00:00:00Z' },
+                { id: 'd', status: 'unknown' }
+            ]
+        }, 2);
+
+        expect(migrated.contracts.map(contract => contract.status)).toEqual(['draft', 'delivered', 'active', 'draft']);
+        expect(migrated.contracts[1].statusHistory).toEqual([{ from: null, to: 'delivered', at: '2024-01-02T00:00:00Z' }]);
+    });
+
+    it('should keep free-text deliverables as a single deliverable record', async () => {
+        const migrated = await migrateSnapshot({
+            contracts: [
+                { id: 'a', deliverables: '2 videos and a blog' },
+                { id: 'b', deliverables: '' }
+            ]
+        }, 3);
+
+        expect(migrated.contracts[0].deliverables).toEqual([
+            { id: 'deliverable_a_1', type: 'other', quantity: 1, description: '2 videos and a blog', contentIds: [] }
+        ]);
+        expect(migrated.contracts[1].deliverables).toEqual([]);
+    });
+
+    it('should mark existing contracts and invoices as USD', async () => {
+        const migrated = await migrateSnapshot({
+            contracts: [{ id: 'a' }, { id: 'b', currency: 'EUR' }],
+            invoices: [{ id: 'i' }]
+        }, 4);
+
+        expect(migrated.contracts.map(contract => contract.currency)).toEqual(['USD', 'EUR']);
+        expect(migrated.invoices[0].currency).toBe('USD');
+    });
+
+    it('should skip migrations at or below the starting version', async () => {
+        const store = { load: jest.fn().mockResolvedValue(null), save: jest.fn() };
+        const version = await runMigrations(store, SCHEMA_VERSION);
+
+        expect(version).toBe(SCHEMA_VERSION);
+        expect(store.load).not.toHaveBeenCalled();
+    });
+
+    it('should report each applied version through the step callback', async () => {
+        const store = { load: jest.fn().mockResolvedValue([]), save: jest.fn().mockResolvedValue() };
+        const onStep = jest.fn();
+
+        await runMigrations(store, 0, onStep);
+
+        expect(onStep.mock.calls.map(call => call[0])).toEqual(MIGRATIONS.map(m => m.version));
+    });
+});
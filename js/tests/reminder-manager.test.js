@@ -0,0 +1,118 @@
+/**
+ * Unit tests for contract reminders
+ */
+
+import {
+    findDueReminders,
+    evaluateReminders,
+    loadAlerts,
+    markAlertsRead,
+    loadReminderSettings,
+    saveReminderSettings,
+    DEFAULT_REMINDER_SETTINGS
+} from '../modules/reminder-manager.js';
+import { addContract, addMilestone, markMilestonePaid } from '../modules/contract-manager.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const contract = {
+    id: 'c1',
+    projectName: 'Launch video',
+    status: 'active',
+    startDate: '2024-01-01',
+    endDate: '2024-03-15',
+    deliverables: [
+        { id: 'd1', type: 'youtube', quantity: 2, description: 'YouTube videos', dueDate: '2024-03-12', contentIds: ['v1'] },
+        { id: 'd2', type: 'youtube', quantity: 1, description: 'Teaser', dueDate: '2024-03-12', contentIds: ['v2'] },
+        { id: 'd3', type: 'youtube', quantity: 1, description: 'Recap', dueDate: '2024-04-30', contentIds: [] }
+    ],
+    milestones: [
+        { id: 'm1', name: 'Deposit', amount: 500, dueDate: '2024-03-01' },
+        { id: 'm2', name: 'Final', amount: 500, dueDate: '2024-03-10', paidDate: '2024-03-09' }
+    ]
+};
+
+const contentItems = [{ id: 'v1', platform: 'youtube' }, { id: 'v2', platform: 'youtube' }];
+
+describe('Reminders', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver());
+    });
+
+    it('should remind about dates within their lead time and overdue ones', () => {
+        const reminders = findDueReminders([contract], contentItems, DEFAULT_REMINDER_SETTINGS, now);
+
+        expect(reminders.map(r => [r.kind, r.itemId, r.level])).toEqual([
+            ['deliverable', 'd1', 'upcoming'],
+            ['payment', 'm1', 'overdue'],
+            ['contractEnd', null, 'upcoming']
+        ]);
+        expect(reminders[0]).toMatchObject({
+            id: 'deliverable:c1:d1:2024-03-12:upcoming',
+            title: 'Deliverable due soon',
+            message: 'Launch video - 1 of 2 YouTube videos outstanding, in 2 days (2024-03-12)'
+        });
+        expect(reminders[1].message).toBe('Launch video - payment "Deposit", overdue since 2024-03-01');
+
+        const settings = { ...DEFAULT_REMINDER_SETTINGS, leadDays: { ...DEFAULT_REMINDER_SETTINGS.leadDays, deliverable: 1, contractEnd: 0 } };
+        expect(findDueReminders([contract], contentItems, settings, now).map(r => r.kind)).toEqual(['payment']);
+        expect(findDueReminders([{ ...contract, status: 'cancelled' }], contentItems, settings, now)).toEqual([]);
+    });
+
+    it('should alert each reminder once and drop read alerts that no longer apply', async () => {
+        const stored = await addContract({
+            projectName: 'Blog series',
+            clientName: 'Acme',
+            startDate: '2024-01-01',
+            endDate: '2024-12-31',
+            status: 'active'
+        });
+        const milestone = await addMilestone(stored.id, { name: 'Deposit', amount: 500, dueDate: '2024-03-11' });
+
+        const added = await evaluateReminders(now);
+        expect(added).toHaveLength(1);
+        expect(added[0]).toMatchObject({ kind: 'payment', read: false, createdAt: now.toISOString() });
+        expect(await evaluateReminders(now)).toEqual([]);
+
+        // Becoming overdue is a new alert, which replaces the upcoming one
+        expect((await evaluateReminders(new Date('2024-03-12T12:00:00Z')))[0].level).toBe('overdue');
+        expect((await loadAlerts()).map(alert => alert.level)).toEqual(['overdue']);
+
+        await markAlertsRead();
+        await markMilestonePaid(stored.id, milestone.id, '2024-03-12');
+        await evaluateReminders(new Date('2024-03-12T12:00:00Z'));
+        expect(await loadAlerts()).toEqual([]);
+    });
+
+    it('should drop unread alerts whose reminder no longer applies', async () => {
+        const stored = await addContract({
+            projectName: 'Blog series',
+            clientName: 'Acme',
+            startDate: '2024-01-01',
+            endDate: '2024-12-31',
+            status: 'active'
+        });
+        const milestone = await addMilestone(stored.id, { name: 'Deposit', amount: 500, dueDate: '2024-03-01' });
+
+        expect(await evaluateReminders(now)).toHaveLength(1);
+        await markMilestonePaid(stored.id, milestone.id, '2024-03-10');
+        await evaluateReminders(now);
+        expect(await loadAlerts()).toEqual([]);
+    });
+
+    it('should validate reminder settings', async () => {
+        await expect(saveReminderSettings({ leadDays: { payment: -1 } })).rejects.toThrow('payment');
+        await expect(saveReminderSettings({ intervalMinutes: 0 })).rejects.toThrow('interval');
+
+        await saveReminderSettings({ leadDays: { payment: '7' }, browserNotifications: true });
+        const settings = await loadReminderSettings();
+        expect(settings.leadDays).toEqual({ ...DEFAULT_REMINDER_SETTINGS.leadDays, payment: 7 });
+        expect(settings.browserNotifications).toBe(true);
+    });
+});
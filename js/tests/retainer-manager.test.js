@@ -0,0 +1,121 @@
+/**
+ * Unit tests for recurring retainer contracts
+ */
+
+import { getRetainerPeriods, generateRetainerPeriods, getRetainerHistory } from '../modules/retainer-manager.js';
+import { addContract, attachContent, loadContracts } from '../modules/contract-manager.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+const retainerInput = {
+    projectName: 'LinkedIn retainer',
+    clientName: 'Acme',
+    value: 6000,
+    startDate: '2024-01-31',
+    endDate: '2024-06-29',
+    status: 'active',
+    recurrence: { frequency: 'monthly', quota: '4 LinkedIn posts', amount: 1000, paymentDueDays: 15 }
+};
+
+const contentItems = ['p1', 'p2', 'p3', 'p4', 'p5'].map(id => ({ id, platform: 'linkedin', title: id }));
+
+describe('Retainers', () => {
+    beforeEach(() => {
+        setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contentItems: JSON.stringify(contentItems)
+        }));
+    });
+
+    it('should anchor periods to the start date and clamp to month ends', () => {
+        const periods = getRetainerPeriods({ ...retainerInput, recurrence: { frequency: 'monthly', interval: 1 } });
+
+        expect(periods.map(p => [p.start, p.end])).toEqual([
+            ['2024-01-31', '2024-02-28'],
+            ['2024-02-29', '2024-03-30'],
+            ['2024-03-31', '2024-04-29'],
+            ['2024-04-30', '2024-05-30'],
+            ['2024-05-31', '2024-06-29']
+        ]);
+        expect(getRetainerPeriods({ startDate: '2024-01-01', endDate: '2024-01-20', recurrence: { frequency: 'weekly', interval: 2 } })
+            .map(p => p.end)).toEqual(['2024-01-14', '2024-01-20']);
+    });
+
+    it('should reject invalid recurrence rules', async () => {
+        await expect(addContract({ ...retainerInput, recurrence: { frequency: 'daily', quota: '4 LinkedIn posts' } }))
+            .rejects.toMatchObject({ code: 'INVALID_RECURRENCE' });
+        await expect(addContract({ ...retainerInput, recurrence: { ...retainerInput.recurrence, rollover: 'forever' } }))
+            .rejects.toMatchObject({ code: 'INVALID_RECURRENCE' });
+    });
+
+    it('should generate started periods once, for active contracts only', async () => {
+        const contract = await addContract(retainerInput);
+        await addContract({ ...retainerInput, status: 'draft' });
+
+        expect(await generateRetainerPeriods(new Date('2024-03-01T00:00:00Z'))).toBe(2);
+        expect(await generateRetainerPeriods(new Date('2024-03-01T00:00:00Z'))).toBe(0);
+
+        const [stored] = await loadContracts();
+        expect(stored.id).toBe(contract.id);
+        expect(stored.deliverables.map(d => [d.period, d.type, d.quantity, d.dueDate])).toEqual([
+            ['2024-01-31', 'linkedin', 4, '2024-02-28'],
+            ['2024-02-29', 'linkedin', 4, '2024-03-30']
+        ]);
+        expect(stored.milestones.map(m => [m.period, m.amount, m.dueDate])).toEqual([
+            ['2024-01-31', 1000, '2024-03-14'],
+            ['2024-02-29', 1000, '2024-04-14']
+        ]);
+    });
+
+    it('should roll over unfulfilled quota according to the policy', async () => {
+        const generateFor = async (rollover) => {
+            setStorageDriver(createMemoryDriver({ session_TESTSESS_contentItems: JSON.stringify(contentItems) }));
+            const contract = await addContract({ ...retainerInput, recurrence: { ...retainerInput.recurrence, rollover } });
+            await generateRetainerPeriods(new Date('2024-02-01T00:00:00Z'));
+            const [first] = (await loadContracts())[0].deliverables;
+            await attachContent(contract.id, first.id, 'p1');
+            await generateRetainerPeriods(new Date('2024-03-01T00:00:00Z'));
+            await generateRetainerPeriods(new Date('2024-04-01T00:00:00Z'));
+            return (await loadContracts())[0].deliverables.map(d => d.carriedOver);
+        };
+
+        expect(await generateFor('none')).toEqual([0, 0, 0]);
+        expect(await generateFor('next-period')).toEqual([0, 3, 4]);
+        expect(await generateFor('accumulate')).toEqual([0, 3, 7]);
+    });
+
+    it('should roll over each quota item separately when a platform appears twice', async () => {
+        const contract = await addContract({
+            ...retainerInput,
+            recurrence: { ...retainerInput.recurrence, quota: '2 LinkedIn posts, 1 LinkedIn article', rollover: 'next-period' }
+        });
+        await generateRetainerPeriods(new Date('2024-02-01T00:00:00Z'));
+        const [posts] = (await loadContracts())[0].deliverables;
+        await attachContent(contract.id, posts.id, 'p1');
+        await attachContent(contract.id, posts.id, 'p2');
+        await generateRetainerPeriods(new Date('2024-03-01T00:00:00Z'));
+
+        const { deliverables } = (await loadContracts())[0];
+        expect(deliverables.slice(2).map(d => [d.quantity, d.carriedOver])).toEqual([[2, 0], [2, 1]]);
+    });
+
+    it('should report fulfilment and payment per period, newest first', async () => {
+        const contract = await addContract(retainerInput);
+        await generateRetainerPeriods(new Date('2024-03-01T00:00:00Z'));
+        let [stored] = await loadContracts();
+        for (const contentId of ['p1', 'p2', 'p3', 'p4']) {
+            await attachContent(contract.id, stored.deliverables[0].id, contentId);
+        }
+        [stored] = await loadContracts();
+
+        const history = getRetainerHistory(stored, contentItems, new Date('2024-03-20T00:00:00Z'));
+        expect(history.map(p => [p.start, p.required, p.fulfilled, p.carriedOver, p.current])).toEqual([
+            ['2024-02-29', 4, 0, 0, true],
+            ['2024-01-31', 4, 4, 0, false]
+        ]);
+        expect(history[1].payment).toMatchObject({ amount: 1000, status: 'overdue' });
+    });
+});
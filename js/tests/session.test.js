@@ -0,0 +1,69 @@
+/**
+ * Unit tests for session IDs and session switching
+ */
+
+import { generateSessionId, isValidSessionId, normalizeSessionId, loadSession, getCurrentSessionId } from '../modules/session.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+describe('Session IDs', () => {
+    it('should generate valid 8-character Crockford base32 IDs', () => {
+        for (let i = 0; i < 50; i++) {
+            const sessionId = generateSessionId();
+            expect(sessionId).toMatch(/^[0-9A-HJKMNP-TV-Z]{8}$/);
+            expect(isValidSessionId(sessionId)).toBe(true);
+        }
+    });
+
+    it('should detect single-character typos and transpositions', () => {
+        const sessionId = generateSessionId();
+        const typo = sessionId.slice(0, 2) + (sessionId[2] === 'A' ? 'B' : 'A') + sessionId.slice(3);
+        const swapped = sessionId[1] + sessionId[0] + sessionId.slice(2);
+
+        expect(isValidSessionId(typo)).toBe(false);
+        if (sessionId[0] !== sessionId[1]) {
+            expect(isValidSessionId(swapped)).toBe(false);
+        }
+    });
+
+    it('should normalize case, separators and look-alike letters', () => {
+        expect(normalizeSessionId('abcd-efgh')).toBe('ABCDEFGH');
+        expect(normalizeSessionId('o1li 2345')).toBe('01112345');
+    });
+});
+
+describe('loadSession', () => {
+    let sessionId;
+
+    beforeEach(() => {
+        sessionId = generateSessionId();
+        setStorageDriver(createMemoryDriver({
+            [`session_${sessionId}_schemaVersion`]: '1',
+            session_LEGACY01_contentItems: '[]'
+        }));
+    });
+
+    it('should load an existing session entered in lower case', async () => {
+        await expect(loadSession(sessionId.toLowerCase())).resolves.toBe(true);
+        expect(getCurrentSessionId()).toBe(sessionId);
+    });
+
+    it('should reject malformed IDs', async () => {
+        const typo = sessionId.slice(0, 7) + (sessionId[7] === '0' ? '1' : '0');
+
+        await expect(loadSession(typo)).rejects.toMatchObject({ code: 'MALFORMED_SESSION_ID' });
+        await expect(loadSession('short')).rejects.toMatchObject({ code: 'MALFORMED_SESSION_ID' });
+    });
+
+    it('should reject well-formed IDs with no data on this device', async () => {
+        let unknownId = generateSessionId();
+        while (unknownId === sessionId) unknownId = generateSessionId();
+
+        await expect(loadSession(unknownId)).rejects.toMatchObject({ code: 'UNKNOWN_SESSION' });
+    });
+
+    it('should still load legacy IDs that exist on this device', async () => {
+        await expect(loadSession('legacy01')).resolves.toBe(true);
+        expect(getCurrentSessionId()).toBe('LEGACY01');
+    });
+});
@@ -0,0 +1,427 @@
+/**
+ * Unit tests for session storage and storage drivers
+ */
+
+import {
+    setStorageDriver, saveSessionData, loadSessionData, loadAllSessionData, updateSessionData,
+    estimateStorageUsage, checkStorageQuota, onStorageQuotaWarning,
+    querySessionRecords, putSessionRecords, deleteSessionRecords,
+    setSessionPassphrase, isSessionProtected, unlockSession, lockSession
+} from '../modules/storage.js';
+import { createMemoryDriver, createLocalforageDriver, createStorageDriver } from '../modules/storage-drivers.js';
+import { createMemoryRecordStore } from '../modules/record-store.js';
+import { SCHEMA_VERSION } from '../modules/migrations.js';
+import { createEncryptionHeader, encryptValue, decryptValue } from '../modules/session-crypto.js';
+import { listSessions, describeSession, deleteSession } from '../modules/session-catalog.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+window.CryptoJS = require('crypto-js');
+
+describe('Storage drivers', () => {
+    it('should store, list and remove values in memory', async () => {
+        const driver = createMemoryDriver();
+        await driver.set('a', '1');
+        await driver.set('b', '2');
+        await driver.remove('a');
+
+        expect(await driver.get('a')).toBeNull();
+        expect(await driver.get('b')).toBe('2');
+        expect(await driver.keys()).toEqual(['b']);
+    });
+
+    it('should apply transaction writes only when the callback succeeds', async () => {
+        const driver = createMemoryDriver({ counter: '1' });
+
+        await driver.transaction(async (tx) => {
+            const value = Number(await tx.get('counter'));
+            await tx.set('counter', String(value + 1));
+            expect(await tx.get('counter')).toBe('2');
+        });
+        await expect(driver.transaction(async (tx) => {
+            await tx.set('counter', '100');
+            throw new Error('abort');
+        })).rejects.toThrow('abort');
+
+        expect(await driver.get('counter')).toBe('2');
+    });
+
+    it('should run transactions one at a time', async () => {
+        const driver = createMemoryDriver({ counter: '0' });
+        const increment = () => driver.transaction(async (tx) => {
+            const value = Number(await tx.get('counter'));
+            await Promise.resolve();
+            await tx.set('counter', String(value + 1));
+        });
+
+        await Promise.all([increment(), increment(), increment()]);
+
+        expect(await driver.get('counter')).toBe('3');
+    });
+
+    it('should fall back when localforage fails', async () => {
+        const fallback = createMemoryDriver({ legacy: '"old"' });
+        const localforage = {
+            getItem: jest.fn().mockResolvedValue(null),
+            setItem: jest.fn().mockRejectedValue(new Error('quota')),
+            removeItem: jest.fn(),
+            keys: jest.fn().mockResolvedValue([])
+        };
+        const driver = createLocalforageDriver(localforage, fallback);
+
+        await driver.set('fresh', '"new"');
+
+        expect(await driver.get('legacy')).toBe('"old"');
+        expect(await fallback.get('fresh')).toBe('"new"');
+        expect(await driver.keys()).toEqual(['legacy', 'fresh']);
+    });
+
+    it('should reject unknown driver names', () => {
+        expect(() => createStorageDriver('floppy')).toThrow('Unknown storage driver: floppy');
+        expect(createStorageDriver('memory').name).toBe('memory');
+    });
+});
+
+describe('Session storage', () => {
+    let driver;
+
+    beforeEach(() => {
+        driver = setStorageDriver(createMemoryDriver());
+    });
+
+    it('should round-trip data under the session prefix', async () => {
+        await saveSessionData('contentItems', [{ id: '1', title: 'Post' }]);
+
+        expect(await driver.get('session_TESTSESS_contentItems')).toBe('[{"id":"1","title":"Post"}]');
+        expect(await loadSessionData('contentItems', [])).toEqual([{ id: '1', title: 'Post' }]);
+        expect(await loadSessionData('missing', 'fallback')).toBe('fallback');
+    });
+
+    it('should stamp new sessions with the current schema version', async () => {
+        await loadSessionData('contentItems', []);
+
+        expect(JSON.parse(await driver.get('session_TESTSESS_schemaVersion'))).toBe(SCHEMA_VERSION);
+    });
+
+    it('should migrate unversioned legacy data on first load', async () => {
+        driver = setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contentItems: JSON.stringify([{ id: '1', name: 'Old video' }])
+        }));
+
+        const data = await loadAllSessionData();
+
+        expect(data.contentItems).toEqual([{ id: '1', title: 'Old video' }]);
+        expect(JSON.parse(await driver.get('session_TESTSESS_schemaVersion'))).toBe(SCHEMA_VERSION);
+    });
+
+    it('should not lose concurrent read-modify-write updates', async () => {
+        const append = (id) => updateSessionData('contentItems', async (items) => {
+            await Promise.resolve();
+            return [...items, { id }];
+        }, []);
+
+        await Promise.all([append('1'), append('2'), append('3')]);
+
+        expect((await loadSessionData('contentItems', [])).map(item => item.id)).toEqual(['1', '2', '3']);
+        expect(JSON.parse(await driver.get('session_TESTSESS_sessionMeta')).revisions.contentItems).toBe(3);
+    });
+
+    it('should write nothing when an update is rejected', async () => {
+        await saveSessionData('contracts', [{ id: 'c1' }]);
+
+        await expect(updateSessionData('contracts', () => {
+            throw new Error('Contract not found');
+        }, [])).rejects.toThrow('Contract not found');
+
+        expect(await loadSessionData('contracts', [])).toEqual([{ id: 'c1' }]);
+    });
+
+    it('should merge instead of overwriting a save made by another tab', async () => {
+        await saveSessionData('contentItems', [{ id: '1', title: 'Post' }]);
+        const items = await loadSessionData('contentItems', []);
+
+        // Another tab adds an item and bumps the revision meanwhile
+        const meta = JSON.parse(await driver.get('session_TESTSESS_sessionMeta'));
+        await driver.set('session_TESTSESS_contentItems', JSON.stringify([...items, { id: '2', title: 'Remote' }]));
+        await driver.set('session_TESTSESS_sessionMeta', JSON.stringify({ ...meta, revisions: { contentItems: 2 } }));
+
+        const saved = await saveSessionData('contentItems', [...items, { id: '3', title: 'Local' }]);
+
+        expect(saved.map(item => item.id)).toEqual(['1', '2', '3']);
+        expect(await loadSessionData('contentItems', [])).toEqual(saved);
+        expect(JSON.parse(await driver.get('session_TESTSESS_sessionMeta')).revisions.contentItems).toBe(3);
+    });
+});
+
+describe('Record store', () => {
+    let driver;
+    let recordStore;
+    const snapshots = [
+        { id: 'e1', contentId: 'c1', date: '2024-01-01', platform: 'youtube', views: 1 },
+        { id: 'e2', contentId: 'c2', date: '2024-01-02', platform: 'linkedin', views: 2 },
+        { id: 'e3', contentId: 'c1', date: '2024-01-03', platform: 'youtube', views: 3 }
+    ];
+
+    beforeEach(() => {
+        recordStore = createMemoryRecordStore();
+        driver = setStorageDriver(createMemoryDriver(), { recordStore });
+    });
+
+    it('should store collections as individual records in order', async () => {
+        await saveSessionData('engagementData', snapshots);
+
+        expect(await driver.get('session_TESTSESS_engagementData')).toBeNull();
+        expect(await recordStore.count('TESTSESS', 'engagementData')).toBe(3);
+        expect(await loadSessionData('engagementData', [])).toEqual(snapshots);
+    });
+
+    it('should query by content ID, date range and platform', async () => {
+        await saveSessionData('engagementData', snapshots);
+
+        const ids = async (query) => (await querySessionRecords('engagementData', query)).map(r => r.id);
+        expect(await ids({ contentId: 'c1' })).toEqual(['e1', 'e3']);
+        expect(await ids({ from: '2024-01-02', to: '2024-01-03' })).toEqual(['e2', 'e3']);
+        expect(await ids({ platform: 'linkedin' })).toEqual(['e2']);
+    });
+
+    it('should write only the records that change', async () => {
+        await saveSessionData('engagementData', snapshots);
+        const write = jest.spyOn(recordStore, 'write');
+
+        await putSessionRecords('engagementData', [{ id: 'e4', contentId: 'c2', date: '2024-01-04', views: 4 }]);
+        await deleteSessionRecords('engagementData', ['e1']);
+        await updateSessionData('engagementData', (records) => records.map(r => (r.id === 'e2' ? { ...r, views: 20 } : r)), []);
+
+        expect(write.mock.calls.map(([, , changes]) => [changes.put.map(row => row.id), changes.remove, !!changes.replace]))
+            .toEqual([[['e4'], [], false], [[], ['e1'], false], [['e2'], [], false]]);
+        expect((await loadSessionData('engagementData', [])).map(r => [r.id, r.views])).toEqual([['e2', 20], ['e3', 3], ['e4', 4]]);
+    });
+
+    it('should keep the most recently updated copy of a duplicated ID', async () => {
+        const older = { id: 'e1', contentId: 'c1', views: 5, updatedAt: '2024-01-01T00:00:00Z' };
+        const newer = { id: 'e1', contentId: 'c1', views: 7, updatedAt: '2024-02-01T00:00:00Z' };
+
+        await saveSessionData('engagementData', [newer, snapshots[1], older]);
+        expect(await loadSessionData('engagementData', [])).toEqual([newer, snapshots[1]]);
+
+        await updateSessionData('engagementData', (records) => [...records, older], []);
+        await putSessionRecords('engagementData', [older, { ...newer, views: 9 }]);
+        expect((await loadSessionData('engagementData', [])).map(r => [r.id, r.views])).toEqual([['e1', 9], ['e2', 2]]);
+    });
+
+    it('should move arrays saved before the record store existed', async () => {
+        driver = setStorageDriver(createMemoryDriver({
+            session_TESTSESS_schemaVersion: String(SCHEMA_VERSION),
+            session_TESTSESS_engagementData: JSON.stringify(snapshots)
+        }), { recordStore });
+
+        expect(await querySessionRecords('engagementData', { contentId: 'c2' })).toEqual([snapshots[1]]);
+        expect(await driver.get('session_TESTSESS_engagementData')).toBeNull();
+    });
+
+    it('should encrypt record values and index fields but keep them queryable', async () => {
+        await saveSessionData('engagementData', snapshots);
+        await setSessionPassphrase('correct horse', { iterations: 10 });
+
+        const rows = await recordStore.query('TESTSESS', 'engagementData', {});
+        expect(rows.every(row => row.value.startsWith('enc1:'))).toBe(true);
+        expect(rows.some(row => ['c1', 'c2', 'youtube', 'linkedin'].includes(row.contentId) ||
+            ['youtube', 'linkedin'].includes(row.platform) || row.date)).toBe(false);
+        expect(await querySessionRecords('engagementData', { contentId: 'c1' })).toEqual([snapshots[0], snapshots[2]]);
+        expect((await querySessionRecords('engagementData', { platform: 'youtube', from: '2024-01-02' })).map(r => r.id)).toEqual(['e3']);
+
+        await putSessionRecords('engagementData', [{ id: 'e4', contentId: 'c2', date: '2024-01-04', views: 4 }]);
+        expect((await querySessionRecords('engagementData', { contentId: 'c2' })).map(r => r.id)).toEqual(['e2', 'e4']);
+
+        lockSession('TESTSESS');
+        await expect(querySessionRecords('engagementData', {})).rejects.toMatchObject({ code: 'SESSION_LOCKED' });
+    });
+
+    it('should count and delete records with the session', async () => {
+        await saveSessionData('engagementData', snapshots);
+
+        expect((await listSessions())[0]).toMatchObject({ id: 'TESTSESS', engagementCount: 3 });
+        await deleteSession('TESTSESS');
+        expect(await recordStore.count('TESTSESS', 'engagementData')).toBe(0);
+    });
+});
+
+describe('Storage quota', () => {
+    let driver;
+
+    beforeEach(() => {
+        driver = setStorageDriver(createMemoryDriver({ other: 'x'.repeat(100) }));
+        driver.quota = 1000;
+    });
+
+    it('should measure usage of the driver and the current session', async () => {
+        await saveSessionData('contentItems', []);
+        const usage = await estimateStorageUsage();
+
+        expect(usage.source).toBe('measured');
+        expect(usage.keys.contentItems).toBe(('session_TESTSESS_contentItems'.length + 2) * 2);
+        expect(usage.usage).toBeGreaterThan(usage.sessionUsage);
+        expect(usage.ratio).toBeCloseTo(usage.usage / 1000);
+    });
+
+    it('should warn listeners once usage crosses a threshold', async () => {
+        const listener = jest.fn();
+        const unsubscribe = onStorageQuotaWarning(listener);
+
+        await driver.set('big', 'x'.repeat(300));
+        const usage = await checkStorageQuota({ force: true });
+        await checkStorageQuota({ force: true });
+        unsubscribe();
+
+        expect(usage.level).toBe('warning');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report quota errors with a code', async () => {
+        driver.set = jest.fn().mockRejectedValue(Object.assign(new Error('full'), { name: 'QuotaExceededError' }));
+
+        await expect(saveSessionData('contentItems', [])).rejects.toMatchObject({ code: 'STORAGE_QUOTA_EXCEEDED' });
+    });
+});
+
+describe('Session catalog', () => {
+    let driver;
+
+    beforeEach(() => {
+        driver = setStorageDriver(createMemoryDriver({
+            session_AAAA1111_contentItems: JSON.stringify([{ id: '1' }, { id: '2' }]),
+            session_AAAA1111_sessionMeta: JSON.stringify({ lastModified: '2024-01-01T00:00:00.000Z' }),
+            session_BBBB2222_contracts: JSON.stringify([{ id: 'c1' }]),
+            session_BBBB2222_sessionMeta: JSON.stringify({ label: 'Q3 client work', lastModified: '2024-06-01T00:00:00.000Z' }),
+            darkMode: 'true'
+        }));
+    });
+
+    it('should list stored sessions with counts, newest first', async () => {
+        const sessions = await listSessions();
+
+        expect(sessions.map(s => s.id)).toEqual(['BBBB2222', 'AAAA1111']);
+        expect(sessions[0]).toMatchObject({ label: 'Q3 client work', contractCount: 1, contentCount: 0 });
+        expect(sessions[1]).toMatchObject({ label: '', contentCount: 2 });
+    });
+
+    it('should record modification time when saving session data', async () => {
+        await saveSessionData('contentItems', []);
+
+        const meta = JSON.parse(await driver.get('session_TESTSESS_sessionMeta'));
+        expect(typeof meta.lastModified).toBe('string');
+    });
+
+    it('should label a session without touching its data', async () => {
+        await describeSession('AAAA1111', { label: ' Spring launch ', description: 'Videos' });
+
+        const session = (await listSessions()).find(s => s.id === 'AAAA1111');
+        expect(session).toMatchObject({ label: 'Spring launch', description: 'Videos', contentCount: 2 });
+    });
+
+    it('should keep both a label and a concurrent save of the session', async () => {
+        // Return the label's metadata read late, so the save can commit in between
+        const get = driver.get;
+        let delayed = false;
+        driver.get = async (key) => {
+            const value = await get.call(driver, key);
+            if (key.endsWith('sessionMeta') && !delayed) {
+                delayed = true;
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            return value;
+        };
+
+        await Promise.all([
+            describeSession('TESTSESS', { label: 'Current' }),
+            saveSessionData('contracts', [])
+        ]);
+        driver.get = get;
+
+        const meta = JSON.parse(await driver.get('session_TESTSESS_sessionMeta'));
+        expect(meta.label).toBe('Current');
+        expect(meta.revisions.contracts).toBe(1);
+    });
+
+    it('should delete every key of a session', async () => {
+        const removed = await deleteSession('BBBB2222');
+
+        expect(removed).toBe(2);
+        expect((await driver.keys()).sort()).toEqual(['darkMode', 'session_AAAA1111_contentItems', 'session_AAAA1111_sessionMeta']);
+    });
+});
+
+describe('Session encryption', () => {
+    it('should not write plaintext after another tab protects the session', async () => {
+        const driver = setStorageDriver(createMemoryDriver());
+        await saveSessionData('apiConfig', { servicenow: { password: 'hunter2' } });
+
+        // Another tab protects the session; this tab cached it as unprotected
+        await driver.set('session_TESTSESS_encryption', JSON.stringify(createEncryptionHeader('correct horse', { iterations: 10 }).header));
+
+        await expect(saveSessionData('apiConfig', { servicenow: { password: 'leaked' } })).rejects.toMatchObject({ code: 'SESSION_LOCKED' });
+        expect(await driver.get('session_TESTSESS_apiConfig')).not.toContain('leaked');
+    });
+
+    let driver;
+
+    beforeEach(async () => {
+        driver = setStorageDriver(createMemoryDriver());
+        await saveSessionData('apiConfig', { servicenow: { password: 'hunter2' } });
+        await setSessionPassphrase('correct horse', { iterations: 10 });
+    });
+
+    it('should encrypt stored values but keep catalog metadata readable', async () => {
+        const stored = await driver.get('session_TESTSESS_apiConfig');
+
+        expect(stored.startsWith('enc1:')).toBe(true);
+        expect(stored).not.toContain('hunter2');
+        expect(JSON.parse(await driver.get('session_TESTSESS_sessionMeta'))).toHaveProperty('lastModified');
+        expect(await isSessionProtected('TESTSESS')).toBe(true);
+    });
+
+    it('should reject encrypted values whose MAC does not match', () => {
+        const { keys } = createEncryptionHeader('correct horse', { iterations: 10 });
+        const stored = encryptValue('{"views":1}', keys);
+        const flipped = stored.slice(0, -1) + (stored.endsWith('0') ? '1' : '0');
+
+        expect(decryptValue(stored, keys)).toBe('{"views":1}');
+        expect(() => decryptValue(flipped, keys)).toThrow('integrity check');
+        expect(() => decryptValue(stored.slice(0, -1), keys)).toThrow('integrity check');
+    });
+
+    it('should require the passphrase after locking', async () => {
+        lockSession('TESTSESS');
+
+        await expect(loadSessionData('apiConfig')).rejects.toMatchObject({ code: 'SESSION_LOCKED' });
+        await expect(saveSessionData('contentItems', [])).rejects.toMatchObject({ code: 'SESSION_LOCKED' });
+        expect(await unlockSession('TESTSESS', 'wrong passphrase')).toBe(false);
+        expect(await unlockSession('TESTSESS', 'correct horse')).toBe(true);
+        expect(await loadSessionData('apiConfig')).toEqual({ servicenow: { password: 'hunter2' } });
+    });
+
+    it('should not write with a stale header after another tab changes the passphrase', async () => {
+        // Another tab sets a new passphrase
+        await driver.set('session_TESTSESS_encryption', JSON.stringify(createEncryptionHeader('battery staple', { iterations: 10 }).header));
+
+        await expect(saveSessionData('apiConfig', { servicenow: { password: 'changed' } })).rejects.toMatchObject({ code: 'SESSION_LOCKED' });
+        expect(await unlockSession('TESTSESS', 'battery staple')).toBe(true);
+    });
+
+    it('should decrypt everything when the passphrase is removed', async () => {
+        await setSessionPassphrase('');
+
+        expect(await driver.get('session_TESTSESS_apiConfig')).toBe('{"servicenow":{"password":"hunter2"}}');
+        expect(await driver.get('session_TESTSESS_encryption')).toBeNull();
+        expect(await isSessionProtected('TESTSESS')).toBe(false);
+    });
+
+    it('should reject tampered ciphertext', async () => {
+        const stored = await driver.get('session_TESTSESS_apiConfig');
+        await driver.set('session_TESTSESS_apiConfig', stored.replace(/:([A-Za-z0-9+/])/, ':A$1'));
+
+        expect(await loadSessionData('apiConfig', 'fallback')).toBe('fallback');
+    });
+});
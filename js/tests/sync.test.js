@@ -0,0 +1,35 @@
+/**
+ * Unit tests for cross-tab synchronization
+ */
+
+import { mergeConcurrentChanges } from '../modules/sync.js';
+
+describe('mergeConcurrentChanges', () => {
+    const base = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }];
+
+    it('should keep records added in either tab', () => {
+        const local = [...base, { id: 'c', title: 'C' }];
+        const remote = [...base, { id: 'd', title: 'D' }];
+
+        expect(mergeConcurrentChanges(base, local, remote).map(item => item.id)).toEqual(['a', 'b', 'd', 'c']);
+    });
+
+    it('should apply deletions unless the other tab edited the record', () => {
+        const local = [{ id: 'a', title: 'A' }];
+        const remote = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B edited' }];
+
+        expect(mergeConcurrentChanges(base, local, remote)).toEqual(remote);
+        expect(mergeConcurrentChanges(base, local, base)).toEqual(local);
+    });
+
+    it('should prefer the newer edit when both tabs changed a record', () => {
+        const local = [{ id: 'a', title: 'Local', updatedAt: '2024-01-02T00:00:00Z' }, base[1]];
+        const remote = [{ id: 'a', title: 'Remote', updatedAt: '2024-01-03T00:00:00Z' }, base[1]];
+
+        expect(mergeConcurrentChanges(base, local, remote)[0].title).toBe('Remote');
+    });
+
+    it('should fall back to the local value for non-record data', () => {
+        expect(mergeConcurrentChanges({ x: 1 }, { x: 2 }, { x: 3 })).toEqual({ x: 2 });
+    });
+});
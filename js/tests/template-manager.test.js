@@ -0,0 +1,117 @@
+/**
+ * Unit tests for contract templates and cloning
+ */
+
+import {
+    loadTemplates,
+    addTemplate,
+    saveContractAsTemplate,
+    deleteTemplate,
+    createContractFromTemplate,
+    cloneContract
+} from '../modules/template-manager.js';
+import {
+    addContract,
+    addMilestone,
+    attachContent,
+    changeContractStatus,
+    markMilestonePaid,
+    addKpiTarget,
+    loadContracts
+} from '../modules/contract-manager.js';
+import { setStorageDriver } from '../modules/storage.js';
+import { createMemoryDriver } from '../modules/storage-drivers.js';
+
+jest.mock('../modules/session.js', () => ({
+    getCurrentSessionId: jest.fn(() => 'TESTSESS')
+}));
+
+describe('Contract templates', () => {
+    let contract;
+
+    beforeEach(async () => {
+        setStorageDriver(createMemoryDriver({
+            session_TESTSESS_contentItems: JSON.stringify([{ id: 'v1', platform: 'youtube', title: 'Video 1' }])
+        }));
+        contract = await addContract({
+            projectName: 'Launch video',
+            clientName: 'Acme',
+            value: 3000,
+            currency: 'EUR',
+            startDate: '2024-01-01',
+            endDate: '2024-03-31',
+            dueDate: '2024-03-01',
+            deliverables: '2 YouTube videos',
+            status: 'active'
+        });
+        await addKpiTarget(contract.id, { metric: 'views', target: 10000, windowDays: 30 });
+        const deposit = await addMilestone(contract.id, { name: 'Deposit', amount: 1000, dueDate: '2024-01-15' });
+        await addMilestone(contract.id, { name: 'On delivery', amount: 2000 });
+        await markMilestonePaid(contract.id, deposit.id, '2024-01-10');
+        [contract] = await loadContracts();
+        await attachContent(contract.id, contract.deliverables[0].id, 'v1');
+    });
+
+    it('should keep a contract\'s terms and drop its progress', async () => {
+        const template = await saveContractAsTemplate(contract.id, ' Acme video ');
+
+        expect(template).toMatchObject({
+            name: 'Acme video',
+            currency: 'EUR',
+            value: 3000,
+            durationDays: 90,
+            dueDays: 60,
+            deliverables: [{ type: 'youtube', quantity: 2, description: 'YouTube videos' }],
+            kpiTargets: [{ metric: 'views', target: 10000, windowDays: 30 }],
+            milestones: [{ name: 'Deposit', amount: 1000, dueDays: 14 }, { name: 'On delivery', amount: 2000 }]
+        });
+        expect(await loadTemplates()).toHaveLength(1);
+    });
+
+    it('should create contracts from a template starting on a new date', async () => {
+        const template = await saveContractAsTemplate(contract.id, 'Acme video');
+
+        const created = await createContractFromTemplate(template.id, { startDate: '2024-06-01', projectName: 'Summer video' });
+
+        expect(created).toMatchObject({
+            projectName: 'Summer video',
+            clientName: 'Acme',
+            currency: 'EUR',
+            status: 'draft',
+            startDate: '2024-06-01',
+            endDate: '2024-08-30',
+            dueDate: '2024-07-31'
+        });
+        expect(created.deliverables[0]).toMatchObject({ type: 'youtube', quantity: 2, contentIds: [] });
+        expect(created.deliverables[0].id).not.toBe(contract.deliverables[0].id);
+        expect(created.milestones.map(m => [m.name, m.dueDate, m.paidDate])).toEqual([
+            ['Deposit', '2024-06-15', undefined],
+            ['On delivery', undefined, undefined]
+        ]);
+        await expect(createContractFromTemplate('missing', { startDate: '2024-06-01' }))
+            .rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+    });
+
+    it('should clone a contract as an unfulfilled draft', async () => {
+        await changeContractStatus(contract.id, 'delivered');
+
+        const copy = await cloneContract(contract.id, '2025-01-01');
+
+        expect(copy).toMatchObject({ projectName: 'Launch video (copy)', status: 'draft', startDate: '2025-01-01', endDate: '2025-04-01' });
+        expect(copy.deliverables[0].contentIds).toEqual([]);
+        expect(copy.milestones.every(m => !m.paidDate)).toBe(true);
+        expect(await loadContracts()).toHaveLength(2);
+    });
+
+    it('should validate and delete templates', async () => {
+        await expect(addTemplate({ name: ' ' })).rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+        await expect(addTemplate({ name: 'Bad', currency: 'XX' })).rejects.toThrow('Invalid currency code');
+
+        const template = await addTemplate({ name: 'Blog post', deliverables: [{ type: 'servicenow', quantity: 1 }], durationDays: 30 });
+        expect(template.deliverables).toEqual([{ type: 'servicenow', quantity: 1, description: '' }]);
+
+        await deleteTemplate(template.id);
+        expect(await loadTemplates()).toEqual([]);
+        await expect(deleteTemplate(template.id)).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+    });
+});